@@ -0,0 +1,53 @@
+/**
+ * Alert lifecycle.
+ *
+ * An alert moves forward through these states only; resolved and cancelled
+ * are final. `responding` predates en_route/on_scene and is still accepted
+ * as a request for en_route, and existing alerts in that state can move on.
+ */
+
+const ALERT_STATUSES = ['pending', 'acknowledged', 'en_route', 'on_scene', 'resolved', 'cancelled'];
+
+const ALERT_TRANSITIONS = {
+  pending: ['acknowledged', 'en_route', 'cancelled'],
+  acknowledged: ['en_route', 'cancelled'],
+  en_route: ['on_scene', 'cancelled'],
+  on_scene: ['resolved'],
+  responding: ['on_scene', 'resolved', 'cancelled'],
+  resolved: [],
+  cancelled: [],
+};
+
+const LEGACY_STATUS_ALIASES = {
+  responding: 'en_route',
+};
+
+// Timestamp column stamped on the alert when it enters each state
+const STATUS_TIMESTAMPS = {
+  acknowledged: 'acknowledged_at',
+  en_route: 'en_route_at',
+  on_scene: 'on_scene_at',
+  resolved: 'resolved_at',
+  cancelled: 'cancelled_at',
+};
+
+// Status given to the vehicle in an alert's legacy single assignment slot
+// (assigned_vehicle_id) when the alert enters each state. Units assigned
+// through alert_assignments follow their own status instead.
+const VEHICLE_STATUS_FOR_ALERT = {
+  en_route: 'responding',
+  on_scene: 'responding',
+  resolved: 'available',
+  cancelled: 'available',
+};
+
+const canTransition = (from, to) => (ALERT_TRANSITIONS[from] || []).includes(to);
+
+module.exports = {
+  ALERT_STATUSES,
+  ALERT_TRANSITIONS,
+  LEGACY_STATUS_ALIASES,
+  STATUS_TIMESTAMPS,
+  VEHICLE_STATUS_FOR_ALERT,
+  canTransition,
+};
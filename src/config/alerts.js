@@ -0,0 +1,13 @@
+/**
+ * Alert categories and severities shared by validation, sorting and
+ * escalation. Severities are listed from least to most urgent.
+ */
+
+const ALERT_TYPES = ['medical', 'fire', 'accident', 'crime', 'natural_disaster', 'other'];
+
+const ALERT_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Stored alongside severity as severity_rank so lists can sort by urgency
+const severityRank = (severity) => ALERT_SEVERITIES.indexOf(severity) + 1;
+
+module.exports = { ALERT_TYPES, ALERT_SEVERITIES, severityRank };
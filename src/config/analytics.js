@@ -0,0 +1,89 @@
+const { ALERT_SEVERITIES } = require('./alerts');
+const { ALERT_TRANSITIONS } = require('./alertLifecycle');
+
+/**
+ * Response-time analytics.
+ *
+ * Every metric runs from the moment an incident was reported (reported_at
+ * for alerts, triggered_at for SOS requests and crash events) to the
+ * moment it reached a milestone. Only alerts are assigned units and go
+ * on scene, so SOS requests and crash events report the acknowledge and
+ * resolve metrics only.
+ */
+
+const RESPONSE_METRICS = ['time_to_acknowledge', 'time_to_assign', 'time_to_on_scene', 'time_to_resolve'];
+
+const INCIDENT_METRICS = {
+  alert: RESPONSE_METRICS,
+  sos: ['time_to_acknowledge', 'time_to_resolve'],
+  crash: ['time_to_acknowledge', 'time_to_resolve'],
+};
+
+// Ways to break results down; units (vehicle, responder) exist on alerts only
+const INCIDENT_GROUPINGS = {
+  alert: ['alert_type', 'severity', 'vehicle', 'responder', 'day', 'week'],
+  sos: ['day', 'week'],
+  crash: ['day', 'week'],
+};
+
+// Incidents in these states can still reach their missing milestones
+const OPEN_INCIDENT_STATUSES = {
+  alert: Object.keys(ALERT_TRANSITIONS).filter((status) => ALERT_TRANSITIONS[status].length > 0),
+  sos: ['pending'],
+  crash: ['pending', 'responding'],
+};
+
+// SOS requests and crash events have no severity and use 'any'
+const SLA_SEVERITIES = {
+  alert: ALERT_SEVERITIES,
+  sos: ['any'],
+  crash: ['any'],
+};
+
+const PERCENTILES = [50, 90, 95];
+
+// Longest reporting window, in days
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_RANGE_DAYS = 30;
+
+const MINUTE = 60;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Targets in seconds. A null target means the metric has no SLA. Admins
+ * override these defaults through /api/v1/analytics/sla-targets.
+ */
+const DEFAULT_SLA_TARGETS = [
+  { incident_type: 'alert', severity: 'critical', metric: 'time_to_acknowledge', target_seconds: 1 * MINUTE },
+  { incident_type: 'alert', severity: 'critical', metric: 'time_to_assign', target_seconds: 3 * MINUTE },
+  { incident_type: 'alert', severity: 'critical', metric: 'time_to_on_scene', target_seconds: 10 * MINUTE },
+  { incident_type: 'alert', severity: 'critical', metric: 'time_to_resolve', target_seconds: 2 * HOUR },
+  { incident_type: 'alert', severity: 'high', metric: 'time_to_acknowledge', target_seconds: 2 * MINUTE },
+  { incident_type: 'alert', severity: 'high', metric: 'time_to_assign', target_seconds: 5 * MINUTE },
+  { incident_type: 'alert', severity: 'high', metric: 'time_to_on_scene', target_seconds: 15 * MINUTE },
+  { incident_type: 'alert', severity: 'high', metric: 'time_to_resolve', target_seconds: 4 * HOUR },
+  { incident_type: 'alert', severity: 'medium', metric: 'time_to_acknowledge', target_seconds: 5 * MINUTE },
+  { incident_type: 'alert', severity: 'medium', metric: 'time_to_assign', target_seconds: 10 * MINUTE },
+  { incident_type: 'alert', severity: 'medium', metric: 'time_to_on_scene', target_seconds: 30 * MINUTE },
+  { incident_type: 'alert', severity: 'medium', metric: 'time_to_resolve', target_seconds: 8 * HOUR },
+  { incident_type: 'alert', severity: 'low', metric: 'time_to_acknowledge', target_seconds: 10 * MINUTE },
+  { incident_type: 'alert', severity: 'low', metric: 'time_to_assign', target_seconds: 20 * MINUTE },
+  { incident_type: 'alert', severity: 'low', metric: 'time_to_on_scene', target_seconds: 60 * MINUTE },
+  { incident_type: 'alert', severity: 'low', metric: 'time_to_resolve', target_seconds: 24 * HOUR },
+  { incident_type: 'sos', severity: 'any', metric: 'time_to_acknowledge', target_seconds: 2 * MINUTE },
+  { incident_type: 'sos', severity: 'any', metric: 'time_to_resolve', target_seconds: 4 * HOUR },
+  { incident_type: 'crash', severity: 'any', metric: 'time_to_acknowledge', target_seconds: 2 * MINUTE },
+  { incident_type: 'crash', severity: 'any', metric: 'time_to_resolve', target_seconds: 4 * HOUR },
+];
+
+module.exports = {
+  RESPONSE_METRICS,
+  INCIDENT_METRICS,
+  INCIDENT_GROUPINGS,
+  OPEN_INCIDENT_STATUSES,
+  SLA_SEVERITIES,
+  PERCENTILES,
+  MAX_RANGE_DAYS,
+  DEFAULT_RANGE_DAYS,
+  DEFAULT_SLA_TARGETS,
+};
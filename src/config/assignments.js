@@ -0,0 +1,58 @@
+/**
+ * Units assigned to an alert.
+ *
+ * Each vehicle and/or responder sent to an alert is one assignment with
+ * its own role and status. A unit moves forward only; released is final,
+ * and a vehicle or responder can be on one unreleased assignment at a time.
+ */
+
+const ASSIGNMENT_ROLES = ['medical', 'fire', 'police', 'rescue', 'command', 'support'];
+
+const ASSIGNMENT_STATUSES = ['dispatched', 'en_route', 'on_scene', 'released'];
+
+const ASSIGNMENT_TRANSITIONS = {
+  dispatched: ['en_route', 'on_scene', 'released'],
+  en_route: ['on_scene', 'released'],
+  on_scene: ['released'],
+  released: [],
+};
+
+// Timestamp column stamped on the assignment when it enters each state
+const ASSIGNMENT_TIMESTAMPS = {
+  dispatched: 'dispatched_at',
+  en_route: 'en_route_at',
+  on_scene: 'on_scene_at',
+  released: 'released_at',
+};
+
+// Status given to the unit's vehicle when the assignment enters each state
+const VEHICLE_STATUS_FOR_ASSIGNMENT = {
+  dispatched: 'assigned',
+  en_route: 'responding',
+  on_scene: 'responding',
+  released: 'available',
+};
+
+// Role used when none is given, from the vehicle type
+const ROLE_FOR_VEHICLE_TYPE = {
+  ambulance: 'medical',
+  fire_truck: 'fire',
+  police_car: 'police',
+  rescue_truck: 'rescue',
+};
+
+// Vehicles in these states cannot be dispatched
+const UNAVAILABLE_VEHICLE_STATUSES = ['maintenance', 'out_of_service'];
+
+const canTransitionAssignment = (from, to) => (ASSIGNMENT_TRANSITIONS[from] || []).includes(to);
+
+module.exports = {
+  ASSIGNMENT_ROLES,
+  ASSIGNMENT_STATUSES,
+  ASSIGNMENT_TRANSITIONS,
+  ASSIGNMENT_TIMESTAMPS,
+  VEHICLE_STATUS_FOR_ASSIGNMENT,
+  ROLE_FOR_VEHICLE_TYPE,
+  UNAVAILABLE_VEHICLE_STATUSES,
+  canTransitionAssignment,
+};
@@ -0,0 +1,31 @@
+const { ALERT_SEVERITIES } = require('./alerts');
+
+/**
+ * Escalation of incidents nobody has picked up.
+ *
+ * A policy applies to one incident type and severity. SOS requests have no
+ * severity and use the single 'any' policy, and cannot be assigned, so only
+ * the pending threshold applies to them. A null threshold turns that check
+ * off. Admins override these defaults through /api/v1/escalations/policies.
+ */
+
+const ESCALATION_SEVERITIES = {
+  alert: ALERT_SEVERITIES,
+  sos: ['any'],
+};
+
+const ESCALATION_REASONS = ['pending', 'unassigned'];
+
+const DEFAULT_ESCALATION_POLICIES = [
+  { incident_type: 'alert', severity: 'critical', pending_after_minutes: 2, unassigned_after_minutes: 5, bump_severity: false, enabled: true },
+  { incident_type: 'alert', severity: 'high', pending_after_minutes: 5, unassigned_after_minutes: 10, bump_severity: true, enabled: true },
+  { incident_type: 'alert', severity: 'medium', pending_after_minutes: 10, unassigned_after_minutes: 20, bump_severity: true, enabled: true },
+  { incident_type: 'alert', severity: 'low', pending_after_minutes: 20, unassigned_after_minutes: 40, bump_severity: true, enabled: true },
+  { incident_type: 'sos', severity: 'any', pending_after_minutes: 3, unassigned_after_minutes: null, bump_severity: false, enabled: true },
+];
+
+module.exports = {
+  ESCALATION_SEVERITIES,
+  ESCALATION_REASONS,
+  DEFAULT_ESCALATION_POLICIES,
+};
@@ -0,0 +1,44 @@
+/**
+ * Server-side aggregation for the dispatch map.
+ *
+ * Incidents are binned into geohash cells. A client passes its map zoom
+ * and gets cells about the size of a few screen tiles' worth of markers,
+ * or asks for a geohash precision directly.
+ */
+
+const MAP_SOURCES = ['alert', 'sos', 'crash'];
+
+// Window shown when no from/to is given
+const DEFAULT_RANGE_DAYS = 30;
+
+const MIN_PRECISION = 1;
+const MAX_PRECISION = 9;
+
+// Geohash precision used for clusters at each web-map zoom level (0-22)
+const ZOOM_PRECISION = [1, 1, 2, 2, 3, 3, 3, 4, 4, 5, 5, 5, 6, 6, 7, 7, 7, 8, 8, 9, 9, 9, 9];
+
+const DEFAULT_CLUSTER_PRECISION = 5;
+
+// Heatmap points are binned this many levels finer than clusters
+const HEATMAP_EXTRA_PRECISION = 2;
+
+/**
+ * Heat each incident adds to a heatmap point. Alerts weigh by severity;
+ * SOS requests and crash events have none and carry a fixed weight.
+ */
+const HEATMAP_WEIGHTS = {
+  alert: { low: 1, medium: 2, high: 3, critical: 5 },
+  sos: 4,
+  crash: 3,
+};
+
+module.exports = {
+  MAP_SOURCES,
+  DEFAULT_RANGE_DAYS,
+  MIN_PRECISION,
+  MAX_PRECISION,
+  ZOOM_PRECISION,
+  DEFAULT_CLUSTER_PRECISION,
+  HEATMAP_EXTRA_PRECISION,
+  HEATMAP_WEIGHTS,
+};
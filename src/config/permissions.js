@@ -0,0 +1,117 @@
+/**
+ * Central permission policy.
+ *
+ * Routes check named permissions (through middleware/permissions.js) instead
+ * of role names, so changing what a role may do only happens here.
+ */
+
+const PERMISSIONS = {
+  'user.view': 'List and view user accounts',
+  'user.manage': 'Create, update and delete users, change roles, unlock accounts and revoke sessions',
+  'user.stats': 'View user statistics',
+  'invitation.manage': 'Issue, list and revoke staff invitations',
+  'permission.view': 'View the role permission matrix',
+
+  'alert.create': 'Report an alert',
+  'alert.view_all': 'View alerts reported by anyone',
+  'alert.update': 'Edit alert details',
+  'alert.update_status': 'Change an alert status',
+  'alert.assign': 'Assign vehicles and responders to an alert',
+  'alert.note': 'Read and post notes on any alert, including staff-only notes',
+  'alert.merge': 'Merge duplicate alerts and crash events into one incident',
+  'alert.delete': 'Delete an alert',
+  'escalation.receive': 'Receive and list escalations of overdue alerts and SOS requests',
+  'escalation.manage': 'Configure escalation policies and run escalation checks',
+  'analytics.view': 'View response-time analytics and SLA breach reports',
+  'analytics.manage': 'Configure SLA response-time targets',
+  'priority.manage': 'Configure triage priority weights and rescore incidents',
+
+  'sos.create': 'Trigger an SOS',
+  'sos.view_all': 'View SOS requests from anyone',
+
+  'crash.create': 'Record a crash event',
+  'crash.view_all': 'View crash events from anyone',
+  'crash.manage_all': 'Update or delete crash events from anyone',
+
+  'vehicle.view': 'List and view vehicles',
+  'vehicle.create': 'Register a vehicle',
+  'vehicle.update': 'Update vehicle details, status and location',
+  'vehicle.telemetry': 'Report live vehicle location, fuel and odometer readings',
+  'vehicle.delete': 'Delete a vehicle',
+
+  'responder.view': 'List responders',
+  'responder.create': 'Add a responder',
+  'responder.update': 'Update a responder',
+  'responder.delete': 'Delete a responder',
+
+  'contact.manage_all': 'Manage emergency contacts of any user',
+  'media.manage': 'Delete media attachments uploaded by anyone',
+
+  'api_key.manage': 'Issue, list and revoke device API keys',
+  'privacy.manage': 'Review and carry out account erasure requests',
+  'audit.view': 'Query, export and verify the audit log',
+};
+
+const REPORTER_PERMISSIONS = ['alert.create', 'sos.create', 'crash.create'];
+
+const ROLE_PERMISSIONS = {
+  user: [
+    ...REPORTER_PERMISSIONS,
+  ],
+  driver: [
+    ...REPORTER_PERMISSIONS,
+    'alert.view_all',
+    'alert.note',
+    'sos.view_all',
+    'crash.view_all',
+    'vehicle.view',
+    'vehicle.update',
+    'vehicle.telemetry',
+    'responder.view',
+  ],
+  rescuer: [
+    ...REPORTER_PERMISSIONS,
+    'alert.view_all',
+    'alert.note',
+    'alert.update_status',
+    'sos.view_all',
+    'crash.view_all',
+    'crash.manage_all',
+    'vehicle.view',
+    'responder.view',
+  ],
+  dispatcher: [
+    ...REPORTER_PERMISSIONS,
+    'alert.view_all',
+    'alert.update',
+    'alert.update_status',
+    'alert.assign',
+    'alert.note',
+    'alert.merge',
+    'escalation.receive',
+    'analytics.view',
+    'sos.view_all',
+    'crash.view_all',
+    'crash.manage_all',
+    'vehicle.view',
+    'vehicle.update',
+    'vehicle.telemetry',
+    'responder.view',
+    'responder.update',
+    'media.manage',
+  ],
+  admin: Object.keys(PERMISSIONS),
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Scopes an API key can carry and the permissions each one grants. A key
+ * bound to a user never exceeds that user's own role permissions.
+ */
+const API_KEY_SCOPES = {
+  'crash:write': ['crash.create'],
+  'vehicle:telemetry': ['vehicle.telemetry'],
+};
+
+module.exports = { PERMISSIONS, ROLE_PERMISSIONS, ROLES, API_KEY_SCOPES };
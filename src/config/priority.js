@@ -0,0 +1,49 @@
+/**
+ * Triage priority scoring.
+ *
+ * Every alert, SOS request and crash event carries a priority score: the
+ * sum of the points each factor below adds, kept with the reasons so
+ * dispatchers can see why an incident ranks where it does. Waiting time
+ * counts towards the score, so open incidents are rescored periodically;
+ * closed and merged incidents score 0. Admins override these defaults
+ * through /api/v1/priority/weights.
+ */
+
+const PRIORITY_INCIDENT_TYPES = ['alert', 'sos', 'crash'];
+
+const DEFAULT_PRIORITY_WEIGHTS = [
+  { factor: 'severity_low', weight: 10, description: 'Points for a low severity alert' },
+  { factor: 'severity_medium', weight: 25, description: 'Points for a medium severity alert' },
+  { factor: 'severity_high', weight: 45, description: 'Points for a high severity alert' },
+  { factor: 'severity_critical', weight: 70, description: 'Points for a critical alert' },
+
+  { factor: 'type_medical', weight: 15, description: 'Points for a medical alert or SOS' },
+  { factor: 'type_fire', weight: 15, description: 'Points for a fire alert or SOS' },
+  { factor: 'type_accident', weight: 10, description: 'Points for an accident alert or SOS, and for every crash event' },
+  { factor: 'type_crime', weight: 10, description: 'Points for a crime alert or SOS' },
+  { factor: 'type_natural_disaster', weight: 15, description: 'Points for a natural disaster alert or SOS' },
+  { factor: 'type_other', weight: 0, description: 'Points for any other alert or SOS type' },
+
+  { factor: 'sos_base', weight: 50, description: 'Points every SOS request starts with' },
+  { factor: 'crash_base', weight: 40, description: 'Points every crash event starts with' },
+  { factor: 'crash_impact_per_g', weight: 3, description: 'Points per g of measured crash impact force' },
+  { factor: 'crash_impact_max', weight: 30, description: 'Most points impact force can add' },
+  { factor: 'crash_stillness_per_minute', weight: 2, description: 'Points per minute the device lay still after the crash' },
+  { factor: 'crash_stillness_max', weight: 20, description: 'Most points stillness can add' },
+  { factor: 'crash_no_movement', weight: 20, description: 'Points when no movement was detected after the crash' },
+  { factor: 'crash_movement', weight: -10, description: 'Points when movement was detected after the crash' },
+
+  { factor: 'wait_per_minute', weight: 1, description: 'Points per minute an incident has been waiting while still pending' },
+  { factor: 'wait_max', weight: 40, description: 'Most points waiting can add' },
+  { factor: 'unassigned', weight: 10, description: 'Points for an open alert with no unit assigned' },
+  { factor: 'escalation_per_level', weight: 15, description: 'Points per escalation of an overdue alert or SOS' },
+];
+
+// Weights admins may set, either way
+const MAX_PRIORITY_WEIGHT = 1000;
+
+module.exports = {
+  PRIORITY_INCIDENT_TYPES,
+  DEFAULT_PRIORITY_WEIGHTS,
+  MAX_PRIORITY_WEIGHT,
+};
@@ -0,0 +1,31 @@
+const { isApiKey, authenticateApiKey } = require('../utils/apiKeys');
+
+/**
+ * Let a device authenticate with an API key (X-API-Key header, or as the
+ * bearer token) on the route it is mounted on. Requests without a key fall
+ * through to the regular JWT authMiddleware, which skips already
+ * authenticated key principals. What the key may do is decided by its scopes
+ * through requirePermission.
+ */
+const acceptApiKey = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization || '';
+    const bearer = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+    const key = req.headers['x-api-key'] || (isApiKey(bearer) ? bearer : null);
+
+    if (!key) return next();
+
+    const result = await authenticateApiKey(key, req.ip);
+    if (result.error) {
+      return res.status(401).json({ message: result.error });
+    }
+
+    req.user = result.principal;
+    next();
+  } catch (error) {
+    console.error('API key auth error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = acceptApiKey;
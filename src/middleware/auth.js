@@ -1,7 +1,14 @@
 const jwt = require('jsonwebtoken');
+const { getActiveSession } = require('../utils/sessions');
+const { isApiKey } = require('../utils/apiKeys');
 
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   try {
+    // Already authenticated by acceptApiKey on a route that allows device keys
+    if (req.user && req.user.api_key) {
+      return next();
+    }
+
     // Get token from header
     const authHeader = req.headers.authorization;
     
@@ -11,9 +18,19 @@ const authMiddleware = (req, res, next) => {
 
     const token = authHeader.split(' ')[1];
 
+    if (isApiKey(token)) {
+      return res.status(401).json({ message: 'API keys are not accepted on this endpoint' });
+    }
+
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
+    // Reject tokens whose session was revoked (logout, password reset, admin kick)
+    const session = await getActiveSession(decoded.sid, req.ip);
+    if (!session || session.user_id !== decoded.id) {
+      return res.status(401).json({ message: 'Session has been revoked' });
+    }
+
     // Attach user to request
     req.user = decoded;
     next();
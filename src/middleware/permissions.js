@@ -0,0 +1,39 @@
+const { ROLE_PERMISSIONS, API_KEY_SCOPES } = require('../config/permissions');
+
+const roleGrants = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+const scopesGrant = (scopes, permission) => {
+  return scopes.some((scope) => (API_KEY_SCOPES[scope] || []).includes(permission));
+};
+
+/**
+ * Whether a user (req.user) holds a permission. API key principals are
+ * limited to their scopes, and to their owner's role when bound to a user.
+ */
+const can = (user, permission) => {
+  if (!user) return false;
+
+  if (user.api_key) {
+    if (!scopesGrant(user.api_key.scopes, permission)) return false;
+    return user.role ? roleGrants(user.role, permission) : true;
+  }
+
+  return roleGrants(user.role, permission);
+};
+
+/**
+ * Route guard requiring every listed permission
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter((permission) => !can(req.user, permission));
+
+  if (missing.length > 0) {
+    return res.status(403).json({
+      message: 'Access denied',
+      required_permissions: missing,
+    });
+  }
+  next();
+};
+
+module.exports = { can, requirePermission };
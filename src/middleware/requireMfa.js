@@ -0,0 +1,17 @@
+const { roleRequiresTwoFactor } = require('../utils/twoFactor');
+
+/**
+ * Guard sensitive routes: for roles listed in REQUIRE_2FA_ROLES the access
+ * token must record that the second factor was passed at login.
+ */
+const requireMfa = (req, res, next) => {
+  if (roleRequiresTwoFactor(req.user.role) && !req.user.mfa) {
+    return res.status(403).json({
+      message: 'Two-factor authentication required for this action',
+      mfa_required: true,
+    });
+  }
+  next();
+};
+
+module.exports = requireMfa;
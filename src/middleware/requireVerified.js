@@ -0,0 +1,39 @@
+const supabase = require('../config/supabase');
+const { CHANNELS, getRequiredChannels } = require('../utils/verification');
+
+/**
+ * Block incident creation until the user has verified every channel listed in
+ * REQUIRE_VERIFICATION. Does nothing when the deployment requires none.
+ */
+const requireVerified = async (req, res, next) => {
+  try {
+    const required = getRequiredChannels();
+    // API keys are provisioned by admins, so devices skip reporter verification
+    if (required.length === 0 || req.user.api_key) return next();
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('email_verified, phone_verified')
+      .eq('id', req.user.id)
+      .single();
+
+    if (error || !user) {
+      return res.status(401).json({ message: 'User not found' });
+    }
+
+    const missing = required.filter((channel) => !user[CHANNELS[channel].flag]);
+    if (missing.length > 0) {
+      return res.status(403).json({
+        message: 'Account verification required',
+        missing_verification: missing,
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Verification check error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = requireVerified;
@@ -0,0 +1,315 @@
+const express = require('express');
+const supabase = require('../config/supabase');
+const authMiddleware = require('../middleware/auth');
+const requireMfa = require('../middleware/requireMfa');
+const { can, requirePermission } = require('../middleware/permissions');
+const { ALERT_TRANSITIONS } = require('../config/alertLifecycle');
+const { ASSIGNMENT_STATUSES, canTransitionAssignment } = require('../config/assignments');
+const {
+  ASSIGNMENT_SELECT,
+  getAssignments,
+  withoutContacts,
+  assignUnit,
+  changeAssignmentStatus,
+} = require('../utils/assignments');
+const { recordAudit } = require('../utils/audit');
+const { rescoreIncidentById } = require('../utils/priority');
+const { getIO, STAFF_ROOM } = require('../socketInstance');
+
+// Mounted under /alerts/:alertId/assignments
+const router = express.Router({ mergeParams: true });
+
+router.use(authMiddleware);
+
+const loadAlert = async (alertId) => {
+  const { data, error } = await supabase
+    .from('alerts')
+    .select('id, user_id, status, merged_into_id')
+    .eq('id', alertId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AlertAssignment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         alert_id:
+ *           type: integer
+ *         vehicle_id:
+ *           type: integer
+ *           nullable: true
+ *         responder_id:
+ *           type: integer
+ *           nullable: true
+ *         role:
+ *           type: string
+ *           enum: [medical, fire, police, rescue, command, support]
+ *         status:
+ *           type: string
+ *           enum: [dispatched, en_route, on_scene, released]
+ *         assigned_by:
+ *           type: integer
+ *         dispatched_at:
+ *           type: string
+ *           format: date-time
+ *         en_route_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         on_scene_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         released_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         vehicle:
+ *           type: object
+ *           nullable: true
+ *         responder:
+ *           type: object
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/v1/alerts/{alertId}/assignments:
+ *   get:
+ *     summary: List the units assigned to an alert
+ *     description: Released units are included. Users may only see the units on their own alerts, without the responders' phone numbers.
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Assignments in dispatch order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AlertAssignment'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Alert not found
+ */
+router.get('/', async (req, res) => {
+  try {
+    const alert = await loadAlert(req.params.alertId);
+    if (!alert) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+    if (!can(req.user, 'alert.view_all') && alert.user_id !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const assignments = await getAssignments(alert.id);
+    res.json(can(req.user, 'alert.view_all') ? assignments : assignments.map(withoutContacts));
+  } catch (error) {
+    console.error('Get alert assignments error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/alerts/{alertId}/assignments:
+ *   post:
+ *     summary: Dispatch a unit to an alert (Admin/Dispatcher only)
+ *     description: |
+ *       Adds a vehicle, a responder, or a crew of both to the alert as
+ *       `dispatched`. Any number of units can work one alert, but a vehicle or
+ *       responder can only be on one unreleased assignment. The role defaults
+ *       from the vehicle type. The vehicle is set to `assigned`.
+ *       Emits `alert:assignment` to staff.
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               vehicle_id:
+ *                 type: integer
+ *               responder_id:
+ *                 type: integer
+ *               role:
+ *                 type: string
+ *                 enum: [medical, fire, police, rescue, command, support]
+ *     responses:
+ *       201:
+ *         description: Unit dispatched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AlertAssignment'
+ *       400:
+ *         description: No unit given, or invalid role
+ *       404:
+ *         description: Alert, vehicle or responder not found
+ *       409:
+ *         description: Alert is closed or merged, or the unit is unavailable or already assigned
+ */
+router.post('/', requirePermission('alert.assign'), requireMfa, async (req, res) => {
+  try {
+    const alert = await loadAlert(req.params.alertId);
+    if (!alert) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+    if (alert.merged_into_id) {
+      return res.status(409).json({ message: `Alert was merged into alert ${alert.merged_into_id}; assign units there instead` });
+    }
+    if ((ALERT_TRANSITIONS[alert.status] || []).length === 0) {
+      return res.status(409).json({ message: `Alert is ${alert.status}` });
+    }
+
+    const { vehicle_id, responder_id, role } = req.body;
+    const result = await assignUnit(alert, { vehicleId: vehicle_id, responderId: responder_id, role }, req.user);
+    if (!result.assignment) {
+      return res.status(result.code).json({ message: result.message });
+    }
+
+    await recordAudit(req, {
+      action: 'alert.assign',
+      targetType: 'alert',
+      targetId: alert.id,
+      after: {
+        assignment_id: result.assignment.id,
+        vehicle_id: result.assignment.vehicle_id,
+        responder_id: result.assignment.responder_id,
+        role: result.assignment.role,
+      },
+    });
+
+    await rescoreIncidentById('alert', alert.id);
+
+    getIO().to(STAFF_ROOM).emit('alert:assignment', result.assignment);
+
+    res.status(201).json(result.assignment);
+  } catch (error) {
+    console.error('Create alert assignment error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/alerts/{alertId}/assignments/{assignmentId}/status:
+ *   patch:
+ *     summary: Update one unit's status
+ *     description: |
+ *       Units move dispatched → en_route → on_scene → released (steps may be
+ *       skipped, never reversed). Stamps the matching `<status>_at` column and
+ *       sets only this unit's vehicle to assigned, responding or available.
+ *       Emits `alert:assignment` to staff.
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [en_route, on_scene, released]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Unit status updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AlertAssignment'
+ *       400:
+ *         description: Invalid status
+ *       404:
+ *         description: Assignment not found on this alert
+ *       409:
+ *         description: Transition not allowed, or the unit changed concurrently
+ */
+router.patch('/:assignmentId/status', requirePermission('alert.update_status'), requireMfa, async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!ASSIGNMENT_STATUSES.includes(status)) {
+      return res.status(400).json({ message: 'Invalid status' });
+    }
+
+    const { data: assignment, error } = await supabase
+      .from('alert_assignments')
+      .select(ASSIGNMENT_SELECT)
+      .eq('id', req.params.assignmentId)
+      .eq('alert_id', req.params.alertId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    if (!canTransitionAssignment(assignment.status, status)) {
+      return res.status(409).json({
+        message: `Cannot change unit status from ${assignment.status} to ${status}`,
+        current_status: assignment.status,
+      });
+    }
+
+    const updated = await changeAssignmentStatus(assignment, status, req.user, req.body.note?.trim() || null);
+    if (!updated) {
+      return res.status(409).json({ message: 'Unit status was changed by someone else; reload and try again' });
+    }
+
+    if (status === 'released') {
+      await rescoreIncidentById('alert', assignment.alert_id);
+    }
+
+    getIO().to(STAFF_ROOM).emit('alert:assignment', updated);
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Update assignment status error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,252 @@
+const express = require('express');
+const supabase = require('../config/supabase');
+const authMiddleware = require('../middleware/auth');
+const { can } = require('../middleware/permissions');
+const { getIO, STAFF_ROOM, userRoom } = require('../socketInstance');
+
+// Mounted under /alerts/:alertId/notes
+const router = express.Router({ mergeParams: true });
+
+router.use(authMiddleware);
+
+const NOTE_FIELDS = 'id, alert_id, author_id, author_role, visibility, body, created_at';
+const NOTE_VISIBILITIES = ['internal', 'public'];
+const MAX_NOTE_LENGTH = 2000;
+const CLOSED_STATUSES = ['resolved', 'cancelled'];
+
+/**
+ * Load the alert and work out what the current user may do with its notes.
+ * Staff with alert.note see and post everything; the reporter sees and
+ * posts public notes only.
+ */
+const loadNoteAccess = async (alertId, user) => {
+  const { data: alert, error } = await supabase
+    .from('alerts')
+    .select('id, user_id, status')
+    .eq('id', alertId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!alert) return { code: 404, message: 'Alert not found' };
+
+  if (can(user, 'alert.note')) return { alert, staff: true };
+  if (alert.user_id === user.id) return { alert, staff: false };
+  return { code: 403, message: 'Access denied' };
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AlertNote:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         alert_id:
+ *           type: integer
+ *         author_id:
+ *           type: integer
+ *         author_role:
+ *           type: string
+ *         visibility:
+ *           type: string
+ *           enum: [internal, public]
+ *           description: internal notes are only shown to staff; public notes are also shown to the reporter
+ *         body:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         author:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             first_name:
+ *               type: string
+ *             last_name:
+ *               type: string
+ */
+
+/**
+ * @swagger
+ * /api/v1/alerts/{alertId}/notes:
+ *   get:
+ *     summary: List notes on an alert
+ *     description: |
+ *       Staff see every note. The reporting user only sees public notes on
+ *       their own alert.
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only notes created after this time (for catching up after a reconnect)
+ *     responses:
+ *       200:
+ *         description: Notes, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AlertNote'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Alert not found
+ */
+router.get('/', async (req, res) => {
+  try {
+    const access = await loadNoteAccess(req.params.alertId, req.user);
+    if (!access.alert) {
+      return res.status(access.code).json({ message: access.message });
+    }
+
+    let query = supabase
+      .from('alert_notes')
+      .select(`
+        ${NOTE_FIELDS},
+        author:author_id(id, first_name, last_name)
+      `)
+      .eq('alert_id', access.alert.id)
+      .order('created_at', { ascending: true });
+
+    if (!access.staff) {
+      query = query.eq('visibility', 'public');
+    }
+
+    if (req.query.since) {
+      query = query.gt('created_at', req.query.since);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    console.error('Get alert notes error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/alerts/{alertId}/notes:
+ *   post:
+ *     summary: Add a note to an alert
+ *     description: |
+ *       Staff notes default to `internal`. Notes from the reporting user are
+ *       always `public` and cannot be added once the alert is resolved or
+ *       cancelled.
+ *
+ *       Delivered in realtime as `alert:note`: internal notes to the staff
+ *       room only, public notes to staff and the reporter's user room.
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [body]
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 example: Patient now breathing
+ *               visibility:
+ *                 type: string
+ *                 enum: [internal, public]
+ *                 default: internal
+ *     responses:
+ *       201:
+ *         description: Note added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AlertNote'
+ *       400:
+ *         description: Missing or too long body, or invalid visibility
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Alert not found
+ *       409:
+ *         description: Alert is closed
+ */
+router.post('/', async (req, res) => {
+  try {
+    const access = await loadNoteAccess(req.params.alertId, req.user);
+    if (!access.alert) {
+      return res.status(access.code).json({ message: access.message });
+    }
+
+    const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+    if (!body) {
+      return res.status(400).json({ message: 'Note body is required' });
+    }
+    if (body.length > MAX_NOTE_LENGTH) {
+      return res.status(400).json({ message: `Notes are limited to ${MAX_NOTE_LENGTH} characters` });
+    }
+
+    let visibility = 'public';
+    if (access.staff) {
+      visibility = req.body.visibility || 'internal';
+      if (!NOTE_VISIBILITIES.includes(visibility)) {
+        return res.status(400).json({ message: 'Invalid visibility' });
+      }
+    } else if (CLOSED_STATUSES.includes(access.alert.status)) {
+      return res.status(409).json({ message: `Alert is ${access.alert.status}` });
+    }
+
+    const { data, error } = await supabase
+      .from('alert_notes')
+      .insert([{
+        alert_id: access.alert.id,
+        author_id: req.user.id,
+        author_role: req.user.role,
+        visibility,
+        body,
+        created_at: new Date().toISOString(),
+      }])
+      .select(`
+        ${NOTE_FIELDS},
+        author:author_id(id, first_name, last_name)
+      `)
+      .single();
+
+    if (error) throw error;
+
+    const io = getIO();
+    if (visibility === 'public') {
+      io.to(STAFF_ROOM).to(userRoom(access.alert.user_id)).emit('alert:note', data);
+    } else {
+      io.to(STAFF_ROOM).emit('alert:note', data);
+    }
+
+    res.status(201).json(data);
+  } catch (error) {
+    console.error('Create alert note error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+module.exports = router;
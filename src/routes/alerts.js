@@ -1,10 +1,58 @@
 const express = require('express');
 const supabase = require('../config/supabase');
 const authMiddleware = require('../middleware/auth');
-const { getIO } = require('../socketInstance');
+const requireMfa = require('../middleware/requireMfa');
+const { can, requirePermission } = require('../middleware/permissions');
+const requireVerified = require('../middleware/requireVerified');
+const { recordAudit } = require('../utils/audit');
+const { recordAlertEvent, getAlertTimeline } = require('../utils/alertTimeline');
+const {
+  ALERT_STATUSES,
+  ALERT_TRANSITIONS,
+  LEGACY_STATUS_ALIASES,
+  STATUS_TIMESTAMPS,
+  VEHICLE_STATUS_FOR_ALERT,
+  canTransition,
+} = require('../config/alertLifecycle');
+const { getIO, STAFF_ROOM } = require('../socketInstance');
+const { ALERT_TYPES, ALERT_SEVERITIES, severityRank } = require('../config/alerts');
+const { ALERT_LIST_SELECT, parseAlertListOptions, applyAlertFilters } = require('../utils/alertQuery');
+const { applyCursor, encodeCursor, iterateKeyset, paginateRows } = require('../utils/pagination');
+const { fetchWithinRadius } = require('../utils/geo');
+const { EXPORT_FORMATS, drained, streamExport } = require('../utils/incidentExport');
+const {
+  DUPLICATE_RADIUS_M,
+  DUPLICATE_WINDOW_MINUTES,
+  findDuplicates,
+  announceDuplicates,
+  getMergedSources,
+  getAlertReporters,
+  mergeReports,
+} = require('../utils/duplicates');
+const {
+  getAssignments,
+  withoutContacts,
+  getActiveAssignments,
+  checkUnit,
+  assignUnit,
+  changeAssignmentStatus,
+  releaseActiveAssignments,
+} = require('../utils/assignments');
+const { rescoreIncident, rescoreIncidentById } = require('../utils/priority');
 const router = express.Router();
 
+const EXPORT_COLUMNS = [
+  'id', 'alert_type', 'severity', 'status', 'title', 'description', 'location', 'latitude', 'longitude',
+  'user_id', 'reported_at', 'acknowledged_at', 'en_route_at', 'on_scene_at', 'resolved_at', 'cancelled_at',
+  'merged_into_id', 'priority_score',
+];
 
+// Columns PUT may change. Status, assignments, merges and escalation each
+// have their own endpoint so they reach the timeline and audit log.
+const EDITABLE_FIELDS = ['title', 'description', 'location', 'latitude', 'longitude', 'severity', 'alert_type'];
+
+// The sort columns have to be read too, for keyset paging
+const EXPORT_SELECT = [...EXPORT_COLUMNS, 'severity_rank'].join(', ');
 
 // Protect all routes
 router.use(authMiddleware);
@@ -16,6 +64,83 @@ router.use(authMiddleware);
  *   description: Emergency alert/report management
  */
 
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     GeoNear:
+ *       in: query
+ *       name: near
+ *       schema:
+ *         type: string
+ *         example: 14.5995,120.9842
+ *       description: Centre of a radius search as latitude,longitude. Adds distance_m (metres) to each result.
+ *     GeoRadius:
+ *       in: query
+ *       name: radius_m
+ *       schema:
+ *         type: number
+ *         maximum: 200000
+ *         example: 5000
+ *       description: Search radius in metres, required with near
+ *     GeoBbox:
+ *       in: query
+ *       name: bbox
+ *       schema:
+ *         type: string
+ *         example: 120.90,14.50,121.10,14.70
+ *       description: Visible map area as west,south,east,north
+ *     ExportFormat:
+ *       in: query
+ *       name: format
+ *       schema:
+ *         type: string
+ *         enum: [csv, geojson, kml]
+ *         default: csv
+ *       description: CSV, a GeoJSON FeatureCollection, or KML placemarks. Records without coordinates have no geometry.
+ */
+
+/**
+ * Fetch one page of the alerts listing as { data, total, nextCursor }
+ */
+const fetchAlertPage = async (options, user) => {
+  const { column, ascending, limit, cursor, offset } = options;
+
+  let query = applyAlertFilters(
+    supabase.from('alerts').select(ALERT_LIST_SELECT, { count: 'exact' }),
+    options,
+    user
+  )
+    .order(column, { ascending, nullsFirst: false })
+    .order('id', { ascending });
+
+  query = cursor
+    ? applyCursor(query, cursor, column, ascending).limit(limit)
+    : query.range(offset, offset + limit - 1);
+
+  const { data, error, count } = await query;
+
+  if (error) throw error;
+
+  // With a cursor the count only covers the remaining rows
+  let total = count;
+  if (cursor) {
+    const { count: fullCount, error: countError } = await applyAlertFilters(
+      supabase.from('alerts').select('id', { count: 'exact', head: true }),
+      options,
+      user
+    );
+    if (countError) throw countError;
+    total = fullCount;
+  }
+
+  return {
+    data,
+    total,
+    nextCursor: data.length === limit ? encodeCursor(data[data.length - 1], column) : null,
+  };
+};
+
 /**
  * @swagger
  * /api/v1/alerts:
@@ -24,7 +149,13 @@ router.use(authMiddleware);
  *     description: |
  *       - **Users** can only see alerts they created.
  *       - **Admin/Dispatcher/Rescuer** can see all alerts.
- *       - Supports filtering by status, type, or specific user.
+ *       - Supports filtering by status, type, severity, user, date range and
+ *         area, and searching title, description and location.
+ *
+ *       Pages with `limit`/`offset`, or with `cursor` set to the previous
+ *       page's `next_cursor` (stable while new alerts arrive).
+ *       `stream=true` returns every matching alert as newline-delimited
+ *       JSON instead of a page.
  *     tags: [Alerts]
  *     security:
  *       - bearerAuth: []
@@ -33,59 +164,248 @@ router.use(authMiddleware);
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, responding, resolved, cancelled]
+ *           example: pending,acknowledged
+ *         description: One or more of pending, acknowledged, en_route, on_scene, resolved, cancelled (comma-separated)
  *       - in: query
  *         name: alert_type
  *         schema:
  *           type: string
- *           enum: [medical, fire, accident, crime, natural_disaster, other]
+ *         description: One or more of medical, fire, accident, crime, natural_disaster, other (comma-separated)
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *         description: One or more of low, medium, high, critical (comma-separated)
  *       - in: query
  *         name: user_id
  *         schema:
  *           type: integer
  *         description: Admin/Dispatcher only filter
+ *       - in: query
+ *         name: include_merged
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Staff only; also list alerts that were merged into another alert
+ *       - in: query
+ *         name: anonymous
+ *         schema:
+ *           type: boolean
+ *         description: Staff only; true lists only reports filed without an account through /public/reports, false leaves them out
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Filters on reported_at
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Filters on reported_at
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Search words; each must appear in the title, description or location
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [reported_at, severity, priority, status, distance]
+ *           default: reported_at
+ *         description: priority sorts by triage score, see /priority/weights; distance requires near
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: Defaults to asc for distance, desc otherwise
+ *       - $ref: '#/components/parameters/GeoNear'
+ *       - $ref: '#/components/parameters/GeoRadius'
+ *       - $ref: '#/components/parameters/GeoBbox'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Ignored when cursor is given
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: stream
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
  *         description: Alerts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     offset:
+ *                       type: integer
+ *                       nullable: true
+ *                     returned:
+ *                       type: integer
+ *                     next_cursor:
+ *                       type: string
+ *                       nullable: true
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid filter, sort or cursor, or too many alerts in the search radius
  */
 
 router.get('/', async (req, res) => {
   try {
-    const { status, alert_type, user_id } = req.query;
+    const options = parseAlertListOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ message: options.error });
+    }
 
-    let query = supabase
-      .from('alerts')
-      .select(`
-        *,
-        user:user_id(id, first_name, last_name, email, user_phone_number),
-        vehicle:assigned_vehicle_id(id, license_plate, vehicle_type, model),
-        responder:assigned_responder_id(id, first_name, last_name, user_phone_number)
-      `)
-      .order('reported_at', { ascending: false });
+    const { column, ascending, limit } = options;
+
+    // Radius searches are measured and ranked here rather than in the database
+    let nearby = null;
+    if (options.geo.near) {
+      nearby = await fetchWithinRadius(
+        applyAlertFilters(supabase.from('alerts').select(ALERT_LIST_SELECT), options, req.user),
+        options.geo.near
+      );
+      if (nearby.error) {
+        return res.status(400).json({ message: nearby.error });
+      }
+    }
 
-    // Filters
-    if (status) {
-      query = query.eq('status', status);
+    if (req.query.stream === 'true') {
+      res.set('Content-Type', 'application/x-ndjson');
+
+      const rows = nearby
+        ? paginateRows(nearby.rows, { ...options, offset: 0, limit: Infinity }).data
+        : iterateKeyset(
+          () => applyAlertFilters(supabase.from('alerts').select(ALERT_LIST_SELECT), options, req.user),
+          column,
+          ascending,
+          { cursor: options.cursor }
+        );
+
+      for await (const row of rows) {
+        if (res.destroyed) return;
+        if (!res.write(`${JSON.stringify(row)}\n`) && !res.destroyed) {
+          await drained(res);
+        }
+      }
+      return res.end();
     }
 
-    if (alert_type) {
-      query = query.eq('alert_type', alert_type);
+    const page = nearby
+      ? paginateRows(nearby.rows, options)
+      : await fetchAlertPage(options, req.user);
+
+    res.json({
+      data: page.data,
+      pagination: {
+        total: page.total,
+        limit,
+        offset: options.cursor ? null : options.offset,
+        returned: page.data.length,
+        next_cursor: page.nextCursor,
+      },
+    });
+  } catch (error) {
+    console.error('Get alerts error:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/alerts/export:
+ *   get:
+ *     summary: Export alerts as CSV, GeoJSON or KML
+ *     description: |
+ *       Takes the same filters, search and sort as the alerts list and
+ *       streams every matching alert; `limit`, `offset`, `cursor` and
+ *       `stream` are ignored. Users only export the alerts they created.
+ *       Radius searches add `distance_m`.
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ExportFormat'
+ *       - $ref: '#/components/parameters/GeoNear'
+ *       - $ref: '#/components/parameters/GeoRadius'
+ *       - $ref: '#/components/parameters/GeoBbox'
+ *     responses:
+ *       200:
+ *         description: File download
+ *         content:
+ *           text/csv: {}
+ *           application/geo+json: {}
+ *           application/vnd.google-earth.kml+xml: {}
+ *       400:
+ *         description: Invalid format, filter or sort, or too many alerts in the search radius
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
     }
 
-    // Regular users can only see their own alerts
-    if (req.user.role === 'user') {
-      query = query.eq('user_id', req.user.id);
-    } else if (user_id) {
-      // Admin/dispatcher can filter by user
-      query = query.eq('user_id', user_id);
+    const options = parseAlertListOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ message: options.error });
     }
 
-    const { data, error } = await query;
+    const buildQuery = () => applyAlertFilters(supabase.from('alerts').select(EXPORT_SELECT), options, req.user);
+
+    let rows;
+    if (options.geo.near) {
+      const nearby = await fetchWithinRadius(buildQuery(), options.geo.near);
+      if (nearby.error) {
+        return res.status(400).json({ message: nearby.error });
+      }
+      rows = paginateRows(nearby.rows, { ...options, cursor: null, offset: 0, limit: Infinity }).data;
+    } else {
+      rows = iterateKeyset(buildQuery, options.column, options.ascending);
+    }
 
-    if (error) throw error;
-    res.json(data);
+    await streamExport(res, rows, {
+      format,
+      name: 'alerts',
+      columns: options.geo.near ? [...EXPORT_COLUMNS, 'distance_m'] : EXPORT_COLUMNS,
+      label: (alert) => [alert.alert_type, alert.title].filter(Boolean).join(': ') || `Alert ${alert.id}`,
+      timeColumn: 'reported_at',
+    });
   } catch (error) {
-    console.error('Get alerts error:', error);
+    console.error('Export alerts error:', error);
+    if (res.headersSent) return res.destroy(error);
     res.status(500).json({ message: error.message || 'Server error' });
   }
 });
@@ -97,7 +417,9 @@ router.get('/', async (req, res) => {
  *     summary: Get alert by ID
  *     description: |
  *       Users may only access their own alert.
- *       Admin/Dispatcher/Rescuer may access any alert.
+ *       Admin/Dispatcher/Rescuer may access any alert, and also get
+ *       `reporters`: everyone who reported it, including through merged
+ *       duplicates. `merged_into_id` is set on an alert that was merged.
  *     tags: [Alerts]
  *     security:
  *       - bearerAuth: []
@@ -122,9 +444,14 @@ router.get('/:id', async (req, res) => {
       .from('alerts')
       .select(`
         *,
-        user:user_id(id, first_name, last_name, email, user_phone_number),
+        user:user_id(id, first_name, last_name, email, user_phone_number, email_verified, phone_verified),
         vehicle:assigned_vehicle_id(id, license_plate, vehicle_type, model),
-        responder:assigned_responder_id(id, first_name, last_name, user_phone_number)
+        responder:assigned_responder_id(id, first_name, last_name, user_phone_number),
+        assignments:alert_assignments(
+          id, vehicle_id, responder_id, role, status, dispatched_at, en_route_at, on_scene_at, released_at,
+          vehicle:vehicle_id(id, license_plate, vehicle_type, model),
+          responder:responder_id(id, first_name, last_name, user_phone_number)
+        )
       `)
       .eq('id', req.params.id)
       .single();
@@ -134,11 +461,18 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Alert not found' });
     }
 
-    // Regular users can only see their own alerts
-    if (req.user.role === 'user' && data.user_id !== req.user.id) {
+    // Users without alert.view_all can only see their own alerts
+    if (!can(req.user, 'alert.view_all') && data.user_id !== req.user.id) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    // Staff also see who filed the duplicates merged into this alert
+    if (can(req.user, 'alert.view_all')) {
+      data.reporters = await getAlertReporters(data);
+    } else if (data.assignments) {
+      data.assignments = data.assignments.map(withoutContacts);
+    }
+
     res.json(data);
   } catch (error) {
     console.error('Get alert error:', error);
@@ -154,6 +488,9 @@ router.get('/:id', async (req, res) => {
  *     description: |
  *       Creates an alert reported by the authenticated user.
  *       Status is automatically set to **pending**.
+ *
+ *       Staff are sent `incident:possible_duplicates` when open reports of
+ *       the same type were filed nearby around the same time.
  *     tags: [Alerts]
  *     security:
  *       - bearerAuth: []
@@ -190,9 +527,11 @@ router.get('/:id', async (req, res) => {
  *     responses:
  *       201:
  *         description: Alert created
+ *       403:
+ *         description: Account verification required by this deployment
  */
 
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('alert.create'), requireVerified, async (req, res) => {
   try {
     const {
       alert_type,
@@ -211,14 +550,11 @@ router.post('/', async (req, res) => {
     }
 
     // Validate enums
-    const validAlertTypes = ['medical', 'fire', 'accident', 'crime', 'natural_disaster', 'other'];
-    const validSeverities = ['low', 'medium', 'high', 'critical'];
-
-    if (!validAlertTypes.includes(alert_type)) {
+    if (!ALERT_TYPES.includes(alert_type)) {
       return res.status(400).json({ message: 'Invalid alert type' });
     }
 
-    if (!validSeverities.includes(severity)) {
+    if (!ALERT_SEVERITIES.includes(severity)) {
       return res.status(400).json({ message: 'Invalid severity level' });
     }
 
@@ -226,6 +562,7 @@ router.post('/', async (req, res) => {
       user_id: req.user.id,
       alert_type,
       severity,
+      severity_rank: severityRank(severity),
       title: title.trim(),
       description: description?.trim() || null,
       location: location.trim(),
@@ -240,17 +577,28 @@ router.post('/', async (req, res) => {
       .insert([alertData])
       .select(`
         *,
-        user:user_id(id, first_name, last_name, email)
+        user:user_id(id, first_name, last_name, email, user_phone_number, email_verified, phone_verified)
       `)
       .single();
 
     if (error) throw error;
 
+    await recordAlertEvent(data.id, req.user, { eventType: 'created', toStatus: data.status });
+    Object.assign(data, await rescoreIncident('alert', data));
+
     const io = getIO();
 io.emit("alert:new", data);
 
     res.status(201).json(data);
 
+    announceDuplicates({ alert_id: data.id }, {
+      alertType: data.alert_type,
+      latitude: data.latitude,
+      longitude: data.longitude,
+      reportedAt: data.reported_at || data.created_at,
+      excludeAlertId: data.id,
+    });
+
 
   } catch (error) {
     console.error('Create alert error:', error);
@@ -264,8 +612,9 @@ io.emit("alert:new", data);
  *   put:
  *     summary: Update alert fields (Admin/Dispatcher only)
  *     description: |
- *       Allows partial update of alert fields.
- *       Only roles **admin** and **dispatcher** may update alerts.
+ *       Allows partial update of the alert's details. Other fields are
+ *       ignored. Only roles **admin** and **dispatcher** may update alerts.
+ *       The status cannot be changed here; use the status endpoint.
  *     tags: [Alerts]
  *     security:
  *       - bearerAuth: []
@@ -275,29 +624,72 @@ io.emit("alert:new", data);
  *         required: true
  *         schema:
  *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *               location:
+ *                 type: string
+ *               latitude:
+ *                 type: number
+ *                 nullable: true
+ *               longitude:
+ *                 type: number
+ *                 nullable: true
+ *               severity:
+ *                 type: string
+ *                 enum: [low, medium, high, critical]
+ *               alert_type:
+ *                 type: string
+ *                 enum: [medical, fire, accident, crime, natural_disaster, other]
  *     responses:
  *       200:
  *         description: Alert updated
+ *       400:
+ *         description: Request tried to change the status, assign units or merge the alert, had no editable fields or an invalid severity or type
  *       403:
  *         description: Unauthorized role
  */
 
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('alert.update'), requireMfa, async (req, res) => {
   try {
-    // Only admin/dispatcher can update
-    if (!['admin', 'dispatcher'].includes(req.user.role)) {
-      return res.status(403).json({ message: 'Access denied' });
+    if (req.body.status !== undefined) {
+      return res.status(400).json({ message: 'Use PATCH /alerts/:id/status to change the status' });
+    }
+    if (req.body.merged_into_id !== undefined) {
+      return res.status(400).json({ message: 'Use POST /alerts/:id/merge to merge duplicate reports' });
+    }
+    if (req.body.assigned_vehicle_id !== undefined || req.body.assigned_responder_id !== undefined) {
+      return res.status(400).json({ message: 'Use /alerts/:id/assignments to assign units' });
     }
-    
-    const updateData = {
-      ...req.body,
-      updated_at: new Date().toISOString(),
-    };
 
-    // Remove undefined fields
-    Object.keys(updateData).forEach(key =>
-      updateData[key] === undefined && delete updateData[key]
-    );
+    const updateData = {};
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({ message: `No editable fields; send any of: ${EDITABLE_FIELDS.join(', ')}` });
+    }
+    if (updateData.alert_type !== undefined && !ALERT_TYPES.includes(updateData.alert_type)) {
+      return res.status(400).json({ message: 'Invalid alert type' });
+    }
+    if (updateData.severity !== undefined) {
+      if (!ALERT_SEVERITIES.includes(updateData.severity)) {
+        return res.status(400).json({ message: 'Invalid severity level' });
+      }
+      updateData.severity_rank = severityRank(updateData.severity);
+    }
+
+    updateData.updated_at = new Date().toISOString();
 
     const { data, error } = await supabase
       .from('alerts')
@@ -311,6 +703,12 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Alert not found' });
     }
 
+    await recordAlertEvent(data.id, req.user, {
+      eventType: 'updated',
+      details: { fields: Object.keys(updateData).filter((key) => key !== 'updated_at') },
+    });
+    Object.assign(data, await rescoreIncident('alert', data));
+
     const io = getIO();
 io.emit("alert:updated", data);
 
@@ -325,16 +723,35 @@ io.emit("alert:updated", data);
  * @swagger
  * /api/v1/alerts/{id}/status:
  *   patch:
- *     summary: Update alert status
+ *     summary: Move an alert to its next lifecycle state
  *     description: |
  *       Allowed roles: **admin, dispatcher, rescuer**
  *
- *       Automatically manages vehicle lifecycle:
- *       - responding → assigned vehicle status becomes `responding`
- *       - resolved   → vehicle status becomes `available`
+ *       Allowed transitions:
+ *       - pending → acknowledged, en_route, cancelled
+ *       - acknowledged → en_route, cancelled
+ *       - en_route → on_scene, cancelled
+ *       - on_scene → resolved
+ *
+ *       `resolved` and `cancelled` are final. The legacy `responding` status
+ *       is treated as `en_route`.
+ *
+ *       Each transition is added to the alert timeline, stamps the matching
+ *       `<status>_at` column and emits `alert:status_updated` plus
+ *       `alert:<status>` over Socket.IO.
+ *
+ *       Resolving or cancelling the alert releases every unit still
+ *       assigned to it, making their vehicles `available`. Units report
+ *       their own progress through `/alerts/{alertId}/assignments`.
  *     tags: [Alerts]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
  *     requestBody:
  *       required: true
  *       content:
@@ -345,58 +762,404 @@ io.emit("alert:updated", data);
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [pending, responding, resolved, cancelled]
+ *                 enum: [acknowledged, en_route, on_scene, resolved, cancelled]
+ *               note:
+ *                 type: string
+ *                 description: Added to the timeline entry
  *     responses:
  *       200:
  *         description: Status updated
+ *       400:
+ *         description: Unknown status
+ *       404:
+ *         description: Alert not found
+ *       409:
+ *         description: Transition not allowed from the current status, or the status changed concurrently
  */
 
-router.patch('/:id/status', async (req, res) => {
+router.patch('/:id/status', requirePermission('alert.update_status'), requireMfa, async (req, res) => {
   try {
-    const { status } = req.body;
+    const status = LEGACY_STATUS_ALIASES[req.body.status] || req.body.status;
 
-    const validStatuses = ['pending', 'responding', 'resolved', 'cancelled'];
-    if (!validStatuses.includes(status)) {
+    if (!ALERT_STATUSES.includes(status)) {
       return res.status(400).json({ message: 'Invalid status' });
     }
 
-    // Only admin/dispatcher can update status
-    if (!['admin', 'dispatcher', 'rescuer'].includes(req.user.role)) {
-      return res.status(403).json({ message: 'Access denied' });
+    const { data: current, error: fetchError } = await supabase
+      .from('alerts')
+      .select('id, status, merged_into_id')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!current) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+
+    if (current.merged_into_id) {
+      return res.status(409).json({
+        message: `Alert was merged into alert ${current.merged_into_id}; update that alert instead`,
+        merged_into_id: current.merged_into_id,
+      });
     }
 
+    if (!canTransition(current.status, status)) {
+      return res.status(409).json({
+        message: `Cannot change status from ${current.status} to ${status}`,
+        current_status: current.status,
+      });
+    }
+
+    const now = new Date().toISOString();
     const updateData = {
       status,
-      updated_at: new Date().toISOString(),
+      [STATUS_TIMESTAMPS[status]]: now,
+      updated_at: now,
     };
 
-     const { data, error } = await supabase
+    // Only apply if nobody moved the alert since we read it
+    const { data, error } = await supabase
       .from('alerts')
       .update(updateData)
       .eq('id', req.params.id)
+      .eq('status', current.status)
       .select()
-      .single();
+      .maybeSingle();
 
     if (error) throw error;
+    if (!data) {
+      return res.status(409).json({ message: 'Alert status changed concurrently, reload and try again' });
+    }
 
- if (status === 'responding' && data.assigned_vehicle_id) {
-      await supabase.from('vehicles').update({ status: 'responding' }).eq('id', data.assigned_vehicle_id);
+    // Alerts from before multi-unit assignments carry a single vehicle slot
+    if (VEHICLE_STATUS_FOR_ALERT[status] && data.assigned_vehicle_id) {
+      await supabase.from('vehicles').update({ status: VEHICLE_STATUS_FOR_ALERT[status] }).eq('id', data.assigned_vehicle_id);
     }
 
-    if (status === 'resolved' && data.assigned_vehicle_id) {
-      await supabase.from('vehicles').update({ status: 'available' }).eq('id', data.assigned_vehicle_id);
+    // Closing the alert stands down every unit still on it
+    if (ALERT_TRANSITIONS[status].length === 0) {
+      await releaseActiveAssignments(data.id, req.user);
     }
 
+    const event = await recordAlertEvent(data.id, req.user, {
+      eventType: 'status_changed',
+      fromStatus: current.status,
+      toStatus: status,
+      note: req.body.note?.trim() || null,
+    });
+    Object.assign(data, await rescoreIncident('alert', data));
 
-        const io = getIO();
-io.emit("alert:status_updated", data);
+    const io = getIO();
+    io.emit('alert:status_updated', data);
+    io.emit(`alert:${status}`, { alert: data, event });
 
     res.json(data);
+  } catch (error) {
+    console.error('Update status error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
 
+/**
+ * @swagger
+ * /api/v1/alerts/{id}/timeline:
+ *   get:
+ *     summary: Get the timeline of an alert
+ *     description: |
+ *       Creation, every status transition, assignments and edits, oldest
+ *       first, each with the acting user and timestamp. Entries from alerts
+ *       merged into this one are included, told apart by `alert_id`. Users
+ *       may only see the timeline of their own alerts.
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Timeline entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   event_type:
+ *                     type: string
+ *                     enum: [created, status_changed, assigned, updated, merged, merged_into, escalated, unit_assigned, unit_status_changed]
+ *                   from_status:
+ *                     type: string
+ *                     nullable: true
+ *                   to_status:
+ *                     type: string
+ *                     nullable: true
+ *                   actor_id:
+ *                     type: integer
+ *                     nullable: true
+ *                   actor_role:
+ *                     type: string
+ *                     nullable: true
+ *                   note:
+ *                     type: string
+ *                     nullable: true
+ *                   details:
+ *                     type: object
+ *                     nullable: true
+ *                   created_at:
+ *                     type: string
+ *                     format: date-time
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Alert not found
+ */
+router.get('/:id/timeline', async (req, res) => {
+  try {
+    const { data: alert, error } = await supabase
+      .from('alerts')
+      .select('id, user_id')
+      .eq('id', req.params.id)
+      .maybeSingle();
 
+    if (error) throw error;
+    if (!alert) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+
+    if (!can(req.user, 'alert.view_all') && alert.user_id !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
 
+    const { alertIds } = await getMergedSources(alert.id);
+    res.json(await getAlertTimeline(alert.id, alertIds));
   } catch (error) {
-    console.error('Update status error:', error);
+    console.error('Get alert timeline error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/alerts/{id}/duplicates:
+ *   get:
+ *     summary: Suggest likely duplicates of an alert (Staff only)
+ *     description: |
+ *       Open, unmerged alerts of the same type reported within
+ *       DUPLICATE_RADIUS_M metres (default 300) and DUPLICATE_WINDOW_MINUTES
+ *       minutes (default 30) of this one, nearest first. For accidents,
+ *       crash detector events are suggested too.
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Suggested duplicates, each with distance_m and minutes_apart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 alert_id:
+ *                   type: integer
+ *                 radius_m:
+ *                   type: integer
+ *                 window_minutes:
+ *                   type: integer
+ *                 alerts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 crash_events:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       404:
+ *         description: Alert not found
+ */
+router.get('/:id/duplicates', requirePermission('alert.view_all'), async (req, res) => {
+  try {
+    const { data: alert, error } = await supabase
+      .from('alerts')
+      .select('id, alert_type, latitude, longitude, reported_at, created_at')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!alert) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+
+    const duplicates = await findDuplicates({
+      alertType: alert.alert_type,
+      latitude: alert.latitude,
+      longitude: alert.longitude,
+      reportedAt: alert.reported_at || alert.created_at,
+      excludeAlertId: alert.id,
+    });
+
+    res.json({
+      alert_id: alert.id,
+      radius_m: DUPLICATE_RADIUS_M,
+      window_minutes: DUPLICATE_WINDOW_MINUTES,
+      ...duplicates,
+    });
+  } catch (error) {
+    console.error('Get alert duplicates error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/alerts/{id}/merge:
+ *   post:
+ *     summary: Merge duplicate reports into this alert (Admin/Dispatcher only)
+ *     description: |
+ *       The merged alerts and crash events are kept, with `merged_into_id` /
+ *       `merged_into_alert_id` pointing here. Their reporters are listed on
+ *       this alert, their media is returned with this alert's media and their
+ *       timelines are shown in this alert's timeline. Anything previously
+ *       merged into a merged alert moves here as well.
+ *
+ *       Merged alerts drop out of the staff alert list and their status can
+ *       no longer be changed. Emits `alert:merged` to staff.
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Primary alert
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               alert_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               crash_event_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Reports merged
+ *       400:
+ *         description: Nothing to merge, or the primary alert is among the reports
+ *       404:
+ *         description: Alert, or one of the reports, not found
+ *       409:
+ *         description: The primary alert or one of the reports was already merged
+ */
+router.post('/:id/merge', requirePermission('alert.merge'), requireMfa, async (req, res) => {
+  try {
+    const { alert_ids = [], crash_event_ids = [] } = req.body;
+
+    if (!Array.isArray(alert_ids) || !Array.isArray(crash_event_ids)) {
+      return res.status(400).json({ message: 'alert_ids and crash_event_ids must be arrays' });
+    }
+
+    const alertIds = [...new Set(alert_ids.map(Number))];
+    const crashEventIds = [...new Set(crash_event_ids.map(Number))];
+
+    if (alertIds.length === 0 && crashEventIds.length === 0) {
+      return res.status(400).json({ message: 'Provide alert_ids or crash_event_ids to merge' });
+    }
+    if (![...alertIds, ...crashEventIds].every(Number.isInteger)) {
+      return res.status(400).json({ message: 'Ids must be integers' });
+    }
+
+    const { data: primary, error: primaryError } = await supabase
+      .from('alerts')
+      .select(`
+        id, user_id, reported_at, merged_into_id,
+        user:user_id(id, first_name, last_name, user_phone_number)
+      `)
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (primaryError) throw primaryError;
+    if (!primary) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+    if (primary.merged_into_id) {
+      return res.status(409).json({ message: `Alert was merged into alert ${primary.merged_into_id}; merge into that alert instead` });
+    }
+    if (alertIds.includes(primary.id)) {
+      return res.status(400).json({ message: 'An alert cannot be merged into itself' });
+    }
+
+    const [sourceAlerts, sourceCrashes] = await Promise.all([
+      alertIds.length > 0
+        ? supabase.from('alerts').select('id, merged_into_id').in('id', alertIds)
+        : { data: [] },
+      crashEventIds.length > 0
+        ? supabase.from('crash_events').select('id, merged_into_alert_id').in('id', crashEventIds)
+        : { data: [] },
+    ]);
+
+    if (sourceAlerts.error) throw sourceAlerts.error;
+    if (sourceCrashes.error) throw sourceCrashes.error;
+
+    if (sourceAlerts.data.length !== alertIds.length) {
+      const found = sourceAlerts.data.map((alert) => alert.id);
+      return res.status(404).json({ message: 'Some alerts were not found', missing: alertIds.filter((id) => !found.includes(id)) });
+    }
+    if (sourceCrashes.data.length !== crashEventIds.length) {
+      const found = sourceCrashes.data.map((event) => event.id);
+      return res.status(404).json({ message: 'Some crash events were not found', missing: crashEventIds.filter((id) => !found.includes(id)) });
+    }
+
+    const alreadyMerged = [
+      ...sourceAlerts.data.filter((alert) => alert.merged_into_id).map((alert) => `alert ${alert.id}`),
+      ...sourceCrashes.data.filter((event) => event.merged_into_alert_id).map((event) => `crash event ${event.id}`),
+    ];
+    if (alreadyMerged.length > 0) {
+      return res.status(409).json({ message: `Already merged: ${alreadyMerged.join(', ')}` });
+    }
+
+    const { mergedAlertIds, mergedCrashEventIds } = await mergeReports(primary, { alertIds, crashEventIds }, req.user);
+
+    await recordAudit(req, {
+      action: 'alert.merge',
+      targetType: 'alert',
+      targetId: primary.id,
+      after: { alert_ids: mergedAlertIds, crash_event_ids: mergedCrashEventIds },
+    });
+
+    const result = {
+      alert_id: primary.id,
+      merged_alert_ids: mergedAlertIds,
+      merged_crash_event_ids: mergedCrashEventIds,
+      reporters: await getAlertReporters(primary),
+    };
+
+    // Reporter details are for staff only
+    getIO().to(STAFF_ROOM).emit('alert:merged', result);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Merge alerts error:', error);
     res.status(500).json({ message: error.message || 'Server error' });
   }
 });
@@ -405,13 +1168,14 @@ io.emit("alert:status_updated", data);
  * @swagger
  * /api/v1/alerts/{id}/assign:
  *   patch:
- *     summary: Assign vehicle and responder (Admin/Dispatcher only)
+ *     summary: Replace the units on an alert with one vehicle and/or responder (Admin/Dispatcher only)
+ *     deprecated: true
  *     description: |
- *       Assigns a vehicle and/or responder to the alert.
- *
- *       Business rules automatically enforced:
- *       - Previous vehicle (if replaced) → set to `available`
- *       - New vehicle → set to `assigned`
+ *       Kept for clients of the single-unit model. Releases every other unit
+ *       on the alert and dispatches the given vehicle and/or responder unless
+ *       they are already on it together. Sending neither just releases
+ *       everyone. Use `/alerts/{alertId}/assignments` to work with several
+ *       units.
  *     tags: [Alerts]
  *     security:
  *       - bearerAuth: []
@@ -428,71 +1192,89 @@ io.emit("alert:status_updated", data);
  *                 type: integer
  *     responses:
  *       200:
- *         description: Assignment successful
+ *         description: The alert's assignments after the change
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AlertAssignment'
+ *       400:
+ *         description: vehicle_id or responder_id is not a positive integer
+ *       404:
+ *         description: Alert, vehicle or responder not found; no units were released
+ *       409:
+ *         description: Alert is closed or merged, or the unit is unavailable or assigned elsewhere; no units were released
  */
 
-router.patch('/:id/assign', async (req, res) => {
+router.patch('/:id/assign', requirePermission('alert.assign'), requireMfa, async (req, res) => {
   try {
-    const { vehicle_id, responder_id } = req.body;
+    const vehicleId = req.body.vehicle_id ? Number(req.body.vehicle_id) : null;
+    const responderId = req.body.responder_id ? Number(req.body.responder_id) : null;
 
-    if (!['admin', 'dispatcher'].includes(req.user.role)) {
-      return res.status(403).json({ message: 'Access denied' });
+    for (const [field, id] of [['vehicle_id', vehicleId], ['responder_id', responderId]]) {
+      if (id !== null && !(Number.isSafeInteger(id) && id > 0)) {
+        return res.status(400).json({ message: `${field} must be a positive integer` });
+      }
     }
 
-    // FIX: Use different variable names to avoid redeclaration conflict
-    const { data: currentAlert, error: currentAlertError } = await supabase
+    const { data: alert, error: alertError } = await supabase
       .from('alerts')
-      .select('assigned_vehicle_id')
+      .select('id, status, merged_into_id')
       .eq('id', req.params.id)
-      .single();
+      .maybeSingle();
 
-    if (currentAlertError) throw currentAlertError;
+    if (alertError) throw alertError;
+    if (!alert) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+    if (alert.merged_into_id) {
+      return res.status(409).json({ message: `Alert was merged into alert ${alert.merged_into_id}; assign units there instead` });
+    }
+    if ((ALERT_TRANSITIONS[alert.status] || []).length === 0) {
+      return res.status(409).json({ message: `Alert is ${alert.status}` });
+    }
 
-    const updateData = {
-      assigned_vehicle_id: vehicle_id || null,
-      assigned_responder_id: responder_id || null,
-      updated_at: new Date().toISOString(),
-    };
+    const active = await getActiveAssignments(alert.id);
+    const kept = active.find((assignment) => assignment.vehicle_id === vehicleId && assignment.responder_id === responderId);
 
-    // FIX: Use a distinct variable name for the updated alert
-    const { data: updatedAlert, error: updateError } = await supabase
-      .from('alerts')
-      .update(updateData)
-      .eq('id', req.params.id)
-      .select(`
-        *,
-        vehicle:assigned_vehicle_id(id, license_plate, vehicle_type, status),
-        responder:assigned_responder_id(id, first_name, last_name)
-      `)
-      .single();
+    // Check the new unit before releasing anything, so a failed reassignment
+    // leaves the alert staffed as it was
+    if (!kept && (vehicleId || responderId)) {
+      const check = await checkUnit({ vehicleId, responderId }, { releasingAlertId: alert.id });
+      if (check.code) {
+        return res.status(check.code).json({ message: check.message });
+      }
+    }
 
-    if (updateError) throw updateError;
+    await Promise.all(active
+      .filter((assignment) => assignment !== kept)
+      .map((assignment) => changeAssignmentStatus(assignment, 'released', req.user)));
 
-    // Update old vehicle back to available (if it was replaced)
-    if (
-      currentAlert?.assigned_vehicle_id &&
-      currentAlert.assigned_vehicle_id !== vehicle_id
-    ) {
-      await supabase
-        .from('vehicles')
-        .update({ status: 'available' })
-        .eq('id', currentAlert.assigned_vehicle_id);
+    if (!kept && (vehicleId || responderId)) {
+      const result = await assignUnit(alert, { vehicleId, responderId }, req.user);
+      if (!result.assignment) {
+        return res.status(result.code).json({ message: result.message });
+      }
     }
 
-    // Update new vehicle to assigned
-    if (vehicle_id) {
-      const { error: vehicleError } = await supabase
-        .from('vehicles')
-        .update({ status: 'assigned' })
-        .eq('id', vehicle_id);
+    await rescoreIncidentById('alert', alert.id);
 
-      if (vehicleError) console.error('Vehicle status update failed:', vehicleError);
-    }
+    const assignments = await getAssignments(alert.id);
+    const unreleased = assignments.filter((assignment) => assignment.status !== 'released');
 
-    const io = getIO();
-io.emit("alert:assigned", updatedAlert);
+    await recordAudit(req, {
+      action: 'alert.assign',
+      targetType: 'alert',
+      targetId: alert.id,
+      before: { assignment_ids: active.map((assignment) => assignment.id) },
+      after: { assignment_ids: unreleased.map((assignment) => assignment.id) },
+    });
+
+    // Staff only: assignments carry responder names and phone numbers
+    getIO().to(STAFF_ROOM).emit('alert:assigned', { alert_id: alert.id, assignments: unreleased });
 
-    res.json(updatedAlert);
+    res.json(assignments);
   } catch (error) {
     console.error('Assign alert error:', error);
     res.status(500).json({ message: error.message || 'Server error' });
@@ -514,13 +1296,21 @@ io.emit("alert:assigned", updatedAlert);
  *         description: Alert deleted
  *       403:
  *         description: Admin only
+ *       404:
+ *         description: Alert not found
  */
 
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('alert.delete'), requireMfa, async (req, res) => {
   try {
-    // Only admin can delete
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    const { data: existing, error: fetchError } = await supabase
+      .from('alerts')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!existing) {
+      return res.status(404).json({ message: 'Alert not found' });
     }
 
     const { error } = await supabase
@@ -530,6 +1320,13 @@ router.delete('/:id', async (req, res) => {
 
     if (error) throw error;
 
+    await recordAudit(req, {
+      action: 'alert.delete',
+      targetType: 'alert',
+      targetId: req.params.id,
+      before: existing,
+    });
+
     const io = getIO();
 io.emit("alert:deleted", { id: req.params.id });
 
@@ -0,0 +1,386 @@
+const express = require('express');
+const supabase = require('../config/supabase');
+const authMiddleware = require('../middleware/auth');
+const requireMfa = require('../middleware/requireMfa');
+const { requirePermission } = require('../middleware/permissions');
+const { ALERT_TYPES, ALERT_SEVERITIES } = require('../config/alerts');
+const {
+  INCIDENT_METRICS,
+  INCIDENT_GROUPINGS,
+  SLA_SEVERITIES,
+  MAX_RANGE_DAYS,
+  DEFAULT_RANGE_DAYS,
+} = require('../config/analytics');
+const { SLA_TARGET_FIELDS, getSlaTargets, getResponseTimes } = require('../utils/analytics');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Targets are whole seconds up to a week, or null for no SLA
+const isTarget = (value) => value === null || (Number.isInteger(value) && value > 0 && value <= 7 * 24 * 60 * 60);
+
+const parseList = (value) => (value ? String(value).split(',').map((item) => item.trim()).filter(Boolean) : []);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Analytics
+ *   description: Response-time reporting and SLA targets
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ResponseTimeMetric:
+ *       type: object
+ *       description: Durations are in seconds from the report to the milestone
+ *       properties:
+ *         count:
+ *           type: integer
+ *           description: Incidents that reached the milestone
+ *         mean:
+ *           type: integer
+ *           nullable: true
+ *         min:
+ *           type: integer
+ *           nullable: true
+ *         max:
+ *           type: integer
+ *           nullable: true
+ *         p50:
+ *           type: integer
+ *           nullable: true
+ *         p90:
+ *           type: integer
+ *           nullable: true
+ *         p95:
+ *           type: integer
+ *           nullable: true
+ *         breaches:
+ *           type: integer
+ *           description: Incidents that reached the milestone later than their SLA target
+ *         open_breaches:
+ *           type: integer
+ *           description: Open incidents still short of the milestone and already past their SLA target
+ *         breach_rate:
+ *           type: number
+ *           nullable: true
+ *           description: breaches / count
+ *     ResponseTimeGroup:
+ *       type: object
+ *       properties:
+ *         key:
+ *           description: Alert type, severity, vehicle id, responder id, or the day (or the Monday of the week) in UTC
+ *           oneOf:
+ *             - type: string
+ *             - type: integer
+ *         label:
+ *           type: string
+ *           description: License plate or responder name, when grouping by unit
+ *         count:
+ *           type: integer
+ *         metrics:
+ *           type: object
+ *           additionalProperties:
+ *             $ref: '#/components/schemas/ResponseTimeMetric'
+ *     SlaTarget:
+ *       type: object
+ *       properties:
+ *         incident_type:
+ *           type: string
+ *           enum: [alert, sos, crash]
+ *         severity:
+ *           type: string
+ *           enum: [low, medium, high, critical, any]
+ *           description: SOS requests and crash events have no severity and use `any`
+ *         metric:
+ *           type: string
+ *           enum: [time_to_acknowledge, time_to_assign, time_to_on_scene, time_to_resolve]
+ *         target_seconds:
+ *           type: integer
+ *           nullable: true
+ *           description: Null means the metric has no SLA
+ *         is_default:
+ *           type: boolean
+ *           description: True until an admin saves this target
+ *         updated_by:
+ *           type: integer
+ *           nullable: true
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/v1/analytics/response-times:
+ *   get:
+ *     summary: Response times and SLA breaches (Admin/Dispatcher only)
+ *     description: |
+ *       Times to acknowledge, assign a unit, reach the scene and resolve,
+ *       measured from the report. Alerts report all four; SOS requests and
+ *       crash events report acknowledge and resolve. An alert's first unit
+ *       dispatched counts as its assignment. Reports merged into an alert
+ *       are left out, as the alert they were merged into already counts.
+ *
+ *       Grouping by vehicle or responder gives one sample per unit sent,
+ *       using that unit's own dispatch and arrival times; alerts without such
+ *       a unit are left out of the groups but still count overall.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: incident_type
+ *         schema:
+ *           type: string
+ *           enum: [alert, sos, crash]
+ *           default: alert
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the report window (default 30 days before `to`)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the report window, exclusive (default now). At most 366 days after `from`.
+ *       - in: query
+ *         name: group_by
+ *         schema:
+ *           type: string
+ *           enum: [alert_type, severity, vehicle, responder, day, week]
+ *         description: SOS requests and crash events can only be grouped by day or week
+ *       - in: query
+ *         name: alert_type
+ *         schema:
+ *           type: string
+ *         description: Comma-separated alert types (alerts only)
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *         description: Comma-separated severities (alerts only)
+ *     responses:
+ *       200:
+ *         description: Overall figures and one entry per group
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 incident_type:
+ *                   type: string
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 group_by:
+ *                   type: string
+ *                   nullable: true
+ *                 targets:
+ *                   type: object
+ *                   description: SLA targets in seconds applied, by severity then metric
+ *                 overall:
+ *                   $ref: '#/components/schemas/ResponseTimeGroup'
+ *                 groups:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ResponseTimeGroup'
+ *       400:
+ *         description: Invalid incident type, grouping, filter or date range
+ */
+router.get('/response-times', requirePermission('analytics.view'), async (req, res) => {
+  try {
+    const incidentType = req.query.incident_type || 'alert';
+    if (!Object.keys(INCIDENT_METRICS).includes(incidentType)) {
+      return res.status(400).json({ message: `incident_type must be one of: ${Object.keys(INCIDENT_METRICS).join(', ')}` });
+    }
+
+    const groupBy = req.query.group_by || null;
+    if (groupBy && !INCIDENT_GROUPINGS[incidentType].includes(groupBy)) {
+      return res.status(400).json({ message: `group_by for ${incidentType} must be one of: ${INCIDENT_GROUPINGS[incidentType].join(', ')}` });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      return res.status(400).json({ message: 'from and to must be valid dates' });
+    }
+    if (from >= to) {
+      return res.status(400).json({ message: 'from must be before to' });
+    }
+    if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+      return res.status(400).json({ message: `The date range cannot exceed ${MAX_RANGE_DAYS} days` });
+    }
+
+    const alertTypes = parseList(req.query.alert_type);
+    const severities = parseList(req.query.severity);
+    if ((alertTypes.length || severities.length) && incidentType !== 'alert') {
+      return res.status(400).json({ message: 'alert_type and severity filters apply to alerts only' });
+    }
+    const badType = alertTypes.find((type) => !ALERT_TYPES.includes(type));
+    if (badType) {
+      return res.status(400).json({ message: `Unknown alert_type: ${badType}` });
+    }
+    const badSeverity = severities.find((severity) => !ALERT_SEVERITIES.includes(severity));
+    if (badSeverity) {
+      return res.status(400).json({ message: `Unknown severity: ${badSeverity}` });
+    }
+
+    res.json(await getResponseTimes({
+      incidentType,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      groupBy,
+      filters: { alertTypes, severities },
+    }));
+  } catch (error) {
+    console.error('Get response times error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/analytics/sla-targets:
+ *   get:
+ *     summary: Get the SLA targets in effect (Admin/Dispatcher only)
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: One target per incident type, severity and metric
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SlaTarget'
+ */
+router.get('/sla-targets', requirePermission('analytics.view'), async (req, res) => {
+  try {
+    res.json(await getSlaTargets());
+  } catch (error) {
+    console.error('Get SLA targets error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/analytics/sla-targets/{incidentType}/{severity}/{metric}:
+ *   put:
+ *     summary: Change an SLA target (Admin only)
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: incidentType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [alert, sos, crash]
+ *       - in: path
+ *         name: severity
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high, critical, any]
+ *       - in: path
+ *         name: metric
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [time_to_acknowledge, time_to_assign, time_to_on_scene, time_to_resolve]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [target_seconds]
+ *             properties:
+ *               target_seconds:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Target saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SlaTarget'
+ *       400:
+ *         description: Invalid target
+ *       404:
+ *         description: No such incident type, severity or metric
+ */
+router.put('/sla-targets/:incidentType/:severity/:metric', requirePermission('analytics.manage'), requireMfa, async (req, res) => {
+  try {
+    const { incidentType, severity, metric } = req.params;
+
+    if (!Object.keys(SLA_SEVERITIES).includes(incidentType)
+      || !SLA_SEVERITIES[incidentType].includes(severity)
+      || !INCIDENT_METRICS[incidentType].includes(metric)) {
+      return res.status(404).json({ message: 'No SLA target for this incident type, severity and metric' });
+    }
+
+    const { target_seconds } = req.body;
+    if (target_seconds === undefined || !isTarget(target_seconds)) {
+      return res.status(400).json({ message: 'target_seconds must be a whole number of seconds up to one week, or null' });
+    }
+
+    const before = (await getSlaTargets())
+      .find((target) => target.incident_type === incidentType && target.severity === severity && target.metric === metric);
+
+    const row = {
+      target_seconds,
+      updated_by: req.user.id,
+      updated_at: new Date().toISOString(),
+    };
+
+    const { data, error } = before.id
+      ? await supabase
+        .from('sla_targets')
+        .update(row)
+        .eq('id', before.id)
+        .select(SLA_TARGET_FIELDS)
+        .single()
+      : await supabase
+        .from('sla_targets')
+        .insert([{ incident_type: incidentType, severity, metric, ...row }])
+        .select(SLA_TARGET_FIELDS)
+        .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'sla_target.update',
+      targetType: 'sla_target',
+      targetId: `${incidentType}:${severity}:${metric}`,
+      before: { target_seconds: before.target_seconds },
+      after: { target_seconds: data.target_seconds },
+    });
+
+    res.json({ ...data, is_default: false });
+  } catch (error) {
+    console.error('Update SLA target error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+module.exports = router;
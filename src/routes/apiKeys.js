@@ -0,0 +1,341 @@
+const express = require('express');
+const supabase = require('../config/supabase');
+const authMiddleware = require('../middleware/auth');
+const requireMfa = require('../middleware/requireMfa');
+const { requirePermission } = require('../middleware/permissions');
+const { API_KEY_SCOPES } = require('../config/permissions');
+const { API_KEY_FIELDS, isValidIpRule, generateApiKey } = require('../utils/apiKeys');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+router.use(authMiddleware, requirePermission('api_key.manage'), requireMfa);
+
+/**
+ * Derive the display status of an API key from its timestamps
+ */
+const apiKeyStatus = (apiKey) => {
+  if (apiKey.revoked_at) return 'revoked';
+  if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) return 'expired';
+  return 'active';
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: API Keys
+ *   description: Scoped keys for crash detectors and in-vehicle devices (Admin only)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         prefix:
+ *           type: string
+ *           description: First characters of the key, for identification
+ *         user_id:
+ *           type: integer
+ *           nullable: true
+ *         vehicle_id:
+ *           type: integer
+ *           nullable: true
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [crash:write, vehicle:telemetry]
+ *         allowed_ips:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: string
+ *         status:
+ *           type: string
+ *           enum: [active, expired, revoked]
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         last_used_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         last_used_ip:
+ *           type: string
+ *           nullable: true
+ *         revoked_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/v1/api-keys:
+ *   get:
+ *     summary: List API keys (Admin only)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: vehicle_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, expired, revoked]
+ *     responses:
+ *       200:
+ *         description: List of API keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ApiKey'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { user_id, vehicle_id, status } = req.query;
+
+    let query = supabase
+      .from('api_keys')
+      .select(API_KEY_FIELDS)
+      .order('created_at', { ascending: false });
+
+    if (user_id) {
+      query = query.eq('user_id', user_id);
+    }
+    if (vehicle_id) {
+      query = query.eq('vehicle_id', vehicle_id);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    const apiKeys = data.map((apiKey) => ({ ...apiKey, status: apiKeyStatus(apiKey) }));
+    res.json(status ? apiKeys.filter((apiKey) => apiKey.status === status) : apiKeys);
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/api-keys:
+ *   post:
+ *     summary: Issue an API key (Admin only)
+ *     description: |
+ *       The key is bound to a user, a vehicle or both. crash:write keys need
+ *       a user, who is recorded as the reporter of their crash events; a
+ *       vehicle bound as well is recorded on those events too. The plain key
+ *       is only returned in this response; it is stored hashed. A user-bound
+ *       key never grants more than that user's role allows.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Dashcam unit 12
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [crash:write, vehicle:telemetry]
+ *               user_id:
+ *                 type: integer
+ *               vehicle_id:
+ *                 type: integer
+ *               allowed_ips:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["203.0.113.10", "10.0.0.0/8"]
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: API key created (includes the plain key)
+ *       400:
+ *         description: Invalid scopes, binding, IP rules or expiry
+ *       404:
+ *         description: User or vehicle not found
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, scopes, user_id, vehicle_id, allowed_ips, expires_at } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ message: 'Name is required' });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ message: 'At least one scope is required' });
+    }
+    const unknownScopes = scopes.filter((scope) => !API_KEY_SCOPES[scope]);
+    if (unknownScopes.length > 0) {
+      return res.status(400).json({
+        message: `Unknown scopes: ${unknownScopes.join(', ')}`,
+        valid_scopes: Object.keys(API_KEY_SCOPES),
+      });
+    }
+
+    if (!user_id && !vehicle_id) {
+      return res.status(400).json({ message: 'Bind the key to a user_id, a vehicle_id or both' });
+    }
+    if (scopes.includes('crash:write') && !user_id) {
+      return res.status(400).json({ message: 'crash:write keys must be bound to the user whose crash events they report' });
+    }
+
+    if (allowed_ips !== undefined && allowed_ips !== null) {
+      if (!Array.isArray(allowed_ips) || !allowed_ips.every(isValidIpRule)) {
+        return res.status(400).json({ message: 'allowed_ips must be a list of IP addresses or CIDR ranges' });
+      }
+    }
+
+    if (expires_at && !(new Date(expires_at) > new Date())) {
+      return res.status(400).json({ message: 'expires_at must be a future date' });
+    }
+
+    const owners = [
+      [user_id, 'users', 'User not found'],
+      [vehicle_id, 'vehicles', 'Vehicle not found'],
+    ];
+    for (const [id, table, notFound] of owners) {
+      if (!id) continue;
+
+      const owner = await supabase.from(table).select('id').eq('id', id).maybeSingle();
+      if (owner.error) throw owner.error;
+      if (!owner.data) {
+        return res.status(404).json({ message: notFound });
+      }
+    }
+
+    const { key, prefix, hash } = generateApiKey();
+
+    const { data, error } = await supabase
+      .from('api_keys')
+      .insert([{
+        name,
+        prefix,
+        key_hash: hash,
+        user_id: user_id || null,
+        vehicle_id: vehicle_id || null,
+        scopes: [...new Set(scopes)],
+        allowed_ips: allowed_ips && allowed_ips.length > 0 ? allowed_ips : null,
+        expires_at: expires_at ? new Date(expires_at).toISOString() : null,
+        created_by: req.user.id,
+      }])
+      .select(API_KEY_FIELDS)
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'api_key.create',
+      targetType: 'api_key',
+      targetId: data.id,
+      after: data,
+    });
+
+    res.status(201).json({ ...data, status: apiKeyStatus(data), key });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/api-keys/{id}/revoke:
+ *   patch:
+ *     summary: Revoke an API key (Admin only)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       400:
+ *         description: API key already revoked
+ *       404:
+ *         description: API key not found
+ */
+router.patch('/:id/revoke', async (req, res) => {
+  try {
+    const { data: existing, error: fetchError } = await supabase
+      .from('api_keys')
+      .select(API_KEY_FIELDS)
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!existing) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+    if (existing.revoked_at) {
+      return res.status(400).json({ message: 'API key is already revoked' });
+    }
+
+    const { data, error } = await supabase
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .select(API_KEY_FIELDS)
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'api_key.revoke',
+      targetType: 'api_key',
+      targetId: data.id,
+      before: { revoked_at: existing.revoked_at },
+      after: { revoked_at: data.revoked_at },
+    });
+
+    res.json({ ...data, status: apiKeyStatus(data) });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+module.exports = router;
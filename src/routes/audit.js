@@ -0,0 +1,257 @@
+const express = require('express');
+const supabase = require('../config/supabase');
+const authMiddleware = require('../middleware/auth');
+const requireMfa = require('../middleware/requireMfa');
+const { requirePermission } = require('../middleware/permissions');
+const { AUDIT_FIELDS, verifyAuditChain } = require('../utils/audit');
+const { csvRow } = require('../utils/csv');
+
+const router = express.Router();
+
+router.use(authMiddleware, requirePermission('audit.view'), requireMfa);
+
+const EXPORT_PAGE_SIZE = 1000;
+const CSV_COLUMNS = ['id', 'created_at', 'actor_id', 'actor_role', 'action', 'target_type', 'target_id', 'changes', 'ip_address', 'user_agent', 'prev_hash', 'hash'];
+
+/**
+ * Apply the shared query-string filters to an audit log query
+ */
+const applyFilters = (query, { actor_id, action, target_type, target_id, from, to }) => {
+  if (actor_id) query = query.eq('actor_id', actor_id);
+  if (action) query = query.eq('action', action);
+  if (target_type) query = query.eq('target_type', target_type);
+  if (target_id) query = query.eq('target_id', String(target_id));
+  if (from) query = query.gte('created_at', from);
+  if (to) query = query.lte('created_at', to);
+  return query;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit Log
+ *   description: Append-only, hash-chained record of privileged actions (Admin only)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     AuditActor:
+ *       in: query
+ *       name: actor_id
+ *       schema:
+ *         type: integer
+ *     AuditAction:
+ *       in: query
+ *       name: action
+ *       schema:
+ *         type: string
+ *         example: user.role_change
+ *     AuditTargetType:
+ *       in: query
+ *       name: target_type
+ *       schema:
+ *         type: string
+ *         example: alert
+ *     AuditTargetId:
+ *       in: query
+ *       name: target_id
+ *       schema:
+ *         type: string
+ *     AuditFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *     AuditTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *   schemas:
+ *     AuditLogEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         actor_id:
+ *           type: integer
+ *           nullable: true
+ *         actor_role:
+ *           type: string
+ *           nullable: true
+ *         action:
+ *           type: string
+ *         target_type:
+ *           type: string
+ *         target_id:
+ *           type: string
+ *         changes:
+ *           type: object
+ *           description: "Changed fields as { field: { from, to } }"
+ *         ip_address:
+ *           type: string
+ *         user_agent:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         prev_hash:
+ *           type: string
+ *         hash:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/v1/audit-logs:
+ *   get:
+ *     summary: Query the audit log (Admin only)
+ *     tags: [Audit Log]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditActor'
+ *       - $ref: '#/components/parameters/AuditAction'
+ *       - $ref: '#/components/parameters/AuditTargetType'
+ *       - $ref: '#/components/parameters/AuditTargetId'
+ *       - $ref: '#/components/parameters/AuditFrom'
+ *       - $ref: '#/components/parameters/AuditTo'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Matching entries, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AuditLogEntry'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const query = applyFilters(
+      supabase.from('audit_logs').select(AUDIT_FIELDS),
+      req.query
+    )
+      .order('id', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/audit-logs/export:
+ *   get:
+ *     summary: Export the audit log as CSV (Admin only)
+ *     description: Takes the same filters as the query endpoint and streams every matching entry, oldest first.
+ *     tags: [Audit Log]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditActor'
+ *       - $ref: '#/components/parameters/AuditAction'
+ *       - $ref: '#/components/parameters/AuditTargetType'
+ *       - $ref: '#/components/parameters/AuditTargetId'
+ *       - $ref: '#/components/parameters/AuditFrom'
+ *       - $ref: '#/components/parameters/AuditTo'
+ *     responses:
+ *       200:
+ *         description: CSV file
+ *         content:
+ *           text/csv: {}
+ */
+router.get('/export', async (req, res) => {
+  try {
+    let offset = 0;
+    let page;
+
+    do {
+      const { data, error } = await applyFilters(
+        supabase.from('audit_logs').select(AUDIT_FIELDS),
+        req.query
+      )
+        .order('id', { ascending: true })
+        .range(offset, offset + EXPORT_PAGE_SIZE - 1);
+
+      if (error) throw error;
+      page = data;
+
+      if (offset === 0) {
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+        res.write(csvRow(CSV_COLUMNS));
+      }
+
+      page.forEach((entry) => res.write(csvRow(CSV_COLUMNS.map((column) => entry[column]))));
+      offset += EXPORT_PAGE_SIZE;
+    } while (page.length === EXPORT_PAGE_SIZE);
+
+    res.end();
+  } catch (error) {
+    console.error('Export audit log error:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/audit-logs/verify:
+ *   get:
+ *     summary: Check the audit log hash chain for tampering (Admin only)
+ *     tags: [Audit Log]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 valid:
+ *                   type: boolean
+ *                 checked:
+ *                   type: integer
+ *                 broken_at:
+ *                   type: integer
+ *                   nullable: true
+ *                 reason:
+ *                   type: string
+ */
+router.get('/verify', async (req, res) => {
+  try {
+    res.json(await verifyAuditChain());
+  } catch (error) {
+    console.error('Verify audit log error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+module.exports = router;
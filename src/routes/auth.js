@@ -1,11 +1,137 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const supabase = require('../config/supabase');
+const authMiddleware = require('../middleware/auth');
+const {
+  issueTokenPair,
+  rotateRefreshToken,
+  hashToken,
+  signMfaToken,
+  verifyMfaToken,
+  MFA_TOKEN_TTL_SECONDS,
+} = require('../utils/tokens');
+const { createSession, revokeSession, revokeAllSessions } = require('../utils/sessions');
+const { sendMail } = require('../utils/mailer');
+const {
+  checkLoginThrottle,
+  recordLoginAttempt,
+  clearLoginFailures,
+  checkResetThrottle,
+  recordResetRequest,
+} = require('../utils/loginThrottle');
+const { roleRequiresTwoFactor, verifySecondFactor } = require('../utils/twoFactor');
+const {
+  CHANNELS,
+  sendVerificationCode,
+  confirmVerificationCode,
+} = require('../utils/verification');
 
 
 const router = express.Router();
 
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('rescuelink-dummy-password', 10);
+
+// Profile fields a user may change on their own account
+const PROFILE_FIELDS = [
+  'first_name',
+  'middle_name',
+  'last_name',
+  'ext_name',
+  'username',
+  'user_phone_number',
+  'relative_number',
+  'birth_date',
+  'avatar_url',
+];
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Respond to a throttled login. The body is the same whether or not the
+ * email belongs to an account.
+ */
+const sendThrottled = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retry_after));
+  return res.status(429).json({
+    message: throttle.locked
+      ? 'Too many failed login attempts. Account temporarily locked.'
+      : 'Too many failed login attempts. Please wait before trying again.',
+    locked: throttle.locked,
+    retry_after: throttle.retry_after,
+  });
+};
+
+
+/**
+ * Email a password reset link if the address belongs to an account. Runs
+ * after /forgot-password has responded, so failures are only logged.
+ */
+const sendPasswordReset = async (email) => {
+  try {
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, email, first_name')
+      .eq('email', email)
+      .maybeSingle();
+
+
+    if (!user) return;
+
+
+    // Only the most recent reset link should work
+    await supabase
+      .from('password_reset_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('user_id', user.id)
+      .is('used_at', null);
+
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+
+    const { error } = await supabase
+      .from('password_reset_tokens')
+      .insert([{
+        user_id: user.id,
+        token_hash: hashToken(token),
+        expires_at: expiresAt.toISOString(),
+      }]);
+
+
+    if (error) throw error;
+
+
+    const resetUrl = `${process.env.APP_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+
+
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your RescueLink password',
+      text: [
+        `Hi ${user.first_name},`,
+        '',
+        'We received a request to reset your RescueLink password.',
+        `Use the link below within ${PASSWORD_RESET_TTL_MINUTES} minutes to choose a new one:`,
+        '',
+        resetUrl,
+        '',
+        'If you did not request this, you can ignore this email.',
+      ].join('\n'),
+    });
+  } catch (error) {
+    console.error('Password reset email error:', error);
+  }
+};
+
 
 /**
  * @swagger
@@ -20,6 +146,9 @@ const router = express.Router();
  * /api/v1/auth/register:
  *   post:
  *     summary: Register a new user
+ *     description: |
+ *       Public registration always creates a `user` account. Staff roles join
+ *       through an invitation (see `/api/v1/users/invitations/redeem`).
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -66,10 +195,9 @@ const router = express.Router();
  *                 type: string
  *                 format: date
  *                 example: "1990-01-15"
- *               role:
+ *               avatar_url:
  *                 type: string
- *                 enum: [user, admin, rescuer, dispatcher]
- *                 example: admin
+ *                 format: uri
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -90,6 +218,8 @@ const router = express.Router();
  *                   type: string
  *       400:
  *         description: Bad request
+ *       403:
+ *         description: A staff role was requested without an invitation
  */
 router.post('/register', async (req, res) => {
   try {
@@ -104,7 +234,8 @@ router.post('/register', async (req, res) => {
       user_phone_number,
       relative_number,
       birth_date,
-      role = 'user'
+      avatar_url,
+      role,
     } = req.body;
 
 
@@ -113,6 +244,16 @@ router.post('/register', async (req, res) => {
     }
 
 
+    if (role && role !== 'user') {
+      return res.status(403).json({ message: 'Staff roles can only be assigned through an invitation' });
+    }
+
+
+    if (avatar_url && !isHttpUrl(avatar_url)) {
+      return res.status(400).json({ message: 'avatar_url must be an http(s) URL' });
+    }
+
+
     const hashedPassword = await bcrypt.hash(password, 10);
 
 
@@ -129,7 +270,10 @@ router.post('/register', async (req, res) => {
         user_phone_number,
         relative_number,
         birth_date,
-        role,
+        avatar_url,
+        role: 'user',
+        email_verified: false,
+        phone_verified: false,
       }])
       .select()
       .single();
@@ -176,9 +320,16 @@ router.post('/register', async (req, res) => {
  *                 type: string
  *                 format: password
  *                 example: admin123
+ *               device_label:
+ *                 type: string
+ *                 description: Name shown in the session list (defaults to one derived from the user agent)
+ *                 example: Dispatch tablet 3
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: |
+ *           Login successful. When the account has two-factor authentication
+ *           enabled, the response instead contains `mfa_required: true` and an
+ *           `mfa_token` to complete the login at `/api/v1/auth/login/verify`.
  *         content:
  *           application/json:
  *             schema:
@@ -193,6 +344,18 @@ router.post('/register', async (req, res) => {
  *                 expires_in:
  *                   type: integer
  *                   example: 3600
+ *                 refresh_token:
+ *                   type: string
+ *                 refresh_expires_at:
+ *                   type: string
+ *                   format: date-time
+ *                 mfa_enrollment_required:
+ *                   type: boolean
+ *                   description: The role must enroll in 2FA before using sensitive routes
+ *                 mfa_required:
+ *                   type: boolean
+ *                 mfa_token:
+ *                   type: string
  *                 user:
  *                   type: object
  *                   properties:
@@ -204,56 +367,86 @@ router.post('/register', async (req, res) => {
  *                       type: string
  *                     role:
  *                       type: string
+ *       400:
+ *         description: Email or password is missing or not a string
  *       401:
  *         description: Invalid credentials
+ *       429:
+ *         description: |
+ *           Too many failed attempts for this email or IP. `locked` is true
+ *           during a temporary lockout; `retry_after` gives the wait in seconds.
  */
 router.post('/login', async (req, res) => {
   try {
     const { email, password } = req.body;
 
 
-    if (!email || !password) {
+    if (typeof email !== 'string' || !email || typeof password !== 'string' || !password) {
       return res.status(400).json({ message: 'Email and password are required' });
     }
 
 
-    const { data: user, error } = await supabase
+    const throttle = await checkLoginThrottle(email, req.ip);
+    if (throttle) {
+      return sendThrottled(res, throttle);
+    }
+
+
+    const { data: user } = await supabase
       .from('users')
       .select('*')
       .eq('email', email)
-      .single();
+      .maybeSingle();
 
 
-    if (error || !user) {
+    // Compare against a dummy hash for unknown emails so timing gives nothing away
+    const isValidPassword = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+
+
+    await recordLoginAttempt({
+      email,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      userId: user ? user.id : null,
+      succeeded: !!user && isValidPassword,
+    });
+
+
+    if (!user || !isValidPassword) {
+      const lockout = await checkLoginThrottle(email, req.ip);
+      if (lockout && lockout.locked) {
+        return sendThrottled(res, lockout);
+      }
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
 
-    const isValidPassword = await bcrypt.compare(password, user.password);
-    if (!isValidPassword) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+    // Accounts with 2FA enabled finish logging in at /login/verify. Their
+    // failures are only cleared once the second factor passes, or resending
+    // the password would reset the lockout on code guesses.
+    if (user.totp_enabled) {
+      return res.json({
+        mfa_required: true,
+        mfa_token: signMfaToken(user),
+        expires_in: MFA_TOKEN_TTL_SECONDS,
+      });
     }
 
 
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        email: user.email, 
-        role: user.role,
-        name: `${user.first_name} ${user.last_name}`
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
+    await clearLoginFailures(email);
+
+
+    const session = await createSession(user, req);
+    const tokens = await issueTokenPair(user, session);
 
 
     delete user.password;
+    delete user.totp_secret;
 
 
     res.json({
-      access_token: token,
-      token_type: 'bearer',
-      expires_in: 3600,
+      ...tokens,
+      mfa_enrollment_required: roleRequiresTwoFactor(user.role),
       user,
     });
   } catch (error) {
@@ -263,6 +456,114 @@ router.post('/login', async (req, res) => {
 });
 
 
+/**
+ * @swagger
+ * /api/v1/auth/login/verify:
+ *   post:
+ *     summary: Complete a two-step login with a TOTP or recovery code
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfa_token
+ *             properties:
+ *               mfa_token:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recovery_code:
+ *                 type: string
+ *                 example: a1b2c-3d4e5
+ *     responses:
+ *       200:
+ *         description: Login successful, tokens issued with the second factor recorded
+ *       401:
+ *         description: Invalid code or expired mfa_token
+ *       429:
+ *         description: Too many failed attempts
+ */
+router.post('/login/verify', async (req, res) => {
+  try {
+    const { mfa_token, code, recovery_code } = req.body;
+
+
+    if (!mfa_token || (!code && !recovery_code)) {
+      return res.status(400).json({ message: 'mfa_token and a code or recovery_code are required' });
+    }
+
+
+    let pending;
+    try {
+      pending = verifyMfaToken(mfa_token);
+    } catch (err) {
+      return res.status(401).json({ message: 'Login session expired. Please log in again.' });
+    }
+
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', pending.id)
+      .single();
+
+
+    if (error || !user || !user.totp_enabled) {
+      return res.status(401).json({ message: 'Login session expired. Please log in again.' });
+    }
+
+
+    // Second-factor guesses count against the same lockout as passwords
+    const throttle = await checkLoginThrottle(user.email, req.ip);
+    if (throttle) {
+      return sendThrottled(res, throttle);
+    }
+
+
+    const isValid = await verifySecondFactor(user, { code, recovery_code });
+
+
+    await recordLoginAttempt({
+      email: user.email,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      userId: user.id,
+      succeeded: isValid,
+    });
+
+
+    if (!isValid) {
+      return res.status(401).json({ message: 'Invalid verification code' });
+    }
+
+
+    await clearLoginFailures(user.email);
+
+
+    const session = await createSession(user, req, { mfa: true });
+    const tokens = await issueTokenPair(user, session);
+
+
+    delete user.password;
+    delete user.totp_secret;
+
+
+    res.json({
+      ...tokens,
+      user,
+    });
+  } catch (error) {
+    console.error('Login verify error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+
 /**
  * @swagger
  * /api/v1/auth/me:
@@ -292,35 +593,444 @@ router.post('/login', async (req, res) => {
  *       401:
  *         description: Unauthorized
  */
-router.get('/me', async (req, res) => {
+router.get('/me', authMiddleware, async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.status(401).json({ message: 'No token provided' });
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', req.user.id)
+      .single();
+
+
+    if (error || !user) {
+      return res.status(404).json({ message: 'User not found' });
     }
 
 
-    const token = authHeader.split(' ')[1];
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    delete user.password;
+    delete user.totp_secret;
+    res.json(user);
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+
+/**
+ * @swagger
+ * /api/v1/auth/me:
+ *   patch:
+ *     summary: Update own profile
+ *     description: |
+ *       Only the listed fields can be changed here. A new phone number has to
+ *       be verified again. Email and role changes go through an administrator.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               first_name:
+ *                 type: string
+ *               middle_name:
+ *                 type: string
+ *               last_name:
+ *                 type: string
+ *               ext_name:
+ *                 type: string
+ *               username:
+ *                 type: string
+ *               user_phone_number:
+ *                 type: string
+ *               relative_number:
+ *                 type: string
+ *               birth_date:
+ *                 type: string
+ *                 format: date
+ *               avatar_url:
+ *                 type: string
+ *                 format: uri
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *       400:
+ *         description: No valid fields or invalid values
+ *       403:
+ *         description: Attempted to change email or role
+ */
+router.patch('/me', authMiddleware, async (req, res) => {
+  try {
+    if (req.body.email !== undefined || req.body.role !== undefined) {
+      return res.status(403).json({ message: 'Email and role can only be changed by an administrator' });
+    }
+
+
+    const updateData = {};
+    PROFILE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({ message: `Provide at least one of: ${PROFILE_FIELDS.join(', ')}` });
+    }
+
+    for (const field of ['first_name', 'last_name']) {
+      if (updateData[field] !== undefined && !String(updateData[field]).trim()) {
+        return res.status(400).json({ message: `${field} cannot be empty` });
+      }
+    }
+
+    if (updateData.birth_date) {
+      const birthDate = new Date(updateData.birth_date);
+      if (isNaN(birthDate.getTime()) || birthDate > new Date()) {
+        return res.status(400).json({ message: 'birth_date must be a valid date in the past' });
+      }
+    }
+
+    if (updateData.avatar_url) {
+      if (!isHttpUrl(updateData.avatar_url)) {
+        return res.status(400).json({ message: 'avatar_url must be an http(s) URL' });
+      }
+    }
+
+
+    // A changed phone number has to be verified again
+    if (updateData.user_phone_number !== undefined) {
+      const { data: existing } = await supabase
+        .from('users')
+        .select('user_phone_number')
+        .eq('id', req.user.id)
+        .single();
+
+      if (existing && updateData.user_phone_number !== existing.user_phone_number) {
+        updateData.phone_verified = false;
+      }
+    }
+
+    updateData.updated_at = new Date().toISOString();
 
 
     const { data: user, error } = await supabase
       .from('users')
+      .update(updateData)
+      .eq('id', req.user.id)
       .select('*')
-      .eq('id', decoded.id)
       .single();
 
 
-    if (error || !user) {
-      return res.status(404).json({ message: 'User not found' });
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({ message: 'Username already exists' });
+      }
+      throw error;
     }
 
 
     delete user.password;
+    delete user.totp_secret;
     res.json(user);
   } catch (error) {
-    console.error('Get user error:', error);
-    res.status(401).json({ message: 'Invalid token' });
+    console.error('Update profile error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+
+/**
+ * @swagger
+ * /api/v1/auth/change-password:
+ *   post:
+ *     summary: Change own password
+ *     description: |
+ *       Requires the current password. Every other session of the user is
+ *       signed out; the session making the request stays active.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - current_password
+ *               - new_password
+ *             properties:
+ *               current_password:
+ *                 type: string
+ *                 format: password
+ *               new_password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Missing fields or new password same as current
+ *       401:
+ *         description: Current password is incorrect
+ */
+router.post('/change-password', authMiddleware, async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+
+    if (!current_password || !new_password) {
+      return res.status(400).json({ message: 'Current and new password are required' });
+    }
+
+
+    const { data: user, error: fetchError } = await supabase
+      .from('users')
+      .select('id, email, password')
+      .eq('id', req.user.id)
+      .single();
+
+
+    if (fetchError || !user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+
+    const isValidPassword = await bcrypt.compare(current_password, user.password);
+    if (!isValidPassword) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+
+    if (await bcrypt.compare(new_password, user.password)) {
+      return res.status(400).json({ message: 'New password must be different from the current password' });
+    }
+
+
+    const hashedPassword = await bcrypt.hash(new_password, 10);
+
+
+    const { error } = await supabase
+      .from('users')
+      .update({ password: hashedPassword, updated_at: new Date().toISOString() })
+      .eq('id', user.id);
+
+
+    if (error) throw error;
+
+
+    await revokeAllSessions(user.id, { except: req.user.sid });
+
+
+    await sendMail({
+      to: user.email,
+      subject: 'Your RescueLink password was changed',
+      text: [
+        'The password for your RescueLink account was just changed and your other devices were signed out.',
+        '',
+        'If this was not you, reset your password right away and contact an administrator.',
+      ].join('\n'),
+    });
+
+
+    res.json({ message: 'Password changed. Other sessions have been signed out.' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/verify/send:
+ *   post:
+ *     summary: Send a verification code to the user's email or phone
+ *     description: |
+ *       Codes expire after a few minutes. Resends are throttled per channel;
+ *       a throttled request returns 429 with `retry_after` in seconds.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - channel
+ *             properties:
+ *               channel:
+ *                 type: string
+ *                 enum: [email, phone]
+ *     responses:
+ *       200:
+ *         description: Code sent
+ *       400:
+ *         description: Nothing to verify on this channel
+ *       429:
+ *         description: Too many codes requested
+ */
+router.post('/verify/send', authMiddleware, async (req, res) => {
+  try {
+    const { channel } = req.body;
+
+
+    if (!CHANNELS[channel]) {
+      return res.status(400).json({ message: 'Channel must be email or phone' });
+    }
+
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, email, user_phone_number, email_verified, phone_verified')
+      .eq('id', req.user.id)
+      .single();
+
+
+    if (error || !user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+
+    const result = await sendVerificationCode(user, channel);
+    if (result.retry_after !== undefined) {
+      res.set('Retry-After', String(result.retry_after));
+      return res.status(429).json({ message: result.error, retry_after: result.retry_after });
+    }
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+
+
+    res.json({ message: 'Verification code sent', expires_in: result.expires_in });
+  } catch (error) {
+    console.error('Send verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+
+/**
+ * @swagger
+ * /api/v1/auth/verify/confirm:
+ *   post:
+ *     summary: Confirm a verification code
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - channel
+ *               - code
+ *             properties:
+ *               channel:
+ *                 type: string
+ *                 enum: [email, phone]
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Channel verified
+ *       400:
+ *         description: Invalid or expired code
+ */
+router.post('/verify/confirm', authMiddleware, async (req, res) => {
+  try {
+    const { channel, code } = req.body;
+
+
+    if (!CHANNELS[channel] || !code) {
+      return res.status(400).json({ message: 'Channel and code are required' });
+    }
+
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, email, user_phone_number')
+      .eq('id', req.user.id)
+      .single();
+
+
+    if (error || !user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+
+    const result = await confirmVerificationCode(user, channel, code);
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+
+
+    res.json({ message: 'Verified successfully', [CHANNELS[channel].flag]: true });
+  } catch (error) {
+    console.error('Confirm verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+
+/**
+ * @swagger
+ * /api/v1/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: |
+ *       Refresh tokens rotate on every use. Presenting a token that was
+ *       already exchanged revokes every token issued from the same login.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refresh_token
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens issued
+ *       401:
+ *         description: Invalid, expired or reused refresh token
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+
+    if (!refresh_token) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+
+    const result = await rotateRefreshToken(refresh_token);
+    if (result.error) {
+      return res.status(401).json({ message: result.error });
+    }
+
+
+    res.json({
+      ...result.tokens,
+      user: result.user,
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
@@ -330,6 +1040,9 @@ router.get('/me', async (req, res) => {
  * /api/v1/auth/logout:
  *   post:
  *     summary: Logout user
+ *     description: |
+ *       Revokes the current session, which invalidates its access token and
+ *       every refresh token issued for it.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -337,8 +1050,166 @@ router.get('/me', async (req, res) => {
  *       200:
  *         description: Logout successful
  */
-router.post('/logout', (req, res) => {
-  res.json({ message: 'Logged out successfully' });
+router.post('/logout', authMiddleware, async (req, res) => {
+  try {
+    await revokeSession(req.user.sid);
+
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+
+/**
+ * @swagger
+ * /api/v1/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: |
+ *       Always responds with the same message so the endpoint cannot be used
+ *       to find out which emails are registered. Requests per email and per
+ *       IP address are limited like login attempts, whether or not the email
+ *       is registered.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset instructions sent if the account exists
+ *       400:
+ *         description: Email is missing or not a string
+ *       429:
+ *         description: Too many reset requests; `retry_after` gives the wait in seconds
+ */
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+
+    if (typeof email !== 'string' || !email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+
+    const genericResponse = { message: 'If that email is registered, a reset link has been sent' };
+
+
+    const throttle = await checkResetThrottle(email, req.ip);
+    if (throttle) {
+      res.set('Retry-After', String(throttle.retry_after));
+      return res.status(429).json({
+        message: 'Too many password reset requests. Please wait before trying again.',
+        retry_after: throttle.retry_after,
+      });
+    }
+
+
+    await recordResetRequest(email, req.ip);
+
+
+    // The account lookup and email happen after responding, so the response
+    // time says nothing about whether the email is registered
+    res.json(genericResponse);
+    sendPasswordReset(email);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+
+/**
+ * @swagger
+ * /api/v1/auth/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     description: |
+ *       Reset tokens are single-use and expire. A successful reset signs the
+ *       user out of every existing session.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired reset token
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Token and password are required' });
+    }
+
+
+    // Claim the token in one step so it cannot be used twice
+    const { data: resetToken, error: claimError } = await supabase
+      .from('password_reset_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('token_hash', hashToken(token))
+      .is('used_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .select('user_id')
+      .maybeSingle();
+
+
+    if (claimError) throw claimError;
+    if (!resetToken) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+
+    const { error } = await supabase
+      .from('users')
+      .update({ password: hashedPassword, updated_at: new Date().toISOString() })
+      .eq('id', resetToken.user_id);
+
+
+    if (error) throw error;
+
+
+    await revokeAllSessions(resetToken.user_id);
+
+
+    res.json({ message: 'Password has been reset. Please log in again.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
 });
 
 
@@ -1,8 +1,71 @@
 const express = require('express');
 const supabase = require('../config/supabase');
 const authMiddleware = require('../middleware/auth');
+const acceptApiKey = require('../middleware/acceptApiKey');
+const requireVerified = require('../middleware/requireVerified');
+const { can, requirePermission } = require('../middleware/permissions');
+const { parseGeoFilter, applyGeoFilter, fetchWithinRadius } = require('../utils/geo');
+const { paginateRows, iterateKeyset } = require('../utils/pagination');
+const { CRASH_ALERT_TYPE, announceDuplicates } = require('../utils/duplicates');
+const { EXPORT_FORMATS, streamExport } = require('../utils/incidentExport');
+const { rescoreIncident } = require('../utils/priority');
 
 const router = express.Router();
+
+// Sort option -> column. Distance sorts nearest first, the others newest
+// or highest first.
+const CRASH_SORTS = {
+  triggered_at: 'triggered_at',
+  priority: 'priority_score',
+  distance: 'distance_m',
+};
+
+const EXPORT_COLUMNS = [
+  'id', 'user_id', 'status', 'latitude', 'longitude', 'impact_force', 'sensitivity_level', 'stillness_duration',
+  'movement_detected', 'triggered_at', 'sent_at', 'acknowledged_at', 'resolved_at', 'device_battery', 'network_type',
+  'merged_into_alert_id', 'priority_score',
+];
+
+// Columns PUT and PATCH may change. Merging goes through POST /alerts/:id/merge
+// and the vehicle comes from the reporting API key.
+const EDITABLE_FIELDS = [
+  'latitude', 'longitude', 'impact_force', 'sensitivity_level', 'stillness_duration', 'movement_detected',
+  'status', 'sent_at', 'acknowledged_at', 'resolved_at', 'device_battery', 'network_type',
+];
+
+const pickEditable = (body) => {
+  const updates = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) updates[field] = body[field];
+  });
+  return updates;
+};
+
+/**
+ * Apply the list filters and role-based visibility to a crash events query
+ */
+const applyCrashFilters = (query, { status, from, to }, geo, user) => {
+  query = query.eq('event_type', 'AUTO_CRASH');
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+  if (from) {
+    query = query.gte('triggered_at', from);
+  }
+  if (to) {
+    query = query.lte('triggered_at', to);
+  }
+
+  if (!can(user, 'crash.view_all')) {
+    query = query.eq('user_id', user.id);
+  }
+
+  return applyGeoFilter(query, geo);
+};
+
+// Crash detectors report with a crash:write API key instead of a user session
+router.post('/', acceptApiKey);
 router.use(authMiddleware);
 
 /**
@@ -23,6 +86,11 @@ router.use(authMiddleware);
  *           type: integer
  *         user_id:
  *           type: integer
+ *           nullable: true
+ *         vehicle_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Set when the event was reported by an API key also bound to a vehicle
  *         event_type:
  *           type: string
  *           example: AUTO_CRASH
@@ -49,6 +117,10 @@ router.use(authMiddleware);
  *           type: string
  *           enum: [pending, responding, resolved, cancelled]
  *           default: pending
+ *         merged_into_alert_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Alert this event was merged into as a duplicate report
  *         triggered_at:
  *           type: string
  *           format: date-time
@@ -85,6 +157,10 @@ router.use(authMiddleware);
  *               type: string
  *             last_name:
  *               type: string
+ *             email_verified:
+ *               type: boolean
+ *             phone_verified:
+ *               type: boolean
  *
  *     CrashEventUpdate:
  *       type: object
@@ -136,10 +212,14 @@ router.use(authMiddleware);
  * /api/v1/crash:
  *   post:
  *     summary: Automatic crash detection trigger
- *     description: Creates a crash event when a mobile device detects a collision
+ *     description: |
+ *       Creates a crash event when a mobile device detects a collision. Detectors may authenticate with an API key holding the crash:write scope; the key must be bound to a user, who is recorded as the reporter.
+ *
+ *       Staff are sent `incident:possible_duplicates` when open accident alerts or crash events were reported nearby around the same time.
  *     tags: [Crash Detection]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -188,11 +268,20 @@ router.use(authMiddleware);
  *                   $ref: '#/components/schemas/CrashEvent'
  *       400:
  *         description: Missing required fields (latitude/longitude)
+ *       403:
+ *         description: Account verification required by this deployment, or an API key not bound to a user
  *       500:
  *         description: Server error
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('crash.create'), requireVerified, async (req, res) => {
   try {
+    // Keys issued before crash:write required a user could be vehicle-only
+    if (!req.user.id) {
+      return res.status(403).json({
+        message: 'API key is not bound to a user; crash events need a reporter'
+      });
+    }
+
     const {
       latitude,
       longitude,
@@ -209,6 +298,7 @@ router.post('/', async (req, res) => {
 
     const crashEvent = {
       user_id: req.user.id,
+      vehicle_id: req.user.vehicle_id || null,
       event_type: 'AUTO_CRASH',
       latitude,
       longitude,
@@ -224,17 +314,26 @@ router.post('/', async (req, res) => {
       .insert([crashEvent])
       .select(`
         *,
-        user:user_id(id, first_name, last_name)
+        user:user_id(id, first_name, last_name, email_verified, phone_verified)
       `)
       .single();
 
     if (error) throw error;
+    Object.assign(data, await rescoreIncident('crash', data));
 
     res.status(201).json({
       message: 'Crash event recorded',
       event: data
     });
 
+    announceDuplicates({ crash_event_id: data.id }, {
+      alertType: CRASH_ALERT_TYPE,
+      latitude: data.latitude,
+      longitude: data.longitude,
+      reportedAt: data.triggered_at,
+      excludeCrashEventId: data.id,
+    });
+
   } catch (error) {
     console.error('Crash detection error:', error);
     res.status(500).json({ message: error.message });
@@ -269,6 +368,16 @@ router.post('/', async (req, res) => {
  *           type: string
  *           format: date-time
  *         description: End date (ISO format) – filters on triggered_at
+ *       - $ref: '#/components/parameters/GeoNear'
+ *       - $ref: '#/components/parameters/GeoRadius'
+ *       - $ref: '#/components/parameters/GeoBbox'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [triggered_at, priority, distance]
+ *           default: triggered_at
+ *         description: triggered_at sorts newest first, priority by triage score; distance (nearest first) requires near
  *       - in: query
  *         name: limit
  *         schema:
@@ -286,7 +395,7 @@ router.post('/', async (req, res) => {
  *         description: Offset for pagination
  *     responses:
  *       200:
- *         description: List of crash events with pagination info
+ *         description: List of crash events with pagination info; includes distance_m when near is given
  *         content:
  *           application/json:
  *             schema:
@@ -307,38 +416,68 @@ router.post('/', async (req, res) => {
  *                       type: integer
  *                     returned:
  *                       type: integer
+ *       400:
+ *         description: Invalid area filter or sort, or too many crash events in the search radius
  *       500:
  *         description: Server error
  */
 router.get('/', async (req, res) => {
   try {
-    const { status, from, to, limit = 20, offset = 0 } = req.query;
-
-    let query = supabase
-      .from('crash_events')
-      .select(`
-        *,
-        user:user_id(id, first_name, last_name)
-      `, { count: 'exact' })
-      .eq('event_type', 'AUTO_CRASH')
-      .order('triggered_at', { ascending: false });
+    const { status, from, to, limit = 20, offset = 0, sort = 'triggered_at' } = req.query;
 
-    if (status) {
-      query = query.eq('status', status);
+    if (!Object.keys(CRASH_SORTS).includes(sort)) {
+      return res.status(400).json({ message: `sort must be one of: ${Object.keys(CRASH_SORTS).join(', ')}` });
     }
-    if (from) {
-      query = query.gte('triggered_at', from);
+
+    const geo = parseGeoFilter(req.query);
+    if (geo.error) {
+      return res.status(400).json({ message: geo.error });
     }
-    if (to) {
-      query = query.lte('triggered_at', to);
+    if (sort === 'distance' && !geo.near) {
+      return res.status(400).json({ message: 'sort=distance requires near and radius_m' });
     }
 
-    if (req.user.role === 'user') {
-      query = query.eq('user_id', req.user.id);
-    }
+    let query = applyCrashFilters(
+      supabase
+        .from('crash_events')
+        .select(`
+          *,
+          user:user_id(id, first_name, last_name, email_verified, phone_verified)
+        `, { count: 'exact' })
+        .order(sort === 'distance' ? 'triggered_at' : CRASH_SORTS[sort], { ascending: false, nullsFirst: false }),
+      { status, from, to },
+      geo,
+      req.user
+    );
 
     const parsedLimit = parseInt(limit);
     const parsedOffset = parseInt(offset);
+
+    // Radius searches are measured and ranked here rather than in the database
+    if (geo.near) {
+      const nearby = await fetchWithinRadius(query, geo.near);
+      if (nearby.error) {
+        return res.status(400).json({ message: nearby.error });
+      }
+
+      const page = paginateRows(nearby.rows, {
+        column: CRASH_SORTS[sort],
+        ascending: sort === 'distance',
+        limit: parsedLimit,
+        offset: parsedOffset,
+      });
+
+      return res.json({
+        data: page.data,
+        pagination: {
+          total: page.total,
+          limit: parsedLimit,
+          offset: parsedOffset,
+          returned: page.data.length
+        }
+      });
+    }
+
     query = query.range(parsedOffset, parsedOffset + parsedLimit - 1);
 
     const { data, error, count } = await query;
@@ -361,6 +500,109 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/crash/export:
+ *   get:
+ *     summary: Export crash events as CSV, GeoJSON or KML
+ *     description: |
+ *       Takes the same filters and sort as the crash events list and streams
+ *       every matching event; `limit` and `offset` are ignored. Users only
+ *       export their own events. Radius searches add `distance_m`.
+ *     tags: [Crash Detection]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ExportFormat'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, responding, resolved, cancelled]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - $ref: '#/components/parameters/GeoNear'
+ *       - $ref: '#/components/parameters/GeoRadius'
+ *       - $ref: '#/components/parameters/GeoBbox'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [triggered_at, priority, distance]
+ *           default: triggered_at
+ *     responses:
+ *       200:
+ *         description: File download
+ *         content:
+ *           text/csv: {}
+ *           application/geo+json: {}
+ *           application/vnd.google-earth.kml+xml: {}
+ *       400:
+ *         description: Invalid format, area filter or sort, or too many crash events in the search radius
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const { status, from, to, format = 'csv', sort = 'triggered_at' } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+    if (!Object.keys(CRASH_SORTS).includes(sort)) {
+      return res.status(400).json({ message: `sort must be one of: ${Object.keys(CRASH_SORTS).join(', ')}` });
+    }
+
+    const geo = parseGeoFilter(req.query);
+    if (geo.error) {
+      return res.status(400).json({ message: geo.error });
+    }
+    if (sort === 'distance' && !geo.near) {
+      return res.status(400).json({ message: 'sort=distance requires near and radius_m' });
+    }
+
+    const buildQuery = () => applyCrashFilters(
+      supabase.from('crash_events').select(EXPORT_COLUMNS.join(', ')),
+      { status, from, to },
+      geo,
+      req.user
+    );
+
+    let rows;
+    if (geo.near) {
+      const nearby = await fetchWithinRadius(buildQuery(), geo.near);
+      if (nearby.error) {
+        return res.status(400).json({ message: nearby.error });
+      }
+      rows = paginateRows(nearby.rows, {
+        column: CRASH_SORTS[sort],
+        ascending: sort === 'distance',
+        limit: Infinity,
+      }).data;
+    } else {
+      rows = iterateKeyset(buildQuery, CRASH_SORTS[sort], false);
+    }
+
+    await streamExport(res, rows, {
+      format,
+      name: 'crash-events',
+      columns: geo.near ? [...EXPORT_COLUMNS, 'distance_m'] : EXPORT_COLUMNS,
+      label: (event) => `Crash event ${event.id}`,
+      timeColumn: 'triggered_at',
+    });
+  } catch (error) {
+    console.error('Export crash events error:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
 /**
  * @swagger
  * /api/v1/crash/{id}:
@@ -396,6 +638,8 @@ router.get('/', async (req, res) => {
  *                   example: Crash event updated
  *                 event:
  *                   $ref: '#/components/schemas/CrashEvent'
+ *       400:
+ *         description: No editable fields in the request
  *       403:
  *         description: Forbidden – you do not own this event
  *       404:
@@ -406,7 +650,10 @@ router.get('/', async (req, res) => {
 router.put('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const updates = pickEditable(req.body);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: `No editable fields; send any of: ${EDITABLE_FIELDS.join(', ')}` });
+    }
 
     // First, fetch the existing event to check ownership
     const { data: existing, error: fetchError } = await supabase
@@ -419,19 +666,11 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Crash event not found' });
     }
 
-    // Authorization: user can only update if owner or not a regular user
-    if (req.user.role === 'user' && existing.user_id !== req.user.id) {
+    // Authorization: owners, or anyone with crash.manage_all
+    if (!can(req.user, 'crash.manage_all') && existing.user_id !== req.user.id) {
       return res.status(403).json({ message: 'You do not have permission to update this event' });
     }
 
-    // Remove fields that should never be updated directly
-    delete updates.id;
-    delete updates.user_id;
-    delete updates.event_type;
-    delete updates.created_at;
-    delete updates.updated_at;
-    delete updates.triggered_at;   // triggered_at is set once at creation
-
     // Perform the update
     const { data, error } = await supabase
       .from('crash_events')
@@ -439,11 +678,12 @@ router.put('/:id', async (req, res) => {
       .eq('id', id)
       .select(`
         *,
-        user:user_id(id, first_name, last_name)
+        user:user_id(id, first_name, last_name, email_verified, phone_verified)
       `)
       .single();
 
     if (error) throw error;
+    Object.assign(data, await rescoreIncident('crash', data));
 
     res.json({
       message: 'Crash event updated',
@@ -491,6 +731,8 @@ router.put('/:id', async (req, res) => {
  *                   example: Crash event updated
  *                 event:
  *                   $ref: '#/components/schemas/CrashEvent'
+ *       400:
+ *         description: No editable fields in the request
  *       403:
  *         description: Forbidden – you do not own this event
  *       404:
@@ -501,7 +743,10 @@ router.put('/:id', async (req, res) => {
 router.patch('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const updates = pickEditable(req.body);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: `No editable fields; send any of: ${EDITABLE_FIELDS.join(', ')}` });
+    }
 
     // First, fetch the existing event to check ownership
     const { data: existing, error: fetchError } = await supabase
@@ -514,19 +759,11 @@ router.patch('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Crash event not found' });
     }
 
-    // Authorization: user can only update if owner or not a regular user
-    if (req.user.role === 'user' && existing.user_id !== req.user.id) {
+    // Authorization: owners, or anyone with crash.manage_all
+    if (!can(req.user, 'crash.manage_all') && existing.user_id !== req.user.id) {
       return res.status(403).json({ message: 'You do not have permission to update this event' });
     }
 
-    // Remove immutable fields
-    delete updates.id;
-    delete updates.user_id;
-    delete updates.event_type;
-    delete updates.created_at;
-    delete updates.updated_at;
-    delete updates.triggered_at;
-
     // Perform the update
     const { data, error } = await supabase
       .from('crash_events')
@@ -534,11 +771,12 @@ router.patch('/:id', async (req, res) => {
       .eq('id', id)
       .select(`
         *,
-        user:user_id(id, first_name, last_name)
+        user:user_id(id, first_name, last_name, email_verified, phone_verified)
       `)
       .single();
 
     if (error) throw error;
+    Object.assign(data, await rescoreIncident('crash', data));
 
     res.json({
       message: 'Crash event updated',
@@ -600,8 +838,8 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Crash event not found' });
     }
 
-    // Authorization: user can only delete if owner or not a regular user
-    if (req.user.role === 'user' && existing.user_id !== req.user.id) {
+    // Authorization: owners, or anyone with crash.manage_all
+    if (!can(req.user, 'crash.manage_all') && existing.user_id !== req.user.id) {
       return res.status(403).json({ message: 'You do not have permission to delete this event' });
     }
 
@@ -2,6 +2,7 @@
 const express = require('express');
 const supabase = require('../config/supabase');
 const authMiddleware = require('../middleware/auth');
+const { can } = require('../middleware/permissions');
 
 const router = express.Router();
 
@@ -9,10 +10,10 @@ const router = express.Router();
 router.use(authMiddleware);
 
 /**
- * Helper to check if the current user owns the contact or is an admin
+ * Helper to check if the current user owns the contact or may manage all contacts
  */
-const canAccessContact = async (contactId, userId, userRole) => {
-  if (userRole === 'admin') return true; // Admin can access any contact
+const canAccessContact = async (contactId, user) => {
+  if (can(user, 'contact.manage_all')) return true;
 
   // Fetch the contact and verify ownership
   const { data, error } = await supabase
@@ -22,7 +23,7 @@ const canAccessContact = async (contactId, userId, userRole) => {
     .single();
 
   if (error || !data) return false;
-  return data.user_id === userId;
+  return data.user_id === user.id;
 };
 
 /**
@@ -81,9 +82,9 @@ router.get('/', async (req, res) => {
     let targetUserId = req.user.id;
 
     // Admin can request contacts for another user
-    if (userId && req.user.role === 'admin') {
+    if (userId && can(req.user, 'contact.manage_all')) {
       targetUserId = parseInt(userId);
-    } else if (userId && req.user.role !== 'admin') {
+    } else if (userId) {
       return res.status(403).json({ message: 'Forbidden' });
     }
 
@@ -162,9 +163,9 @@ router.post('/', async (req, res) => {
 
     // Determine which user this contact belongs to
     let ownerId = req.user.id;
-    if (user_id && req.user.role === 'admin') {
+    if (user_id && can(req.user, 'contact.manage_all')) {
       ownerId = user_id;
-    } else if (user_id && req.user.role !== 'admin') {
+    } else if (user_id) {
       return res.status(403).json({ message: 'Forbidden' });
     }
 
@@ -234,7 +235,7 @@ router.get('/:id', async (req, res) => {
     const contactId = parseInt(req.params.id);
 
     // Check access permissions
-    const allowed = await canAccessContact(contactId, req.user.id, req.user.role);
+    const allowed = await canAccessContact(contactId, req.user);
     if (!allowed) {
       return res.status(403).json({ message: 'Access denied' });
     }
@@ -324,7 +325,7 @@ router.put('/:id', async (req, res) => {
     }
 
     // Check permissions
-    if (req.user.role !== 'admin' && existing.user_id !== req.user.id) {
+    if (!can(req.user, 'contact.manage_all') && existing.user_id !== req.user.id) {
       return res.status(403).json({ message: 'Forbidden' });
     }
 
@@ -397,7 +398,7 @@ router.delete('/:id', async (req, res) => {
     }
 
     // Check permissions
-    if (req.user.role !== 'admin' && existing.user_id !== req.user.id) {
+    if (!can(req.user, 'contact.manage_all') && existing.user_id !== req.user.id) {
       return res.status(403).json({ message: 'Forbidden' });
     }
 
@@ -0,0 +1,380 @@
+const express = require('express');
+const supabase = require('../config/supabase');
+const authMiddleware = require('../middleware/auth');
+const requireMfa = require('../middleware/requireMfa');
+const { requirePermission } = require('../middleware/permissions');
+const { ESCALATION_SEVERITIES, ESCALATION_REASONS } = require('../config/escalation');
+const {
+  ESCALATION_POLICY_FIELDS,
+  ESCALATION_FIELDS,
+  getEscalationPolicies,
+  runEscalationCycle,
+} = require('../utils/escalation');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+const POLICY_THRESHOLDS = ['pending_after_minutes', 'unassigned_after_minutes'];
+const POLICY_FLAGS = ['bump_severity', 'enabled'];
+
+// Thresholds are whole minutes, or null to turn the check off
+const isThreshold = (value) => value === null || (Number.isInteger(value) && value > 0 && value <= 24 * 60);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Escalations
+ *   description: Automatic escalation of alerts and SOS requests left pending or unassigned
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EscalationPolicy:
+ *       type: object
+ *       properties:
+ *         incident_type:
+ *           type: string
+ *           enum: [alert, sos]
+ *         severity:
+ *           type: string
+ *           enum: [low, medium, high, critical, any]
+ *           description: SOS requests have no severity and use `any`
+ *         pending_after_minutes:
+ *           type: integer
+ *           nullable: true
+ *           description: Escalate while still pending this long (null turns the check off)
+ *         unassigned_after_minutes:
+ *           type: integer
+ *           nullable: true
+ *           description: Escalate while no vehicle or responder is assigned this long (alerts only)
+ *         bump_severity:
+ *           type: boolean
+ *           description: Raise the alert one severity level on each escalation
+ *         enabled:
+ *           type: boolean
+ *         is_default:
+ *           type: boolean
+ *           description: True until an admin saves this policy
+ *         updated_by:
+ *           type: integer
+ *           nullable: true
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     Escalation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         incident_type:
+ *           type: string
+ *           enum: [alert, sos]
+ *         incident_id:
+ *           type: integer
+ *         reason:
+ *           type: string
+ *           enum: [pending, unassigned]
+ *         level:
+ *           type: integer
+ *           description: How many times this incident has been escalated
+ *         waited_minutes:
+ *           type: integer
+ *           description: Minutes since the report or the previous escalation
+ *         from_severity:
+ *           type: string
+ *           nullable: true
+ *         to_severity:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/escalations:
+ *   get:
+ *     summary: List escalations (Admin/Dispatcher only)
+ *     description: |
+ *       Escalations are made by a background check every
+ *       ESCALATION_INTERVAL_SECONDS (default 60). Each one is also sent
+ *       to supervisors as `incident:escalated`, and alert escalations
+ *       appear on the alert timeline.
+ *     tags: [Escalations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: incident_type
+ *         schema:
+ *           type: string
+ *           enum: [alert, sos]
+ *       - in: query
+ *         name: incident_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [pending, unassigned]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Escalations, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Escalation'
+ */
+router.get('/', requirePermission('escalation.receive'), async (req, res) => {
+  try {
+    const { incident_type, incident_id, reason, from, to } = req.query;
+
+    if (reason && !ESCALATION_REASONS.includes(reason)) {
+      return res.status(400).json({ message: `reason must be one of: ${ESCALATION_REASONS.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    let query = supabase
+      .from('escalations')
+      .select(ESCALATION_FIELDS)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false });
+
+    if (incident_type) query = query.eq('incident_type', incident_type);
+    if (incident_id) query = query.eq('incident_id', incident_id);
+    if (reason) query = query.eq('reason', reason);
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lte('created_at', to);
+
+    const { data, error } = await query.range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    console.error('Get escalations error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/escalations/policies:
+ *   get:
+ *     summary: Get the escalation policies in effect (Admin/Dispatcher only)
+ *     tags: [Escalations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: One policy per incident type and severity
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/EscalationPolicy'
+ */
+router.get('/policies', requirePermission('escalation.receive'), async (req, res) => {
+  try {
+    res.json(await getEscalationPolicies());
+  } catch (error) {
+    console.error('Get escalation policies error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/escalations/policies/{incidentType}/{severity}:
+ *   put:
+ *     summary: Change an escalation policy (Admin only)
+ *     description: Fields left out keep their current value.
+ *     tags: [Escalations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: incidentType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [alert, sos]
+ *       - in: path
+ *         name: severity
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high, critical, any]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               pending_after_minutes:
+ *                 type: integer
+ *                 nullable: true
+ *               unassigned_after_minutes:
+ *                 type: integer
+ *                 nullable: true
+ *               bump_severity:
+ *                 type: boolean
+ *               enabled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Policy saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EscalationPolicy'
+ *       400:
+ *         description: Invalid threshold or flag
+ *       404:
+ *         description: No such incident type or severity
+ */
+router.put('/policies/:incidentType/:severity', requirePermission('escalation.manage'), requireMfa, async (req, res) => {
+  try {
+    const { incidentType, severity } = req.params;
+
+    if (!(ESCALATION_SEVERITIES[incidentType] || []).includes(severity)) {
+      return res.status(404).json({ message: 'No escalation policy for this incident type and severity' });
+    }
+
+    const changes = {};
+    for (const field of POLICY_THRESHOLDS) {
+      if (req.body[field] === undefined) continue;
+      if (!isThreshold(req.body[field])) {
+        return res.status(400).json({ message: `${field} must be a whole number of minutes up to 1440, or null` });
+      }
+      changes[field] = req.body[field];
+    }
+    for (const field of POLICY_FLAGS) {
+      if (req.body[field] === undefined) continue;
+      if (typeof req.body[field] !== 'boolean') {
+        return res.status(400).json({ message: `${field} must be true or false` });
+      }
+      changes[field] = req.body[field];
+    }
+
+    if (incidentType === 'sos' && (changes.unassigned_after_minutes || changes.bump_severity)) {
+      return res.status(400).json({ message: 'SOS requests cannot be assigned and have no severity' });
+    }
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ message: 'No policy fields to update' });
+    }
+
+    const before = (await getEscalationPolicies())
+      .find((policy) => policy.incident_type === incidentType && policy.severity === severity);
+
+    const row = {
+      ...changes,
+      updated_by: req.user.id,
+      updated_at: new Date().toISOString(),
+    };
+
+    const { data, error } = before.id
+      ? await supabase
+        .from('escalation_policies')
+        .update(row)
+        .eq('id', before.id)
+        .select(ESCALATION_POLICY_FIELDS)
+        .single()
+      : await supabase
+        .from('escalation_policies')
+        .insert([{
+          incident_type: incidentType,
+          severity,
+          pending_after_minutes: before.pending_after_minutes,
+          unassigned_after_minutes: before.unassigned_after_minutes,
+          bump_severity: before.bump_severity,
+          enabled: before.enabled,
+          ...row,
+        }])
+        .select(ESCALATION_POLICY_FIELDS)
+        .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'escalation_policy.update',
+      targetType: 'escalation_policy',
+      targetId: `${incidentType}:${severity}`,
+      before: Object.fromEntries([...POLICY_THRESHOLDS, ...POLICY_FLAGS].map((field) => [field, before[field]])),
+      after: Object.fromEntries([...POLICY_THRESHOLDS, ...POLICY_FLAGS].map((field) => [field, data[field]])),
+    });
+
+    res.json({ ...data, is_default: false });
+  } catch (error) {
+    console.error('Update escalation policy error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/escalations/run:
+ *   post:
+ *     summary: Run the escalation check now (Admin only)
+ *     tags: [Escalations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Escalations made by this run
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 escalated:
+ *                   type: integer
+ *                 escalations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Escalation'
+ */
+router.post('/run', requirePermission('escalation.manage'), requireMfa, async (req, res) => {
+  try {
+    const escalations = await runEscalationCycle();
+    res.json({ escalated: escalations.length, escalations });
+  } catch (error) {
+    console.error('Run escalations error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+module.exports = router;
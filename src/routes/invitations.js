@@ -0,0 +1,386 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const authMiddleware = require('../middleware/auth');
+const requireMfa = require('../middleware/requireMfa');
+const { requirePermission } = require('../middleware/permissions');
+const { ROLES } = require('../config/permissions');
+const { hashToken } = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+const STAFF_ROLES = ROLES.filter((role) => role !== 'user');
+const DEFAULT_EXPIRY_HOURS = 72;
+
+/**
+ * Derive the display status of an invitation from its timestamps
+ */
+const invitationStatus = (invitation) => {
+  if (invitation.revoked_at) return 'revoked';
+  if (invitation.redeemed_at) return 'redeemed';
+  if (new Date(invitation.expires_at) <= new Date()) return 'expired';
+  return 'pending';
+};
+
+const INVITATION_FIELDS = 'id, email, role, expires_at, created_by, created_at, redeemed_at, redeemed_by, revoked_at';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Invitations
+ *   description: Invitation-based onboarding for staff roles
+ */
+
+/**
+ * @swagger
+ * /api/v1/users/invitations/redeem:
+ *   post:
+ *     summary: Create a staff account from an invitation code
+ *     description: |
+ *       Public endpoint. The new account gets the role carried by the
+ *       invitation. Each code can be redeemed once, before it expires.
+ *     tags: [Invitations]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - email
+ *               - password
+ *               - first_name
+ *               - last_name
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: 7F3A-91C2-B04E
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               first_name:
+ *                 type: string
+ *               last_name:
+ *                 type: string
+ *               middle_name:
+ *                 type: string
+ *               ext_name:
+ *                 type: string
+ *               username:
+ *                 type: string
+ *               user_phone_number:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Account created
+ *       400:
+ *         description: Invalid, expired or already used invitation
+ */
+router.post('/redeem', async (req, res) => {
+  try {
+    const {
+      code,
+      email,
+      password,
+      first_name,
+      last_name,
+      middle_name,
+      ext_name,
+      username,
+      user_phone_number,
+    } = req.body;
+
+    if (!code || !email || !password || !first_name || !last_name) {
+      return res.status(400).json({ message: 'Required fields are missing' });
+    }
+
+    const codeHash = hashToken(code.trim().toUpperCase());
+
+    const { data: invitation, error: fetchError } = await supabase
+      .from('invitations')
+      .select(INVITATION_FIELDS)
+      .eq('code_hash', codeHash)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!invitation || invitationStatus(invitation) !== 'pending') {
+      return res.status(400).json({ message: 'Invalid or expired invitation' });
+    }
+
+    if (invitation.email && invitation.email.toLowerCase() !== email.toLowerCase()) {
+      return res.status(400).json({ message: 'This invitation was issued to a different email' });
+    }
+
+    // Claim the invitation before creating the account so it cannot be used twice
+    const { data: claimed, error: claimError } = await supabase
+      .from('invitations')
+      .update({ redeemed_at: new Date().toISOString() })
+      .eq('id', invitation.id)
+      .is('redeemed_at', null)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (claimError) throw claimError;
+    if (!claimed || claimed.length === 0) {
+      return res.status(400).json({ message: 'Invalid or expired invitation' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .insert([{
+        email,
+        password: hashedPassword,
+        first_name,
+        last_name,
+        middle_name,
+        ext_name,
+        username,
+        user_phone_number,
+        role: invitation.role,
+        // The invited address received the code, so it counts as verified
+        email_verified: !!invitation.email,
+        phone_verified: false,
+      }])
+      .select('id, first_name, middle_name, last_name, ext_name, username, email, user_phone_number, avatar_url, email_verified, phone_verified, role, created_at')
+      .single();
+
+    if (error) {
+      // Release the invitation so it can be retried with corrected details
+      await supabase
+        .from('invitations')
+        .update({ redeemed_at: null })
+        .eq('id', invitation.id);
+
+      if (error.code === '23505') {
+        return res.status(400).json({ message: 'Email or username already exists' });
+      }
+      return res.status(400).json({ message: error.message });
+    }
+
+    await supabase
+      .from('invitations')
+      .update({ redeemed_by: user.id })
+      .eq('id', invitation.id);
+
+    res.status(201).json(user);
+  } catch (error) {
+    console.error('Redeem invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Everything below is admin only
+router.use(authMiddleware, requirePermission('invitation.manage'), requireMfa);
+
+/**
+ * @swagger
+ * /api/v1/users/invitations:
+ *   get:
+ *     summary: List invitations (Admin only)
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, redeemed, revoked, expired]
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [rescuer, dispatcher, driver, admin]
+ *     responses:
+ *       200:
+ *         description: List of invitations
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status, role } = req.query;
+
+    let query = supabase
+      .from('invitations')
+      .select(INVITATION_FIELDS)
+      .order('created_at', { ascending: false });
+
+    if (role) {
+      query = query.eq('role', role);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    const invitations = data.map((invitation) => ({
+      ...invitation,
+      status: invitationStatus(invitation),
+    }));
+
+    res.json(status ? invitations.filter((invitation) => invitation.status === status) : invitations);
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/invitations:
+ *   post:
+ *     summary: Issue a staff invitation (Admin only)
+ *     description: |
+ *       The one-time code is only returned in this response (and emailed
+ *       when an email is given); it is stored hashed.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [rescuer, dispatcher, driver, admin]
+ *               email:
+ *                 type: string
+ *                 description: Restrict the invitation to this email
+ *               expires_in_hours:
+ *                 type: integer
+ *                 default: 72
+ *     responses:
+ *       201:
+ *         description: Invitation created
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { role, email, expires_in_hours = DEFAULT_EXPIRY_HOURS } = req.body;
+
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+
+    const hours = parseInt(expires_in_hours);
+    if (!hours || hours < 1 || hours > 24 * 30) {
+      return res.status(400).json({ message: 'expires_in_hours must be between 1 and 720' });
+    }
+
+    const code = crypto.randomBytes(6).toString('hex').toUpperCase().match(/.{4}/g).join('-');
+
+    const { data, error } = await supabase
+      .from('invitations')
+      .insert([{
+        email: email || null,
+        role,
+        code_hash: hashToken(code),
+        expires_at: new Date(Date.now() + hours * 60 * 60 * 1000).toISOString(),
+        created_by: req.user.id,
+      }])
+      .select(INVITATION_FIELDS)
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'invitation.create',
+      targetType: 'invitation',
+      targetId: data.id,
+      after: data,
+    });
+
+    if (email) {
+      await sendMail({
+        to: email,
+        subject: 'You have been invited to RescueLink',
+        text: [
+          `You have been invited to join RescueLink as a ${role}.`,
+          '',
+          `Your invitation code is ${code}.`,
+          `It can be used once and expires on ${new Date(data.expires_at).toUTCString()}.`,
+        ].join('\n'),
+      });
+    }
+
+    res.status(201).json({ ...data, status: invitationStatus(data), code });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/invitations/{id}/revoke:
+ *   patch:
+ *     summary: Revoke a pending invitation (Admin only)
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       400:
+ *         description: Invitation already redeemed or revoked
+ *       404:
+ *         description: Invitation not found
+ */
+router.patch('/:id/revoke', async (req, res) => {
+  try {
+    const { data: existing, error: fetchError } = await supabase
+      .from('invitations')
+      .select(INVITATION_FIELDS)
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!existing) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+    if (existing.redeemed_at || existing.revoked_at) {
+      return res.status(400).json({ message: `Invitation is already ${invitationStatus(existing)}` });
+    }
+
+    const { data, error } = await supabase
+      .from('invitations')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .select(INVITATION_FIELDS)
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'invitation.revoke',
+      targetType: 'invitation',
+      targetId: data.id,
+      before: existing,
+      after: data,
+    });
+
+    res.json({ ...data, status: invitationStatus(data) });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,231 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const { parseMapOptions, clusterIncidents, heatmapPoints } = require('../utils/mapAggregation');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Map
+ *   description: Clustered and heatmap views of incidents for the dispatch map
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     MapSource:
+ *       in: query
+ *       name: source
+ *       schema:
+ *         type: string
+ *         example: alert,sos,crash
+ *       description: Comma-separated incident sources (default all three)
+ *     MapType:
+ *       in: query
+ *       name: type
+ *       schema:
+ *         type: string
+ *       description: |
+ *         Comma-separated alert or SOS types. Crash events count as
+ *         `accident`.
+ *     MapSeverity:
+ *       in: query
+ *       name: severity
+ *       schema:
+ *         type: string
+ *       description: Comma-separated severities. Only alerts have one, so this leaves out SOS requests and crash events.
+ *     MapFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *       description: Defaults to 30 days before `to`
+ *     MapTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *     MapZoom:
+ *       in: query
+ *       name: zoom
+ *       schema:
+ *         type: integer
+ *         minimum: 0
+ *         maximum: 22
+ *       description: Web-map zoom level, used to pick the geohash precision
+ *     MapPrecision:
+ *       in: query
+ *       name: precision
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 9
+ *       description: Geohash cell precision; overrides zoom
+ */
+
+/**
+ * @swagger
+ * /api/v1/map/clusters:
+ *   get:
+ *     summary: Incident counts per geohash cell
+ *     description: |
+ *       Counts the alerts, SOS requests and crash events in each geohash
+ *       cell, placed at the average position of the incidents in it. A cell
+ *       with one incident also names it in `incident`. Visibility follows
+ *       the list endpoints, so users only see their own reports. Merged
+ *       duplicates and incidents without a position are left out.
+ *     tags: [Map]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/MapSource'
+ *       - $ref: '#/components/parameters/MapType'
+ *       - $ref: '#/components/parameters/MapSeverity'
+ *       - $ref: '#/components/parameters/MapFrom'
+ *       - $ref: '#/components/parameters/MapTo'
+ *       - $ref: '#/components/parameters/GeoBbox'
+ *       - $ref: '#/components/parameters/GeoNear'
+ *       - $ref: '#/components/parameters/GeoRadius'
+ *       - $ref: '#/components/parameters/MapZoom'
+ *       - $ref: '#/components/parameters/MapPrecision'
+ *     responses:
+ *       200:
+ *         description: Clusters, largest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 precision:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 clusters:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       geohash:
+ *                         type: string
+ *                       count:
+ *                         type: integer
+ *                       latitude:
+ *                         type: number
+ *                       longitude:
+ *                         type: number
+ *                       bounds:
+ *                         type: object
+ *                         properties:
+ *                           west:
+ *                             type: number
+ *                           south:
+ *                             type: number
+ *                           east:
+ *                             type: number
+ *                           north:
+ *                             type: number
+ *                       by_source:
+ *                         type: object
+ *                         additionalProperties:
+ *                           type: integer
+ *                       by_severity:
+ *                         type: object
+ *                         additionalProperties:
+ *                           type: integer
+ *                       incident:
+ *                         type: object
+ *                         nullable: true
+ *       400:
+ *         description: Invalid source, severity, date, area, zoom or precision
+ */
+router.get('/clusters', async (req, res) => {
+  try {
+    const options = parseMapOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ message: options.error });
+    }
+
+    res.json(await clusterIncidents(options, req.user));
+  } catch (error) {
+    console.error('Get map clusters error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/map/heatmap:
+ *   get:
+ *     summary: Weighted heatmap points
+ *     description: |
+ *       Bins incidents into geohash cells two levels finer than the
+ *       clusters at the same zoom (precision 7 by default) and returns one
+ *       point per cell. Each alert adds 1 (low), 2 (medium), 3 (high) or
+ *       5 (critical) to its point's weight, each SOS request 4 and each
+ *       crash event 3. Takes the same filters as the clusters.
+ *     tags: [Map]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/MapSource'
+ *       - $ref: '#/components/parameters/MapType'
+ *       - $ref: '#/components/parameters/MapSeverity'
+ *       - $ref: '#/components/parameters/MapFrom'
+ *       - $ref: '#/components/parameters/MapTo'
+ *       - $ref: '#/components/parameters/GeoBbox'
+ *       - $ref: '#/components/parameters/GeoNear'
+ *       - $ref: '#/components/parameters/GeoRadius'
+ *       - $ref: '#/components/parameters/MapZoom'
+ *       - $ref: '#/components/parameters/MapPrecision'
+ *     responses:
+ *       200:
+ *         description: Points, heaviest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 precision:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 max_weight:
+ *                   type: number
+ *                   description: Weight of the heaviest point, for scaling the colour ramp
+ *                 points:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       latitude:
+ *                         type: number
+ *                       longitude:
+ *                         type: number
+ *                       weight:
+ *                         type: number
+ *                       count:
+ *                         type: integer
+ *       400:
+ *         description: Invalid source, severity, date, area, zoom or precision
+ */
+router.get('/heatmap', async (req, res) => {
+  try {
+    const options = parseMapOptions(req.query, { heatmap: true });
+    if (options.error) {
+      return res.status(400).json({ message: options.error });
+    }
+
+    res.json(await heatmapPoints(options, req.user));
+  } catch (error) {
+    console.error('Get map heatmap error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+module.exports = router;
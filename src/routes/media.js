@@ -0,0 +1,514 @@
+const fs = require('fs');
+const os = require('os');
+const express = require('express');
+const multer = require('multer');
+const supabase = require('../config/supabase');
+const authMiddleware = require('../middleware/auth');
+const { can } = require('../middleware/permissions');
+const { MEDIA_TYPES, MAX_UPLOAD_BYTES, prepareUpload } = require('../utils/media');
+const { putObject, putFile, openObject, removeObject } = require('../utils/storage');
+const { getMergedSources } = require('../utils/duplicates');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+const MAX_FILES_PER_UPLOAD = 5;
+
+const upload = multer({
+  storage: multer.diskStorage({ destination: os.tmpdir() }),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_FILES_PER_UPLOAD },
+}).array('files', MAX_FILES_PER_UPLOAD);
+
+const MEDIA_FIELDS = 'id, owner_type, owner_id, uploaded_by, kind, content_type, size_bytes, original_name, width, height, gps_latitude, gps_longitude, storage_key, thumbnail_key, created_at';
+
+/**
+ * Records media can be attached to. Access follows the owning record:
+ * its reporter, or anyone allowed to view all records of that type.
+ */
+const OWNER_TYPES = {
+  alert: { table: 'alerts', viewAll: 'alert.view_all', label: 'Alert' },
+  sos: { table: 'sos_requests', viewAll: 'sos.view_all', label: 'SOS request' },
+  crash: { table: 'crash_events', viewAll: 'crash.view_all', label: 'Crash event' },
+};
+
+const checkOwnerAccess = async (ownerType, ownerId, user) => {
+  const owner = OWNER_TYPES[ownerType];
+  if (!owner) return { code: 400, message: 'owner type must be alert, sos or crash' };
+
+  const { data: record, error } = await supabase
+    .from(owner.table)
+    .select('id, user_id')
+    .eq('id', ownerId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!record) return { code: 404, message: `${owner.label} not found` };
+
+  if (!can(user, owner.viewAll) && record.user_id !== user.id) {
+    return { code: 403, message: 'Access denied' };
+  }
+  return { record };
+};
+
+/**
+ * Load an attachment and check access through its owning record
+ */
+const loadAttachment = async (id, user) => {
+  const { data: attachment, error } = await supabase
+    .from('media_attachments')
+    .select(MEDIA_FIELDS)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!attachment) return { code: 404, message: 'Attachment not found' };
+
+  const access = await checkOwnerAccess(attachment.owner_type, attachment.owner_id, user);
+  if (!access.record) return access;
+  return { attachment };
+};
+
+// Storage keys are internal; clients fetch files through the API
+const present = ({ storage_key, thumbnail_key, ...attachment }) => ({
+  ...attachment,
+  url: `/api/v1/media/files/${attachment.id}`,
+  thumbnail_url: thumbnail_key ? `/api/v1/media/files/${attachment.id}/thumbnail` : null,
+});
+
+/**
+ * Send a stored object. Returns false, having sent nothing, when the object
+ * is missing from storage.
+ */
+const streamObject = async (res, key, contentType, filename = null) => {
+  const stream = await openObject(key);
+  if (!stream) return false;
+
+  if (filename) res.set('Content-Disposition', `inline; filename="${filename}"`);
+  res.set('Content-Type', contentType);
+  res.set('Cache-Control', 'private, max-age=3600');
+  res.set('X-Content-Type-Options', 'nosniff');
+  stream.on('error', (error) => {
+    console.error('Media stream error:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+  return true;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Media
+ *   description: Photo, video and audio attachments for alerts, SOS requests and crash events
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MediaAttachment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         owner_type:
+ *           type: string
+ *           enum: [alert, sos, crash]
+ *         owner_id:
+ *           type: integer
+ *         uploaded_by:
+ *           type: integer
+ *         kind:
+ *           type: string
+ *           enum: [image, video, audio]
+ *         content_type:
+ *           type: string
+ *         size_bytes:
+ *           type: integer
+ *         original_name:
+ *           type: string
+ *         width:
+ *           type: integer
+ *           nullable: true
+ *         height:
+ *           type: integer
+ *           nullable: true
+ *         gps_latitude:
+ *           type: number
+ *           nullable: true
+ *           description: Taken from the photo's EXIF before it was stripped
+ *         gps_longitude:
+ *           type: number
+ *           nullable: true
+ *         url:
+ *           type: string
+ *         thumbnail_url:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/media/files/{id}:
+ *   get:
+ *     summary: Download an attachment
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: File contents
+ *       403:
+ *         description: No access to the owning record
+ *       404:
+ *         description: Attachment, or its file in storage, not found
+ */
+router.get('/files/:id', async (req, res) => {
+  try {
+    const result = await loadAttachment(req.params.id, req.user);
+    if (!result.attachment) {
+      return res.status(result.code).json({ message: result.message });
+    }
+
+    const { attachment } = result;
+    const filename = `${attachment.id}.${MEDIA_TYPES[attachment.content_type].ext}`;
+    if (!await streamObject(res, attachment.storage_key, attachment.content_type, filename)) {
+      console.error(`Media file missing from storage: ${attachment.storage_key}`);
+      return res.status(404).json({ message: 'Attachment file not found' });
+    }
+  } catch (error) {
+    console.error('Download media error:', error);
+    if (res.headersSent) return res.destroy(error);
+    // Storage errors can carry server paths
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/media/files/{id}/thumbnail:
+ *   get:
+ *     summary: Download the thumbnail of an image attachment
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: JPEG thumbnail
+ *       404:
+ *         description: Attachment not found, or it has no thumbnail in storage
+ */
+router.get('/files/:id/thumbnail', async (req, res) => {
+  try {
+    const result = await loadAttachment(req.params.id, req.user);
+    if (!result.attachment) {
+      return res.status(result.code).json({ message: result.message });
+    }
+    if (!result.attachment.thumbnail_key) {
+      return res.status(404).json({ message: 'Attachment has no thumbnail' });
+    }
+
+    if (!await streamObject(res, result.attachment.thumbnail_key, 'image/jpeg')) {
+      console.error(`Media thumbnail missing from storage: ${result.attachment.thumbnail_key}`);
+      return res.status(404).json({ message: 'Thumbnail file not found' });
+    }
+  } catch (error) {
+    console.error('Download thumbnail error:', error);
+    if (res.headersSent) return res.destroy(error);
+    // Storage errors can carry server paths
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/media/files/{id}:
+ *   delete:
+ *     summary: Delete an attachment
+ *     description: Allowed for the uploader and holders of media.manage.
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Attachment deleted
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Attachment not found
+ */
+router.delete('/files/:id', async (req, res) => {
+  try {
+    const result = await loadAttachment(req.params.id, req.user);
+    if (!result.attachment) {
+      return res.status(result.code).json({ message: result.message });
+    }
+
+    const { attachment } = result;
+    if (!can(req.user, 'media.manage') && attachment.uploaded_by !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { error } = await supabase
+      .from('media_attachments')
+      .delete()
+      .eq('id', attachment.id);
+
+    if (error) throw error;
+
+    await removeObject(attachment.storage_key);
+    if (attachment.thumbnail_key) {
+      await removeObject(attachment.thumbnail_key);
+    }
+
+    res.json({ message: 'Attachment deleted' });
+  } catch (error) {
+    console.error('Delete media error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/media/{ownerType}/{ownerId}:
+ *   get:
+ *     summary: List attachments of an alert, SOS request or crash event
+ *     description: For an alert, attachments of the alerts and crash events merged into it are included.
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ownerType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [alert, sos, crash]
+ *       - in: path
+ *         name: ownerId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Attachments, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/MediaAttachment'
+ *       403:
+ *         description: No access to the owning record
+ *       404:
+ *         description: Record not found
+ */
+router.get('/:ownerType/:ownerId', async (req, res) => {
+  try {
+    const { ownerType, ownerId } = req.params;
+    const access = await checkOwnerAccess(ownerType, ownerId, req.user);
+    if (!access.record) {
+      return res.status(access.code).json({ message: access.message });
+    }
+
+    let query = supabase
+      .from('media_attachments')
+      .select(MEDIA_FIELDS)
+      .order('created_at', { ascending: true });
+
+    // An alert also shows the media of the duplicate reports merged into it
+    if (ownerType === 'alert') {
+      const { alertIds, crashEventIds } = await getMergedSources(access.record.id);
+      const owners = [`and(owner_type.eq.alert,owner_id.in.(${[access.record.id, ...alertIds].join(',')}))`];
+      if (crashEventIds.length > 0) {
+        owners.push(`and(owner_type.eq.crash,owner_id.in.(${crashEventIds.join(',')}))`);
+      }
+      query = query.or(owners.join(','));
+    } else {
+      query = query.eq('owner_type', ownerType).eq('owner_id', access.record.id);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    res.json(data.map(present));
+  } catch (error) {
+    console.error('Get media error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/media/{ownerType}/{ownerId}:
+ *   post:
+ *     summary: Upload photos, video or audio to an alert, SOS request or crash event
+ *     description: |
+ *       Multipart upload of up to 5 files in the `files` field. Accepted:
+ *       JPEG, PNG and WebP images (10 MB), MP4, QuickTime and WebM video
+ *       (50 MB), MP3, M4A, Ogg, WAV and WebM audio (15 MB). The type is
+ *       checked against the file contents.
+ *
+ *       Images are re-encoded without metadata; GPS coordinates found in
+ *       their EXIF are kept on the attachment instead. Images also get a
+ *       thumbnail. Nothing is stored if any file is rejected.
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ownerType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [alert, sos, crash]
+ *       - in: path
+ *         name: ownerId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Attachments stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/MediaAttachment'
+ *       400:
+ *         description: No files, too many files, or a file failed validation
+ *       403:
+ *         description: No access to the owning record
+ *       404:
+ *         description: Record not found
+ *       413:
+ *         description: File too large
+ */
+router.post('/:ownerType/:ownerId', async (req, res) => {
+  try {
+    const { ownerType, ownerId } = req.params;
+    const access = await checkOwnerAccess(ownerType, ownerId, req.user);
+    if (!access.record) {
+      return res.status(access.code).json({ message: access.message });
+    }
+
+    try {
+      await new Promise((resolve, reject) => upload(req, res, (error) => (error ? reject(error) : resolve())));
+    } catch (error) {
+      if (error instanceof multer.MulterError) {
+        return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ message: error.message });
+      }
+      throw error;
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'No files uploaded (use the "files" field)' });
+    }
+
+    try {
+      const prepared = await Promise.all(req.files.map(prepareUpload));
+      const rejected = prepared.filter((file) => file.error).map((file) => file.error);
+      if (rejected.length > 0) {
+        return res.status(400).json({ message: 'Some files were rejected', errors: rejected });
+      }
+
+      const rows = [];
+      const storedKeys = [];
+      let data;
+
+      try {
+        for (const [index, file] of prepared.entries()) {
+          const prefix = `${ownerType}/${access.record.id}/${file.id}`;
+          const storageKey = `${prefix}.${file.ext}`;
+          const thumbnailKey = file.thumbnail ? `${prefix}-thumb.jpg` : null;
+
+          // Re-encoded images are in memory; video and audio stream from disk
+          if (file.buffer) {
+            await putObject(storageKey, file.buffer, file.content_type);
+          } else {
+            await putFile(storageKey, file.path, file.content_type);
+          }
+          storedKeys.push(storageKey);
+          if (thumbnailKey) {
+            await putObject(thumbnailKey, file.thumbnail, 'image/jpeg');
+            storedKeys.push(thumbnailKey);
+          }
+
+          rows.push({
+            owner_type: ownerType,
+            owner_id: access.record.id,
+            uploaded_by: req.user.id,
+            kind: file.kind,
+            content_type: file.content_type,
+            size_bytes: file.buffer ? file.buffer.length : req.files[index].size,
+            original_name: req.files[index].originalname,
+            width: file.width,
+            height: file.height,
+            gps_latitude: file.gps ? file.gps.latitude : null,
+            gps_longitude: file.gps ? file.gps.longitude : null,
+            storage_key: storageKey,
+            thumbnail_key: thumbnailKey,
+            created_at: new Date().toISOString(),
+          });
+        }
+
+        const result = await supabase
+          .from('media_attachments')
+          .insert(rows)
+          .select(MEDIA_FIELDS);
+
+        if (result.error) throw result.error;
+        data = result.data;
+      } catch (error) {
+        // Don't leave orphaned files behind when the upload fails part way
+        await Promise.all(storedKeys.map((key) => removeObject(key).catch(() => {})));
+        throw error;
+      }
+
+      res.status(201).json(data.map(present));
+    } finally {
+      // multer's temp files, kept on disk so uploads aren't held in memory
+      await Promise.all(req.files.map((file) => fs.promises.rm(file.path, { force: true })));
+    }
+  } catch (error) {
+    console.error('Upload media error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { PERMISSIONS, ROLE_PERMISSIONS, ROLES } = require('../config/permissions');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Permissions
+ *   description: Role-based permission policy
+ */
+
+/**
+ * @swagger
+ * /api/v1/permissions/me:
+ *   get:
+ *     summary: Get the current user's effective permissions
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Role and granted permissions
+ */
+router.get('/me', (req, res) => {
+  res.json({
+    role: req.user.role,
+    permissions: ROLE_PERMISSIONS[req.user.role] || [],
+  });
+});
+
+/**
+ * @swagger
+ * /api/v1/permissions:
+ *   get:
+ *     summary: View the role permission matrix (Admin only)
+ *     description: |
+ *       `matrix` maps every permission to the roles that hold it; `roles`
+ *       lists the permissions granted to each role.
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission matrix
+ *       403:
+ *         description: Missing permission.view permission
+ */
+router.get('/', requirePermission('permission.view'), (req, res) => {
+  const matrix = Object.keys(PERMISSIONS).map((permission) => ({
+    permission,
+    description: PERMISSIONS[permission],
+    roles: ROLES.filter((role) => ROLE_PERMISSIONS[role].includes(permission)),
+  }));
+
+  res.json({
+    roles: ROLE_PERMISSIONS,
+    matrix,
+  });
+});
+
+module.exports = router;
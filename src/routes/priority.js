@@ -0,0 +1,209 @@
+const express = require('express');
+const supabase = require('../config/supabase');
+const authMiddleware = require('../middleware/auth');
+const requireMfa = require('../middleware/requireMfa');
+const { requirePermission } = require('../middleware/permissions');
+const { MAX_PRIORITY_WEIGHT } = require('../config/priority');
+const { PRIORITY_WEIGHT_FIELDS, getPriorityWeights, runPriorityCycle } = require('../utils/priority');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Priority
+ *   description: Automatic triage priority scores for alerts, SOS requests and crash events
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PriorityWeight:
+ *       type: object
+ *       properties:
+ *         factor:
+ *           type: string
+ *           example: severity_critical
+ *         weight:
+ *           type: number
+ *         description:
+ *           type: string
+ *         is_default:
+ *           type: boolean
+ *           description: True until an admin saves this weight
+ *         updated_by:
+ *           type: integer
+ *           nullable: true
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     PriorityReason:
+ *       type: object
+ *       description: One factor behind an incident's priority_score
+ *       properties:
+ *         factor:
+ *           type: string
+ *           example: wait_per_minute
+ *         points:
+ *           type: integer
+ *         detail:
+ *           type: string
+ *           example: Pending for 12 min
+ */
+
+/**
+ * @swagger
+ * /api/v1/priority/weights:
+ *   get:
+ *     summary: Get the priority weights in effect (Staff only)
+ *     description: |
+ *       An incident's `priority_score` is the sum of the points its factors
+ *       add, listed largest first in `priority_reasons`. Open incidents are
+ *       rescored every PRIORITY_INTERVAL_SECONDS (default 60) as they wait,
+ *       and whenever they change; closed and merged incidents score 0.
+ *       Lists of alerts, SOS requests and crash events take `sort=priority`.
+ *     tags: [Priority]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: One weight per scoring factor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PriorityWeight'
+ */
+router.get('/weights', requirePermission('alert.view_all'), async (req, res) => {
+  try {
+    res.json(await getPriorityWeights());
+  } catch (error) {
+    console.error('Get priority weights error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/priority/weights/{factor}:
+ *   put:
+ *     summary: Change a priority weight (Admin only)
+ *     description: |
+ *       Takes effect at the next scoring run; use /priority/run to rescore
+ *       open incidents straight away.
+ *     tags: [Priority]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: factor
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [weight]
+ *             properties:
+ *               weight:
+ *                 type: number
+ *                 minimum: -1000
+ *                 maximum: 1000
+ *     responses:
+ *       200:
+ *         description: Weight saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PriorityWeight'
+ *       400:
+ *         description: Invalid weight
+ *       404:
+ *         description: No such factor
+ */
+router.put('/weights/:factor', requirePermission('priority.manage'), requireMfa, async (req, res) => {
+  try {
+    const before = (await getPriorityWeights()).find((weight) => weight.factor === req.params.factor);
+    if (!before) {
+      return res.status(404).json({ message: 'No priority factor with this name' });
+    }
+
+    const { weight } = req.body;
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || Math.abs(weight) > MAX_PRIORITY_WEIGHT) {
+      return res.status(400).json({ message: `weight must be a number from -${MAX_PRIORITY_WEIGHT} to ${MAX_PRIORITY_WEIGHT}` });
+    }
+
+    const row = {
+      weight,
+      updated_by: req.user.id,
+      updated_at: new Date().toISOString(),
+    };
+
+    const { data, error } = before.id
+      ? await supabase
+        .from('priority_weights')
+        .update(row)
+        .eq('id', before.id)
+        .select(PRIORITY_WEIGHT_FIELDS)
+        .single()
+      : await supabase
+        .from('priority_weights')
+        .insert([{ factor: before.factor, ...row }])
+        .select(PRIORITY_WEIGHT_FIELDS)
+        .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'priority_weight.update',
+      targetType: 'priority_weight',
+      targetId: before.factor,
+      before: { weight: before.weight },
+      after: { weight: data.weight },
+    });
+
+    res.json({ ...data, description: before.description, is_default: false });
+  } catch (error) {
+    console.error('Update priority weight error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/priority/run:
+ *   post:
+ *     summary: Rescore open incidents now (Admin only)
+ *     tags: [Priority]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of incidents whose score or reasons changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 rescored:
+ *                   type: integer
+ */
+router.post('/run', requirePermission('priority.manage'), requireMfa, async (req, res) => {
+  try {
+    res.json({ rescored: await runPriorityCycle() });
+  } catch (error) {
+    console.error('Run priority scoring error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,454 @@
+const express = require('express');
+const archiver = require('archiver');
+const supabase = require('../config/supabase');
+const authMiddleware = require('../middleware/auth');
+const requireMfa = require('../middleware/requireMfa');
+const { can, requirePermission } = require('../middleware/permissions');
+const { collectUserData, anonymizeUser } = require('../utils/privacy');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+const ERASURE_REQUEST_FIELDS = 'id, user_id, reason, status, requested_at, reviewed_by, reviewed_at, review_note, completed_at';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Privacy
+ *   description: Personal data export and account erasure
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ErasureRequest:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         user_id:
+ *           type: integer
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled, completed]
+ *         requested_at:
+ *           type: string
+ *           format: date-time
+ *         reviewed_by:
+ *           type: integer
+ *           nullable: true
+ *         reviewed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         review_note:
+ *           type: string
+ *           nullable: true
+ *         completed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/v1/privacy/export:
+ *   get:
+ *     summary: Download all personal data held about the current user
+ *     description: |
+ *       Includes the profile, alerts, SOS requests, crash events, emergency
+ *       contacts, notes written on alerts, sign-in sessions and media
+ *       uploads (details only, not the files). `format=zip` returns one JSON
+ *       file per record type.
+ *     tags: [Privacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, zip]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Export archive
+ *         content:
+ *           application/json: {}
+ *           application/zip: {}
+ *       400:
+ *         description: Unsupported format
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!['json', 'zip'].includes(format)) {
+      return res.status(400).json({ message: 'format must be json or zip' });
+    }
+
+    const records = await collectUserData(req.user.id);
+    const exportedAt = new Date().toISOString();
+    const filename = `rescuelink-data-${req.user.id}-${exportedAt.slice(0, 10)}`;
+
+    if (format === 'json') {
+      res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+      return res.json({ exported_at: exportedAt, ...records });
+    }
+
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="${filename}.zip"`);
+
+    const archive = archiver('zip');
+    archive.on('error', (error) => {
+      console.error('Data export archive error:', error);
+      res.destroy(error);
+    });
+    archive.pipe(res);
+
+    archive.append(JSON.stringify({ exported_at: exportedAt, user_id: req.user.id }, null, 2), { name: 'export.json' });
+    for (const [name, data] of Object.entries(records)) {
+      archive.append(JSON.stringify(data, null, 2), { name: `${name}.json` });
+    }
+    await archive.finalize();
+  } catch (error) {
+    console.error('Data export error:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/privacy/erasure-requests:
+ *   post:
+ *     summary: Ask for the current user's personal data to be erased
+ *     description: |
+ *       The request waits for an administrator's review. Once carried out,
+ *       personal fields are anonymized and the account can no longer sign in.
+ *       Incident records keep their type, status, times and coordinates for
+ *       statistics; titles, descriptions, addresses and photos are removed.
+ *     tags: [Privacy]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Erasure request submitted
+ *       409:
+ *         description: A pending request already exists
+ */
+router.post('/erasure-requests', async (req, res) => {
+  try {
+    const { data: pending, error: pendingError } = await supabase
+      .from('erasure_requests')
+      .select('id')
+      .eq('user_id', req.user.id)
+      .eq('status', 'pending')
+      .maybeSingle();
+
+    if (pendingError) throw pendingError;
+    if (pending) {
+      return res.status(409).json({ message: 'An erasure request is already pending', request_id: pending.id });
+    }
+
+    const { data, error } = await supabase
+      .from('erasure_requests')
+      .insert([{
+        user_id: req.user.id,
+        reason: req.body.reason?.trim() || null,
+        status: 'pending',
+        requested_at: new Date().toISOString(),
+      }])
+      .select(ERASURE_REQUEST_FIELDS)
+      .single();
+
+    if (error) throw error;
+    res.status(201).json(data);
+  } catch (error) {
+    console.error('Create erasure request error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/privacy/erasure-requests:
+ *   get:
+ *     summary: List erasure requests
+ *     description: |
+ *       Users see their own requests. Holders of privacy.manage see everyone's
+ *       and can filter by status or user.
+ *     tags: [Privacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled, completed]
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of erasure requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ErasureRequest'
+ */
+router.get('/erasure-requests', async (req, res) => {
+  try {
+    const { status, user_id } = req.query;
+
+    let query = supabase
+      .from('erasure_requests')
+      .select(ERASURE_REQUEST_FIELDS)
+      .order('requested_at', { ascending: false });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    if (!can(req.user, 'privacy.manage')) {
+      query = query.eq('user_id', req.user.id);
+    } else if (user_id) {
+      query = query.eq('user_id', user_id);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    console.error('Get erasure requests error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/privacy/erasure-requests/{id}/cancel:
+ *   patch:
+ *     summary: Withdraw own pending erasure request
+ *     tags: [Privacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Request cancelled
+ *       404:
+ *         description: No pending request with this ID
+ */
+router.patch('/erasure-requests/:id/cancel', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('erasure_requests')
+      .update({ status: 'cancelled' })
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .eq('status', 'pending')
+      .select(ERASURE_REQUEST_FIELDS)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({ message: 'Pending erasure request not found' });
+    }
+    res.json(data);
+  } catch (error) {
+    console.error('Cancel erasure request error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * Move a pending request to its reviewed state. Only one reviewer can win,
+ * and nobody may review their own request.
+ */
+const claimPendingRequest = async (req, status) => {
+  const { data: existing, error: fetchError } = await supabase
+    .from('erasure_requests')
+    .select(ERASURE_REQUEST_FIELDS)
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+  if (!existing) {
+    return { code: 404, message: 'Erasure request not found' };
+  }
+  if (existing.user_id === req.user.id) {
+    return { code: 403, message: 'You cannot review your own erasure request' };
+  }
+
+  const { data, error } = await supabase
+    .from('erasure_requests')
+    .update({
+      status,
+      reviewed_by: req.user.id,
+      reviewed_at: new Date().toISOString(),
+      review_note: req.body.note?.trim() || null,
+    })
+    .eq('id', req.params.id)
+    .eq('status', 'pending')
+    .select(ERASURE_REQUEST_FIELDS)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) {
+    return { code: 400, message: `Erasure request is already ${existing.status}` };
+  }
+
+  await recordAudit(req, {
+    action: `privacy.erasure_${status === 'approved' ? 'approve' : 'reject'}`,
+    targetType: 'user',
+    targetId: data.user_id,
+    before: { erasure_request_id: data.id, status: existing.status },
+    after: { erasure_request_id: data.id, status, review_note: data.review_note },
+  });
+
+  return { request: data };
+};
+
+/**
+ * @swagger
+ * /api/v1/privacy/erasure-requests/{id}/approve:
+ *   patch:
+ *     summary: Approve and carry out an erasure request (Admin only)
+ *     description: Anonymizes the user's personal data and signs them out everywhere. This cannot be undone.
+ *     tags: [Privacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: User data erased
+ *       400:
+ *         description: Request is not pending
+ *       403:
+ *         description: Missing privacy.manage permission, or own request
+ *       404:
+ *         description: Erasure request not found
+ */
+router.patch('/erasure-requests/:id/approve', requirePermission('privacy.manage'), requireMfa, async (req, res) => {
+  try {
+    const claim = await claimPendingRequest(req, 'approved');
+    if (!claim.request) {
+      return res.status(claim.code).json({ message: claim.message });
+    }
+
+    try {
+      await anonymizeUser(claim.request.user_id);
+    } catch (error) {
+      // Put the request back so the erasure can be retried
+      await supabase
+        .from('erasure_requests')
+        .update({ status: 'pending', reviewed_by: null, reviewed_at: null })
+        .eq('id', claim.request.id);
+      throw error;
+    }
+
+    const { data, error } = await supabase
+      .from('erasure_requests')
+      .update({ status: 'completed', completed_at: new Date().toISOString() })
+      .eq('id', claim.request.id)
+      .select(ERASURE_REQUEST_FIELDS)
+      .single();
+
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    console.error('Approve erasure request error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/privacy/erasure-requests/{id}/reject:
+ *   patch:
+ *     summary: Reject an erasure request (Admin only)
+ *     tags: [Privacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Reason shown to the user
+ *     responses:
+ *       200:
+ *         description: Request rejected
+ *       400:
+ *         description: Missing note or request is not pending
+ *       404:
+ *         description: Erasure request not found
+ */
+router.patch('/erasure-requests/:id/reject', requirePermission('privacy.manage'), requireMfa, async (req, res) => {
+  try {
+    if (!req.body.note?.trim()) {
+      return res.status(400).json({ message: 'A note explaining the rejection is required' });
+    }
+
+    const claim = await claimPendingRequest(req, 'rejected');
+    if (!claim.request) {
+      return res.status(claim.code).json({ message: claim.message });
+    }
+
+    res.json(claim.request);
+  } catch (error) {
+    console.error('Reject erasure request error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+module.exports = router;
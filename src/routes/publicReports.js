@@ -0,0 +1,323 @@
+const express = require('express');
+const supabase = require('../config/supabase');
+const { recordAlertEvent } = require('../utils/alertTimeline');
+const { ALERT_TYPES, ALERT_SEVERITIES, severityRank } = require('../config/alerts');
+const { announceDuplicates } = require('../utils/duplicates');
+const { rescoreIncident } = require('../utils/priority');
+const {
+  callerKeys,
+  normalizePhone,
+  issueChallenge,
+  redeemChallenge,
+  checkReportLimit,
+  recordAnonymousReport,
+  sendCallbackCode,
+  confirmCallbackCode,
+} = require('../utils/publicReports');
+const { getIO, STAFF_ROOM } = require('../socketInstance');
+
+const router = express.Router();
+
+// No auth required - bystanders report without an account
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+const sendThrottled = (res, message, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ message, retry_after: retryAfter });
+};
+
+const parseCoordinate = (value, limit) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && Math.abs(number) <= limit ? number : undefined;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Public Reports
+ *   description: Incident reporting for bystanders without an account
+ */
+
+/**
+ * @swagger
+ * /api/v1/public/reports/challenge:
+ *   post:
+ *     summary: Get a proof-of-work challenge
+ *     description: |
+ *       Every anonymous request that sends a code or files a report needs
+ *       a fresh challenge, solved by finding any `solution` string for which
+ *       the SHA-256 of `<nonce>:<solution>` starts with `difficulty` zero
+ *       bits. A challenge can be used once and expires after five minutes.
+ *     tags: [Public Reports]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Challenge issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 challenge:
+ *                   type: string
+ *                   description: Send back as `challenge` with the solution
+ *                 nonce:
+ *                   type: string
+ *                 difficulty:
+ *                   type: integer
+ *                 algorithm:
+ *                   type: string
+ *                   example: sha256
+ *                 expires_in:
+ *                   type: integer
+ */
+router.post('/challenge', (req, res) => {
+  res.json(issueChallenge());
+});
+
+/**
+ * @swagger
+ * /api/v1/public/reports/callback-codes:
+ *   post:
+ *     summary: Text a code to verify a callback number
+ *     description: |
+ *       Optional. Reporters who want dispatchers to be able to call them
+ *       back verify their number first, then send `verification_id` and the
+ *       code with the report. Sends are throttled per number and per caller.
+ *     tags: [Public Reports]
+ *     security: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Device-Fingerprint
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [phone, challenge, solution]
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 example: "+639171234567"
+ *               challenge:
+ *                 type: string
+ *               solution:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: Code sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 verification_id:
+ *                   type: string
+ *                 expires_in:
+ *                   type: integer
+ *       400:
+ *         description: Invalid phone number, or missing, wrong or reused challenge
+ *       429:
+ *         description: Too many codes for this number or caller; `retry_after` gives the wait in seconds
+ */
+router.post('/callback-codes', async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) {
+      return res.status(400).json({ message: 'phone must be a valid phone number' });
+    }
+
+    const challenge = await redeemChallenge(req.body.challenge, req.body.solution);
+    if (challenge.error) {
+      return res.status(400).json({ message: challenge.error });
+    }
+
+    const result = await sendCallbackCode(phone, callerKeys(req));
+    if (result.error) {
+      return sendThrottled(res, result.error, result.retry_after);
+    }
+
+    res.status(202).json(result);
+  } catch (error) {
+    console.error('Send callback code error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/public/reports:
+ *   post:
+ *     summary: Report an incident without an account
+ *     description: |
+ *       Files an alert flagged `anonymous` with no reporting user, for
+ *       dispatchers to triage. Needs a solved challenge, and is limited per
+ *       IP address and per `X-Device-Fingerprint`. A callback number is
+ *       optional but is only accepted with the code texted to it.
+ *       Emits `alert:new` to staff.
+ *     tags: [Public Reports]
+ *     security: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Device-Fingerprint
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [alert_type, location, challenge, solution]
+ *             properties:
+ *               alert_type:
+ *                 type: string
+ *                 enum: [medical, fire, accident, crime, natural_disaster, other]
+ *               severity:
+ *                 type: string
+ *                 enum: [low, medium, high, critical]
+ *                 default: medium
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
+ *               callback_phone:
+ *                 type: string
+ *               verification_id:
+ *                 type: string
+ *                 description: From /public/reports/callback-codes, required with callback_phone
+ *               code:
+ *                 type: string
+ *                 description: Code texted to callback_phone
+ *               challenge:
+ *                 type: string
+ *               solution:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Report received
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                 status:
+ *                   type: string
+ *                 reported_at:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid report, callback code or challenge
+ *       429:
+ *         description: Too many reports from this IP address or device; `retry_after` gives the wait in seconds
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { alert_type, severity = 'medium', title, description, location } = req.body;
+
+    if (!alert_type || !location || !String(location).trim()) {
+      return res.status(400).json({ message: 'Missing required fields' });
+    }
+    if (!ALERT_TYPES.includes(alert_type)) {
+      return res.status(400).json({ message: 'Invalid alert type' });
+    }
+    if (!ALERT_SEVERITIES.includes(severity)) {
+      return res.status(400).json({ message: 'Invalid severity level' });
+    }
+    if (String(title || '').length > MAX_TITLE_LENGTH || String(description || '').length > MAX_DESCRIPTION_LENGTH) {
+      return res.status(400).json({ message: `title is limited to ${MAX_TITLE_LENGTH} and description to ${MAX_DESCRIPTION_LENGTH} characters` });
+    }
+
+    const latitude = parseCoordinate(req.body.latitude, 90);
+    const longitude = parseCoordinate(req.body.longitude, 180);
+    if (latitude === undefined || longitude === undefined || (latitude === null) !== (longitude === null)) {
+      return res.status(400).json({ message: 'latitude and longitude must be valid coordinates, given together' });
+    }
+
+    let callbackPhone = null;
+    if (req.body.callback_phone) {
+      callbackPhone = normalizePhone(req.body.callback_phone);
+      if (!callbackPhone) {
+        return res.status(400).json({ message: 'callback_phone must be a valid phone number' });
+      }
+      if (!req.body.verification_id || !req.body.code) {
+        return res.status(400).json({ message: 'callback_phone needs the verification_id and code texted to it' });
+      }
+    }
+
+    const caller = callerKeys(req);
+    const throttle = await checkReportLimit(caller);
+    if (throttle) {
+      return sendThrottled(res, 'Too many reports from this device or network. Call the emergency hotline if you need help now.', throttle.retry_after);
+    }
+
+    const challenge = await redeemChallenge(req.body.challenge, req.body.solution);
+    if (challenge.error) {
+      return res.status(400).json({ message: challenge.error });
+    }
+
+    if (callbackPhone) {
+      const confirmed = await confirmCallbackCode(req.body.verification_id, callbackPhone, req.body.code);
+      if (confirmed.error) {
+        return res.status(400).json({ message: confirmed.error });
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('alerts')
+      .insert([{
+        user_id: null,
+        anonymous: true,
+        callback_phone: callbackPhone,
+        alert_type,
+        severity,
+        severity_rank: severityRank(severity),
+        title: String(title || '').trim() || `Anonymous ${alert_type.replace('_', ' ')} report`,
+        description: String(description || '').trim() || null,
+        location: String(location).trim(),
+        latitude,
+        longitude,
+        status: 'pending',
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordAnonymousReport(data.id, caller);
+    await recordAlertEvent(data.id, null, { eventType: 'created', toStatus: data.status, details: { anonymous: true } });
+    Object.assign(data, await rescoreIncident('alert', data));
+
+    // Staff only: the report may carry the reporter's callback number
+    getIO().to(STAFF_ROOM).emit('alert:new', data);
+
+    res.status(201).json({ id: data.id, status: data.status, reported_at: data.reported_at || data.created_at });
+
+    announceDuplicates({ alert_id: data.id }, {
+      alertType: data.alert_type,
+      latitude: data.latitude,
+      longitude: data.longitude,
+      reportedAt: data.reported_at || data.created_at,
+      excludeAlertId: data.id,
+    });
+  } catch (error) {
+    console.error('Create public report error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+module.exports = router;
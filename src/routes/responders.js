@@ -1,6 +1,9 @@
 const express = require('express');
 const supabase = require('../config/supabase');
 const authMiddleware = require('../middleware/auth');
+const requireMfa = require('../middleware/requireMfa');
+const { requirePermission } = require('../middleware/permissions');
+const { recordAudit } = require('../utils/audit');
 
 const router = express.Router();
 router.use(authMiddleware);
@@ -32,7 +35,7 @@ router.use(authMiddleware);
  *       500:
  *         description: Server error
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('responder.view'), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('responders')
@@ -77,12 +80,8 @@ router.get('/', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('responder.create'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin only' });
-    }
-
     const { data, error } = await supabase
       .from('responders')
       .insert([req.body])
@@ -133,7 +132,7 @@ router.post('/', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('responder.update'), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('responders')
@@ -183,10 +182,17 @@ router.put('/:id', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('responder.delete'), requireMfa, async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin only' });
+    const { data: existing, error: fetchError } = await supabase
+      .from('responders')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!existing) {
+      return res.status(404).json({ message: 'Responder not found' });
     }
 
     const { error } = await supabase
@@ -195,6 +201,13 @@ router.delete('/:id', async (req, res) => {
       .eq('id', req.params.id);
 
     if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'responder.delete',
+      targetType: 'responder',
+      targetId: req.params.id,
+      before: existing,
+    });
     res.json({ message: 'Responder deleted' });
 
   } catch (err) {
@@ -0,0 +1,147 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const {
+  getSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+} = require('../utils/sessions');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Sessions
+ *   description: Active logins and devices for the current user
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         device_label:
+ *           type: string
+ *           example: Chrome on Android
+ *         ip_address:
+ *           type: string
+ *         user_agent:
+ *           type: string
+ *         mfa_verified:
+ *           type: boolean
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         last_seen_at:
+ *           type: string
+ *           format: date-time
+ *         revoked_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         current:
+ *           type: boolean
+ *           description: True for the session making the request
+ */
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   get:
+ *     summary: List the current user's active sessions
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Session'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+
+    res.json(sessions.map((session) => ({
+      ...session,
+      current: session.id === req.user.sid,
+    })));
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   delete:
+ *     summary: Sign out every other session
+ *     description: Revokes all of the user's sessions except the one making the request.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ */
+router.delete('/', async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id, { except: req.user.sid });
+    res.json({ message: 'Signed out of all other sessions' });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const session = await getSession(req.params.id);
+
+    if (!session || session.user_id !== req.user.id) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session.id);
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,37 @@
 const express = require('express');
 const supabase = require('../config/supabase');
 const authMiddleware = require('../middleware/auth');
+const { can, requirePermission } = require('../middleware/permissions');
+const requireVerified = require('../middleware/requireVerified');
+const { parseGeoFilter, applyGeoFilter, fetchWithinRadius } = require('../utils/geo');
+const { paginateRows, iterateKeyset } = require('../utils/pagination');
+const { EXPORT_FORMATS, streamExport } = require('../utils/incidentExport');
+const { rescoreIncident } = require('../utils/priority');
 
 const router = express.Router();
 
+// Sort option -> column. Distance sorts nearest first, the others newest
+// or highest first.
+const SOS_SORTS = {
+  triggered_at: 'triggered_at',
+  priority: 'priority_score',
+  distance: 'distance_m',
+};
+
+const EXPORT_COLUMNS = ['id', 'user_id', 'type', 'description', 'status', 'latitude', 'longitude', 'triggered_at', 'priority_score'];
+
+/**
+ * Apply the area filter and role-based visibility to an SOS query
+ */
+const applySosFilters = (query, geo, user) => {
+  // Users without sos.view_all only see their own SOS
+  if (!can(user, 'sos.view_all')) {
+    query = query.eq('user_id', user.id);
+  }
+
+  return applyGeoFilter(query, geo);
+};
+
 // Protect all routes
 router.use(authMiddleware);
 
@@ -48,8 +76,10 @@ router.use(authMiddleware);
  *     responses:
  *       201:
  *         description: SOS sent successfully
+ *       403:
+ *         description: Account verification required by this deployment
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('sos.create'), requireVerified, async (req, res) => {
   try {
     const { type, description, latitude, longitude } = req.body;
 
@@ -88,11 +118,12 @@ router.post('/', async (req, res) => {
       .insert([sosData])
       .select(`
         *,
-        user:user_id(id, first_name, last_name, email)
+        user:user_id(id, first_name, last_name, email, user_phone_number, email_verified, phone_verified)
       `)
       .single();
 
     if (error) throw error;
+    Object.assign(data, await rescoreIncident('sos', data));
 
     // OPTIONAL: Call auto-dispatch logic here
     // await notifyNearestResponders(data);
@@ -119,25 +150,68 @@ router.post('/', async (req, res) => {
  *     tags: [SOS]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: per_page
+ *         schema:
+ *           type: integer
+ *           default: 15
+ *       - $ref: '#/components/parameters/GeoNear'
+ *       - $ref: '#/components/parameters/GeoRadius'
+ *       - $ref: '#/components/parameters/GeoBbox'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [triggered_at, priority, distance]
+ *           default: triggered_at
+ *         description: triggered_at sorts newest first, priority by triage score; distance (nearest first) requires near
  *     responses:
  *       200:
- *         description: Paginated list of SOS requests
+ *         description: Paginated list of SOS requests; includes distance_m when near is given
+ *       400:
+ *         description: Invalid area filter or sort, or too many SOS requests in the search radius
  */
 router.get('/', async (req, res) => {
   try {
-    const { per_page = 15 } = req.query;
+    const { per_page = 15, sort = 'triggered_at' } = req.query;
 
-    let query = supabase
-      .from('sos_requests')
-      .select(`
-        *,
-        user:user_id(id, first_name, last_name, email)
-      `)
-      .order('triggered_at', { ascending: false });
+    if (!Object.keys(SOS_SORTS).includes(sort)) {
+      return res.status(400).json({ message: `sort must be one of: ${Object.keys(SOS_SORTS).join(', ')}` });
+    }
+
+    const geo = parseGeoFilter(req.query);
+    if (geo.error) {
+      return res.status(400).json({ message: geo.error });
+    }
+    if (sort === 'distance' && !geo.near) {
+      return res.status(400).json({ message: 'sort=distance requires near and radius_m' });
+    }
+
+    const query = applySosFilters(
+      supabase
+        .from('sos_requests')
+        .select(`
+          *,
+          user:user_id(id, first_name, last_name, email, user_phone_number, email_verified, phone_verified)
+        `)
+        .order(sort === 'distance' ? 'triggered_at' : SOS_SORTS[sort], { ascending: false, nullsFirst: false }),
+      geo,
+      req.user
+    );
 
-    // Regular users only see their own SOS
-    if (req.user.role === 'user') {
-      query = query.eq('user_id', req.user.id);
+    // Radius searches are measured and ranked here rather than in the database
+    if (geo.near) {
+      const nearby = await fetchWithinRadius(query, geo.near);
+      if (nearby.error) {
+        return res.status(400).json({ message: nearby.error });
+      }
+
+      return res.json(paginateRows(nearby.rows, {
+        column: SOS_SORTS[sort],
+        ascending: sort === 'distance',
+        limit: parseInt(per_page) || 15,
+      }).data);
     }
 
     const { data, error } = await query.limit(per_page);
@@ -154,4 +228,91 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/sos/export:
+ *   get:
+ *     summary: Export SOS requests as CSV, GeoJSON or KML
+ *     description: |
+ *       Takes the same area filters and sort as the SOS history and streams
+ *       every matching request; `per_page` is ignored. Users only export
+ *       their own requests. Radius searches add `distance_m`.
+ *     tags: [SOS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ExportFormat'
+ *       - $ref: '#/components/parameters/GeoNear'
+ *       - $ref: '#/components/parameters/GeoRadius'
+ *       - $ref: '#/components/parameters/GeoBbox'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [triggered_at, priority, distance]
+ *           default: triggered_at
+ *     responses:
+ *       200:
+ *         description: File download
+ *         content:
+ *           text/csv: {}
+ *           application/geo+json: {}
+ *           application/vnd.google-earth.kml+xml: {}
+ *       400:
+ *         description: Invalid format, area filter or sort, or too many SOS requests in the search radius
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const { format = 'csv', sort = 'triggered_at' } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+    if (!Object.keys(SOS_SORTS).includes(sort)) {
+      return res.status(400).json({ message: `sort must be one of: ${Object.keys(SOS_SORTS).join(', ')}` });
+    }
+
+    const geo = parseGeoFilter(req.query);
+    if (geo.error) {
+      return res.status(400).json({ message: geo.error });
+    }
+    if (sort === 'distance' && !geo.near) {
+      return res.status(400).json({ message: 'sort=distance requires near and radius_m' });
+    }
+
+    const buildQuery = () => applySosFilters(
+      supabase.from('sos_requests').select(EXPORT_COLUMNS.join(', ')),
+      geo,
+      req.user
+    );
+
+    let rows;
+    if (geo.near) {
+      const nearby = await fetchWithinRadius(buildQuery(), geo.near);
+      if (nearby.error) {
+        return res.status(400).json({ message: nearby.error });
+      }
+      rows = paginateRows(nearby.rows, {
+        column: SOS_SORTS[sort],
+        ascending: sort === 'distance',
+        limit: Infinity,
+      }).data;
+    } else {
+      rows = iterateKeyset(buildQuery, SOS_SORTS[sort], false);
+    }
+
+    await streamExport(res, rows, {
+      format,
+      name: 'sos-requests',
+      columns: geo.near ? [...EXPORT_COLUMNS, 'distance_m'] : EXPORT_COLUMNS,
+      label: (sos) => (sos.type ? `SOS (${sos.type})` : `SOS ${sos.id}`),
+      timeColumn: 'triggered_at',
+    });
+  } catch (error) {
+    console.error('Export SOS requests error:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
 module.exports = router;
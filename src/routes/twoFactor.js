@@ -0,0 +1,317 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const QRCode = require('qrcode');
+const supabase = require('../config/supabase');
+const authMiddleware = require('../middleware/auth');
+const { issueTokenPair } = require('../utils/tokens');
+const { getSession, markSessionMfaVerified } = require('../utils/sessions');
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+  encryptSecret,
+  decryptSecret,
+} = require('../utils/totp');
+const {
+  roleRequiresTwoFactor,
+  replaceRecoveryCodes,
+  verifySecondFactor,
+} = require('../utils/twoFactor');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+const loadUser = async (userId) => {
+  const { data, error } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', userId)
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Two-Factor Authentication
+ *   description: TOTP enrollment and recovery codes
+ */
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa:
+ *   get:
+ *     summary: Get two-factor status for the current user
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor status
+ */
+router.get('/', async (req, res) => {
+  try {
+    const user = await loadUser(req.user.id);
+
+    const { count } = await supabase
+      .from('recovery_codes')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', user.id)
+      .is('used_at', null);
+
+    res.json({
+      enabled: !!user.totp_enabled,
+      required_for_role: roleRequiresTwoFactor(user.role),
+      session_verified: !!req.user.mfa,
+      recovery_codes_remaining: count || 0,
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/setup:
+ *   post:
+ *     summary: Start TOTP enrollment
+ *     description: |
+ *       Generates a new secret and returns it with an `otpauth://` provisioning
+ *       URI and the same URI as a QR code data URL. Enrollment is finished by
+ *       confirming a code at `/api/v1/auth/2fa/enable`.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Provisioning details
+ *       400:
+ *         description: Two-factor authentication already enabled
+ */
+router.post('/setup', async (req, res) => {
+  try {
+    const user = await loadUser(req.user.id);
+
+    if (user.totp_enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    const otpauthUrl = buildOtpauthUrl(secret, user.email);
+
+    const { error } = await supabase
+      .from('users')
+      .update({ totp_secret: encryptSecret(secret), totp_last_step: null })
+      .eq('id', user.id);
+
+    if (error) throw error;
+
+    res.json({
+      secret,
+      otpauth_url: otpauthUrl,
+      qr_code: await QRCode.toDataURL(otpauthUrl),
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment with a TOTP code
+ *     description: |
+ *       Turns on two-factor authentication and returns recovery codes. They
+ *       are only shown once. The current session is marked as having passed
+ *       the second factor and a fresh token pair is included.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Invalid code or no enrollment in progress
+ */
+router.post('/enable', async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await loadUser(req.user.id);
+
+    if (user.totp_enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.totp_secret) {
+      return res.status(400).json({ message: 'Start enrollment with /2fa/setup first' });
+    }
+
+    const step = verifyTotp(decryptSecret(user.totp_secret), code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    const { error } = await supabase
+      .from('users')
+      .update({
+        totp_enabled: true,
+        totp_last_step: step,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', user.id);
+
+    if (error) throw error;
+
+    const recoveryCodes = await replaceRecoveryCodes(user.id);
+    // The current session has just proven the second factor
+    await markSessionMfaVerified(req.user.sid);
+    const tokens = await issueTokenPair(user, await getSession(req.user.sid));
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recovery_codes: recoveryCodes,
+      ...tokens,
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Invalidates all previous recovery codes.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: Invalid code
+ */
+router.post('/recovery-codes', async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await loadUser(req.user.id);
+
+    if (!user.totp_enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!code || !(await verifySecondFactor(user, { code }))) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    res.json({ recovery_codes: await replaceRecoveryCodes(user.id) });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recovery_code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Invalid password or code
+ */
+router.post('/disable', async (req, res) => {
+  try {
+    const { password, code, recovery_code } = req.body;
+    const user = await loadUser(req.user.id);
+
+    if (!user.totp_enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const isValidPassword = password && await bcrypt.compare(password, user.password);
+    if (!isValidPassword || !(await verifySecondFactor(user, { code, recovery_code }))) {
+      return res.status(400).json({ message: 'Invalid password or verification code' });
+    }
+
+    const { error } = await supabase
+      .from('users')
+      .update({
+        totp_enabled: false,
+        totp_secret: null,
+        totp_last_step: null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', user.id);
+
+    if (error) throw error;
+
+    await supabase
+      .from('recovery_codes')
+      .delete()
+      .eq('user_id', user.id);
+
+    // Existing sessions no longer count as having passed a second factor
+    await supabase
+      .from('sessions')
+      .update({ mfa_verified: false })
+      .eq('user_id', user.id);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+module.exports = router;
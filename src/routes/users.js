@@ -2,17 +2,20 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const supabase = require('../config/supabase');
 const authMiddleware = require('../middleware/auth');
+const requireMfa = require('../middleware/requireMfa');
+const { requirePermission } = require('../middleware/permissions');
+const { ROLES } = require('../config/permissions');
+const { clearLoginFailures } = require('../utils/loginThrottle');
+const { recordAudit } = require('../utils/audit');
+const {
+  getSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+} = require('../utils/sessions');
 
 const router = express.Router();
 
-// Middleware to check if user is admin
-const isAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ message: 'Access denied. Admin only.' });
-  }
-  next();
-};
-
 // Protect all routes with auth
 router.use(authMiddleware);
 
@@ -52,13 +55,13 @@ router.use(authMiddleware);
  *               items:
  *                 type: object
  */
-router.get('/', isAdmin, async (req, res) => {
+router.get('/', requirePermission('user.view'), async (req, res) => {
   try {
     const { role, search } = req.query;
 
     let query = supabase
       .from('users')
-      .select('id, first_name, middle_name, last_name, ext_name, username, email, user_phone_number, role, created_at, updated_at')
+      .select('id, first_name, middle_name, last_name, ext_name, username, email, user_phone_number, avatar_url, email_verified, phone_verified, role, created_at, updated_at')
       .order('created_at', { ascending: false });
 
     // Filter by role
@@ -101,11 +104,11 @@ router.get('/', isAdmin, async (req, res) => {
  *       404:
  *         description: User not found
  */
-router.get('/:id', isAdmin, async (req, res) => {
+router.get('/:id', requirePermission('user.view'), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('users')
-      .select('id, first_name, middle_name, last_name, ext_name, username, email, user_phone_number, role, created_at, updated_at')
+      .select('id, first_name, middle_name, last_name, ext_name, username, email, user_phone_number, avatar_url, email_verified, phone_verified, role, created_at, updated_at')
       .eq('id', req.params.id)
       .single();
 
@@ -171,7 +174,7 @@ router.get('/:id', isAdmin, async (req, res) => {
  *       201:
  *         description: User created successfully
  */
-router.post('/', isAdmin, async (req, res) => {
+router.post('/', requirePermission('user.manage'), requireMfa, async (req, res) => {
   try {
     const { 
       email, 
@@ -191,8 +194,7 @@ router.post('/', isAdmin, async (req, res) => {
     }
 
     // Validate role
-    const validRoles = ['user', 'admin', 'rescuer', 'dispatcher', 'driver'];
-    if (!validRoles.includes(role)) {
+    if (!ROLES.includes(role)) {
       return res.status(400).json({ message: 'Invalid role' });
     }
 
@@ -223,6 +225,13 @@ router.post('/', isAdmin, async (req, res) => {
       return res.status(400).json({ message: error.message });
     }
 
+    await recordAudit(req, {
+      action: 'user.create',
+      targetType: 'user',
+      targetId: data.id,
+      after: data,
+    });
+
     res.status(201).json(data);
   } catch (error) {
     console.error('Create user error:', error);
@@ -254,7 +263,7 @@ router.post('/', isAdmin, async (req, res) => {
  *       200:
  *         description: User updated successfully
  */
-router.put('/:id', isAdmin, async (req, res) => {
+router.put('/:id', requirePermission('user.manage'), requireMfa, async (req, res) => {
   try {
     const { 
       email, 
@@ -286,6 +295,25 @@ router.put('/:id', isAdmin, async (req, res) => {
       updateData.password = await bcrypt.hash(password, 10);
     }
 
+    const { data: existing, error: fetchError } = await supabase
+      .from('users')
+      .select('id, first_name, middle_name, last_name, ext_name, username, email, user_phone_number, avatar_url, email_verified, phone_verified, role')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!existing) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // A changed email or phone number has to be verified again
+    if (email !== undefined && email !== existing.email) {
+      updateData.email_verified = false;
+    }
+    if (user_phone_number !== undefined && user_phone_number !== existing.user_phone_number) {
+      updateData.phone_verified = false;
+    }
+
     // Remove undefined fields
     Object.keys(updateData).forEach(key => 
       updateData[key] === undefined && delete updateData[key]
@@ -295,13 +323,27 @@ router.put('/:id', isAdmin, async (req, res) => {
       .from('users')
       .update(updateData)
       .eq('id', req.params.id)
-      .select('id, first_name, middle_name, last_name, ext_name, username, email, user_phone_number, role, updated_at')
+      .select('id, first_name, middle_name, last_name, ext_name, username, email, user_phone_number, avatar_url, email_verified, phone_verified, role, updated_at')
       .single();
 
     if (error) throw error;
-    if (!data) {
-      return res.status(404).json({ message: 'User not found' });
+
+    const roleChanged = data.role !== existing.role;
+    if (roleChanged) {
+      // Access tokens carry the role, so make the user sign in again
+      await revokeAllSessions(data.id);
     }
+
+    const { updated_at, ...after } = data;
+    if (password) after.password = '[changed]';
+    await recordAudit(req, {
+      action: roleChanged ? 'user.role_change' : 'user.update',
+      targetType: 'user',
+      targetId: data.id,
+      before: existing,
+      after,
+    });
+
     res.json(data);
   } catch (error) {
     console.error('Update user error:', error);
@@ -327,19 +369,38 @@ router.put('/:id', isAdmin, async (req, res) => {
  *       200:
  *         description: User deleted successfully
  */
-router.delete('/:id', isAdmin, async (req, res) => {
+router.delete('/:id', requirePermission('user.manage'), requireMfa, async (req, res) => {
   try {
     // Prevent deleting yourself
     if (parseInt(req.params.id) === req.user.id) {
       return res.status(400).json({ message: 'You cannot delete your own account' });
     }
 
+    const { data: existing, error: fetchError } = await supabase
+      .from('users')
+      .select('id, first_name, last_name, email, user_phone_number, role, created_at')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!existing) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
     const { error } = await supabase
       .from('users')
       .delete()
       .eq('id', req.params.id);
 
     if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: req.params.id,
+      before: existing,
+    });
+
     res.json({ message: 'User deleted successfully' });
   } catch (error) {
     console.error('Delete user error:', error);
@@ -377,13 +438,12 @@ router.delete('/:id', isAdmin, async (req, res) => {
  *       200:
  *         description: Role updated successfully
  */
-router.patch('/:id/role', isAdmin, async (req, res) => {
+router.patch('/:id/role', requirePermission('user.manage'), requireMfa, async (req, res) => {
   try {
     const { role } = req.body;
 
     // Validate role
-    const validRoles = ['user', 'admin', 'rescuer', 'dispatcher', 'driver'];
-    if (!validRoles.includes(role)) {
+    if (!ROLES.includes(role)) {
       return res.status(400).json({ message: 'Invalid role' });
     }
 
@@ -392,6 +452,17 @@ router.patch('/:id/role', isAdmin, async (req, res) => {
       return res.status(400).json({ message: 'You cannot change your own role' });
     }
 
+    const { data: existing, error: fetchError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!existing) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
     const { data, error } = await supabase
       .from('users')
       .update({ role, updated_at: new Date().toISOString() })
@@ -400,12 +471,260 @@ router.patch('/:id/role', isAdmin, async (req, res) => {
       .single();
 
     if (error) throw error;
-    if (!data) {
+
+    // Access tokens carry the role, so make the user sign in again
+    await revokeAllSessions(data.id);
+
+    await recordAudit(req, {
+      action: 'user.role_change',
+      targetType: 'user',
+      targetId: data.id,
+      before: { role: existing.role },
+      after: { role: data.role },
+    });
+
+    res.json(data);
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/login-attempts:
+ *   get:
+ *     summary: Recent login attempts for a user (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: failed_only
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Login attempts, newest first
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/login-attempts', requirePermission('user.view'), async (req, res) => {
+  try {
+    const { limit = 50, failed_only } = req.query;
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, email')
+      .eq('id', req.params.id)
+      .single();
+
+    if (userError || !user) {
       return res.status(404).json({ message: 'User not found' });
     }
+
+    // Attempts are keyed by email so failures against the account before it
+    // was matched to a user id are included
+    let query = supabase
+      .from('login_attempts')
+      .select('id, email, ip_address, user_agent, succeeded, cleared_at, created_at')
+      .eq('email', user.email.toLowerCase())
+      .order('created_at', { ascending: false })
+      .limit(Math.min(parseInt(limit) || 50, 500));
+
+    if (failed_only === 'true') {
+      query = query.eq('succeeded', false);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
     res.json(data);
   } catch (error) {
-    console.error('Update role error:', error);
+    console.error('Get login attempts error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/unlock:
+ *   patch:
+ *     summary: Clear a login lockout (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       404:
+ *         description: User not found
+ */
+router.patch('/:id/unlock', requirePermission('user.manage'), requireMfa, async (req, res) => {
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, email')
+      .eq('id', req.params.id)
+      .single();
+
+    if (error || !user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await clearLoginFailures(user.email);
+
+    await recordAudit(req, {
+      action: 'user.unlock',
+      targetType: 'user',
+      targetId: user.id,
+    });
+
+    res.json({ message: 'Account unlocked' });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/sessions:
+ *   get:
+ *     summary: List a user's sessions (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: include_revoked
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Session'
+ */
+router.get('/:id/sessions', requirePermission('user.view'), async (req, res) => {
+  try {
+    const sessions = await listSessions(req.params.id, {
+      includeRevoked: req.query.include_revoked === 'true',
+    });
+    res.json(sessions);
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/sessions:
+ *   delete:
+ *     summary: Sign a user out of every session (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ */
+router.delete('/:id/sessions', requirePermission('user.manage'), requireMfa, async (req, res) => {
+  try {
+    await revokeAllSessions(req.params.id);
+
+    await recordAudit(req, {
+      action: 'session.revoke',
+      targetType: 'user',
+      targetId: req.params.id,
+    });
+
+    res.json({ message: 'All sessions revoked' });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke one of a user's sessions (Admin only)
+ *     description: Use this to sign out a lost or stolen device.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/:id/sessions/:sessionId', requirePermission('user.manage'), requireMfa, async (req, res) => {
+  try {
+    const session = await getSession(req.params.sessionId);
+
+    if (!session || session.user_id !== parseInt(req.params.id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session.id);
+
+    await recordAudit(req, {
+      action: 'session.revoke',
+      targetType: 'user',
+      targetId: session.user_id,
+      before: session,
+    });
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke user session error:', error);
     res.status(500).json({ message: error.message || 'Server error' });
   }
 });
@@ -422,7 +741,7 @@ router.patch('/:id/role', isAdmin, async (req, res) => {
  *       200:
  *         description: User statistics
  */
-router.get('/stats/overview', isAdmin, async (req, res) => {
+router.get('/stats/overview', requirePermission('user.stats'), async (req, res) => {
   try {
     // Get total users
     const { count: totalUsers } = await supabase
@@ -1,9 +1,15 @@
 const express = require('express');
 const supabase = require('../config/supabase');
 const authMiddleware = require('../middleware/auth');
+const acceptApiKey = require('../middleware/acceptApiKey');
+const requireMfa = require('../middleware/requireMfa');
+const { requirePermission } = require('../middleware/permissions');
+const { recordAudit } = require('../utils/audit');
 
 const router = express.Router();
 
+// In-vehicle devices report telemetry with a vehicle:telemetry API key
+router.patch('/:id/telemetry', acceptApiKey);
 router.use(authMiddleware);
 
 /**
@@ -48,7 +54,7 @@ router.use(authMiddleware);
  *       401:
  *         description: Unauthorized
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('vehicle.view'), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('vehicles')
@@ -84,7 +90,7 @@ router.get('/', async (req, res) => {
  *       404:
  *         description: Vehicle not found
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('vehicle.view'), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('vehicles')
@@ -161,8 +167,10 @@ router.get('/:id', async (req, res) => {
  *     responses:
  *       201:
  *         description: Vehicle created successfully
+ *       403:
+ *         description: Missing vehicle.create permission
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('vehicle.create'), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('vehicles')
@@ -201,8 +209,10 @@ router.post('/', async (req, res) => {
  *     responses:
  *       200:
  *         description: Vehicle updated successfully
+ *       403:
+ *         description: Missing vehicle.update permission
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('vehicle.update'), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('vehicles')
@@ -222,6 +232,82 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/vehicles/{id}/telemetry:
+ *   patch:
+ *     summary: Report live vehicle telemetry
+ *     description: Used by in-vehicle devices holding a vehicle:telemetry API key. A key bound to a vehicle may only report for that vehicle.
+ *     tags: [Vehicles]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               current_latitude:
+ *                 type: number
+ *               current_longitude:
+ *                 type: number
+ *               fuel_level:
+ *                 type: integer
+ *               odometer_reading:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Telemetry recorded
+ *       400:
+ *         description: No telemetry fields provided
+ *       403:
+ *         description: Missing vehicle.telemetry permission or key bound to another vehicle
+ *       404:
+ *         description: Vehicle not found
+ */
+router.patch('/:id/telemetry', requirePermission('vehicle.telemetry'), async (req, res) => {
+  try {
+    if (req.user.vehicle_id && String(req.user.vehicle_id) !== String(req.params.id)) {
+      return res.status(403).json({ message: 'API key is bound to another vehicle' });
+    }
+
+    const fields = ['current_latitude', 'current_longitude', 'fuel_level', 'odometer_reading'];
+    const updates = {};
+    for (const field of fields) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: `Provide at least one of: ${fields.join(', ')}` });
+    }
+    updates.last_telemetry_at = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('vehicles')
+      .update(updates)
+      .eq('id', req.params.id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+    res.json(data);
+  } catch (error) {
+    console.error('Vehicle telemetry error:', error);
+    res.status(500).json({ message: error.message || 'Server error' });
+  }
+});
+
 /**
  * @swagger
  * /api/v1/vehicles/{id}:
@@ -239,15 +325,38 @@ router.put('/:id', async (req, res) => {
  *     responses:
  *       200:
  *         description: Vehicle deleted successfully
+ *       403:
+ *         description: Missing vehicle.delete permission
+ *       404:
+ *         description: Vehicle not found
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('vehicle.delete'), requireMfa, async (req, res) => {
   try {
+    const { data: existing, error: fetchError } = await supabase
+      .from('vehicles')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!existing) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+
     const { error } = await supabase
       .from('vehicles')
       .delete()
       .eq('id', req.params.id);
 
     if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'vehicle.delete',
+      targetType: 'vehicle',
+      targetId: req.params.id,
+      before: existing,
+    });
+
     res.json({ message: 'Vehicle deleted successfully' });
   } catch (error) {
     console.error('Delete vehicle error:', error);
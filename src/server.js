@@ -8,20 +8,40 @@ const http = require('http');
 const { Server } = require('socket.io');
 
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const sessionRoutes = require('./routes/sessions');
 const vehicleRoutes = require('./routes/vehicles');
 const userRoutes = require('./routes/users');
+const invitationRoutes = require('./routes/invitations');
 const alertRoutes = require('./routes/alerts');
+const alertNoteRoutes = require('./routes/alertNotes');
+const alertAssignmentRoutes = require('./routes/alertAssignments');
 const sosRoutes = require('./routes/sos');
 const emergencyContactsRoutes = require('./routes/emergencyContacts');
 const crashRoutes = require ('./routes/crash')
 const responderRoutes = require ('./routes/responders')
 const geolocationRoutes = require('./routes/geolocation');
+const permissionRoutes = require('./routes/permissions');
+const apiKeyRoutes = require('./routes/apiKeys');
+const privacyRoutes = require('./routes/privacy');
+const auditRoutes = require('./routes/audit');
+const mediaRoutes = require('./routes/media');
+const escalationRoutes = require('./routes/escalations');
+const analyticsRoutes = require('./routes/analytics');
+const mapRoutes = require('./routes/map');
+const publicReportRoutes = require('./routes/publicReports');
+const priorityRoutes = require('./routes/priority');
 
 const { initSocket } = require('./socket');
 const { setIO } = require('./socketInstance');
+const { startEscalationScheduler } = require('./utils/escalation');
+const { startPriorityScheduler } = require('./utils/priority');
 
 const app = express();
 
+// Behind Render's proxy; needed so req.ip is the client address for login throttling
+app.set('trust proxy', process.env.TRUST_PROXY_HOPS !== undefined ? parseInt(process.env.TRUST_PROXY_HOPS) : 1);
+
 
 const server = http.createServer(app);
 
@@ -68,6 +88,12 @@ const swaggerOptions = {
           bearerFormat: 'JWT',
           description: 'Enter your JWT token',
         },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Device API key issued by an admin (also accepted as a bearer token)',
+        },
       },
     },
     security: [{
@@ -84,7 +110,8 @@ app.use(cors({
   origin: true, // Allow all origins
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  // X-Device-Fingerprint rate-limits public reports; X-API-Key authenticates devices
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Device-Fingerprint', 'X-API-Key'],
 }));
 
 app.options('*', cors());
@@ -105,14 +132,28 @@ app.use((req, res, next) => {
 });
 
 // Routes
+app.use('/api/v1/auth/2fa', twoFactorRoutes);
+app.use('/api/v1/auth/sessions', sessionRoutes);
 app.use('/api/v1/auth', authRoutes);
 
+app.use('/api/v1/users/invitations', invitationRoutes);
 app.use('/api/v1/users', userRoutes);
+app.use('/api/v1/permissions', permissionRoutes);
+app.use('/api/v1/api-keys', apiKeyRoutes);
+app.use('/api/v1/privacy', privacyRoutes);
+app.use('/api/v1/audit-logs', auditRoutes);
 
 // ACCIDENT ROUTES
+app.use('/api/v1/alerts/:alertId/notes', alertNoteRoutes);
+app.use('/api/v1/alerts/:alertId/assignments', alertAssignmentRoutes);
 app.use('/api/v1/alerts', alertRoutes);
 app.use('/api/v1/sos', sosRoutes);
 app.use('/api/v1/crash', crashRoutes);
+app.use('/api/v1/media', mediaRoutes);
+app.use('/api/v1/escalations', escalationRoutes);
+app.use('/api/v1/analytics', analyticsRoutes);
+app.use('/api/v1/map', mapRoutes);
+app.use('/api/v1/priority', priorityRoutes);
 
 // ADMIN ROUTES
 app.use('/api/v1/vehicles', vehicleRoutes);
@@ -122,6 +163,7 @@ app.use('/api/v1/emergency-contacts', emergencyContactsRoutes);
 
 
 app.use('/api/v1/geolocation', geolocationRoutes);
+app.use('/api/v1/public/reports', publicReportRoutes);
 // Root redirect to docs
 app.get('/', (req, res) => {
   res.redirect('/api-docs');
@@ -162,4 +204,6 @@ initSocket(io);
 setIO(io);
 server.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
+    startEscalationScheduler();
+    startPriorityScheduler();
 });
\ No newline at end of file
@@ -1,11 +1,82 @@
+const jwt = require('jsonwebtoken');
+const { getSession, getActiveSession } = require('./utils/sessions');
+const { can } = require('./middleware/permissions');
+const { STAFF_ROOM, SUPERVISOR_ROOM, userRoom, sessionRoom } = require('./socketInstance');
+
+// How often a signed-in socket's token and session are checked again
+const RECHECK_SECONDS = parseInt(process.env.SOCKET_RECHECK_SECONDS) || 60;
+
+/**
+ * Sockets may present an access token as handshake auth.token. Those join
+ * their own user and session rooms and, for staff, the staff and supervisor
+ * rooms, so targeted events (e.g. internal alert notes, escalations) only
+ * reach the right people. Sockets without a token still receive the public
+ * broadcasts.
+ */
+const authenticateSocket = async (socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+  if (!token) return next();
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const session = await getActiveSession(decoded.sid, socket.handshake.address);
+    if (!session || session.user_id !== decoded.id) {
+      return next(new Error('Session has been revoked'));
+    }
+
+    socket.user = decoded;
+    next();
+  } catch (error) {
+    next(new Error('Invalid or expired token'));
+  }
+};
+
+/**
+ * Revoking a session disconnects its sockets straight away; this catches
+ * expired tokens, and revocations made by another server process
+ */
+const watchSocketAuth = (socket) => {
+  const timer = setInterval(async () => {
+    try {
+      if (socket.user.exp * 1000 <= Date.now()) {
+        return socket.disconnect(true);
+      }
+
+      const session = await getSession(socket.user.sid);
+      if (!session || session.revoked_at || session.user_id !== socket.user.id) {
+        socket.disconnect(true);
+      }
+    } catch (error) {
+      console.error('Socket session check error:', error);
+    }
+  }, RECHECK_SECONDS * 1000);
+
+  timer.unref();
+  socket.on('disconnect', () => clearInterval(timer));
+};
+
 const initSocket = (io) => {
+  io.use(authenticateSocket);
+
   io.on('connection', (socket) => {
     console.log('User connected:', socket.id);
 
+    if (socket.user) {
+      socket.join(userRoom(socket.user.id));
+      socket.join(sessionRoom(socket.user.sid));
+      if (can(socket.user, 'alert.view_all')) {
+        socket.join(STAFF_ROOM);
+      }
+      if (can(socket.user, 'escalation.receive')) {
+        socket.join(SUPERVISOR_ROOM);
+      }
+      watchSocketAuth(socket);
+    }
+
     socket.on('disconnect', () => {
       console.log('User disconnected');
     });
   });
 };
 
-module.exports = { initSocket };
\ No newline at end of file
+module.exports = { initSocket };
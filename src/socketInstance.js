@@ -9,4 +9,22 @@ const getIO = () => {
   return io;
 };
 
-module.exports = { setIO, getIO };
\ No newline at end of file
+// Rooms joined by authenticated sockets, for events not meant for everyone
+const STAFF_ROOM = 'staff';
+const SUPERVISOR_ROOM = 'supervisors';
+const userRoom = (userId) => `user:${userId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+/**
+ * Disconnect every socket in a room, optionally sparing those in another.
+ * A no-op outside the server (no io yet), e.g. in scripts.
+ */
+const disconnectRoom = (room, { except = null } = {}) => {
+  if (!io) return;
+
+  let target = io.in(room);
+  if (except) target = target.except(except);
+  target.disconnectSockets(true);
+};
+
+module.exports = { setIO, getIO, STAFF_ROOM, SUPERVISOR_ROOM, userRoom, sessionRoom, disconnectRoom };
@@ -0,0 +1,161 @@
+const { can } = require('../middleware/permissions');
+const { ALERT_STATUSES } = require('../config/alertLifecycle');
+const { ALERT_TYPES, ALERT_SEVERITIES } = require('../config/alerts');
+const { parseLimit, decodeCursor, quoteFilterValue } = require('./pagination');
+const { parseGeoFilter, applyGeoFilter } = require('./geo');
+
+const ALERT_LIST_SELECT = `
+  *,
+  user:user_id(id, first_name, last_name, email, user_phone_number, email_verified, phone_verified),
+  vehicle:assigned_vehicle_id(id, license_plate, vehicle_type, model),
+  responder:assigned_responder_id(id, first_name, last_name, user_phone_number),
+  assignments:alert_assignments(id, vehicle_id, responder_id, role, status)
+`;
+
+// Sort option -> column; severity sorts by urgency, not alphabetically,
+// and priority by triage score. distance_m is computed for radius
+// searches only.
+const ALERT_SORTS = {
+  reported_at: 'reported_at',
+  severity: 'severity_rank',
+  priority: 'priority_score',
+  status: 'status',
+  distance: 'distance_m',
+};
+
+const SEARCH_COLUMNS = ['title', 'description', 'location'];
+const MAX_SEARCH_TERMS = 5;
+
+// Comma-separated values, each of which must be allowed
+const parseList = (value, allowed) => {
+  if (!value) return [];
+  const values = String(value).split(',').map((item) => item.trim()).filter(Boolean);
+  return values.every((item) => allowed.includes(item)) ? values : null;
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date.toISOString();
+};
+
+const escapeLike = (term) => term.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+/**
+ * Parse and validate the list/export query string for alerts.
+ * Returns { error } on invalid input.
+ */
+const parseAlertListOptions = (query) => {
+  const sort = query.sort || 'reported_at';
+  if (!ALERT_SORTS[sort]) {
+    return { error: `sort must be one of: ${Object.keys(ALERT_SORTS).join(', ')}` };
+  }
+
+  const order = query.order || (sort === 'distance' ? 'asc' : 'desc');
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be asc or desc' };
+  }
+
+  const statuses = parseList(query.status, [...ALERT_STATUSES, 'responding']);
+  const alertTypes = parseList(query.alert_type, ALERT_TYPES);
+  const severities = parseList(query.severity, ALERT_SEVERITIES);
+  if (!statuses || !alertTypes || !severities) {
+    return { error: 'Invalid status, alert_type or severity filter' };
+  }
+
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from === undefined || to === undefined) {
+    return { error: 'from and to must be valid dates' };
+  }
+
+  const geo = parseGeoFilter(query);
+  if (geo.error) {
+    return { error: geo.error };
+  }
+  if (sort === 'distance' && !geo.near) {
+    return { error: 'sort=distance requires near and radius_m' };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  const terms = String(query.q || '').trim().split(/\s+/).filter(Boolean).slice(0, MAX_SEARCH_TERMS);
+
+  return {
+    sort,
+    column: ALERT_SORTS[sort],
+    ascending: order === 'asc',
+    statuses,
+    alertTypes,
+    severities,
+    userId: query.user_id || null,
+    includeMerged: query.include_merged === 'true',
+    anonymous: query.anonymous === undefined ? null : query.anonymous === 'true',
+    from,
+    to,
+    terms,
+    geo,
+    cursor,
+    limit: parseLimit(query.limit),
+    offset: Math.max(parseInt(query.offset) || 0, 0),
+  };
+};
+
+/**
+ * Apply filters, search and role-based visibility to an alerts query
+ */
+const applyAlertFilters = (query, options, user) => {
+  if (options.statuses.length > 0) {
+    query = query.in('status', options.statuses);
+  }
+  if (options.alertTypes.length > 0) {
+    query = query.in('alert_type', options.alertTypes);
+  }
+  if (options.severities.length > 0) {
+    query = query.in('severity', options.severities);
+  }
+  if (options.from) {
+    query = query.gte('reported_at', options.from);
+  }
+  if (options.to) {
+    query = query.lte('reported_at', options.to);
+  }
+  query = applyGeoFilter(query, options.geo);
+
+  // Every term has to appear in at least one of the searched columns
+  options.terms.forEach((term) => {
+    const pattern = quoteFilterValue(`%${escapeLike(term)}%`);
+    query = query.or(SEARCH_COLUMNS.map((column) => `${column}.ilike.${pattern}`).join(','));
+  });
+
+  // Users without alert.view_all can only see their own alerts, merged or not;
+  // staff see merged duplicates through the alert they were merged into
+  if (!can(user, 'alert.view_all')) {
+    query = query.eq('user_id', user.id);
+  } else {
+    if (options.userId) {
+      query = query.eq('user_id', options.userId);
+    }
+    if (options.anonymous !== null) {
+      query = query.eq('anonymous', options.anonymous);
+    }
+    if (!options.includeMerged) {
+      query = query.is('merged_into_id', null);
+    }
+  }
+
+  return query;
+};
+
+module.exports = {
+  ALERT_LIST_SELECT,
+  ALERT_SORTS,
+  parseAlertListOptions,
+  applyAlertFilters,
+};
@@ -0,0 +1,59 @@
+const supabase = require('../config/supabase');
+
+const ALERT_EVENT_FIELDS = 'id, alert_id, event_type, from_status, to_status, actor_id, actor_role, note, details, created_at';
+
+/**
+ * Append an entry to an alert's timeline. Event types: created,
+ * status_changed, assigned, updated, merged, merged_into, escalated,
+ * unit_assigned, unit_status_changed. The change it records has already
+ * been saved, so a failed write is logged and gives null rather than
+ * failing the request.
+ */
+const recordAlertEvent = async (alertId, user, { eventType, fromStatus = null, toStatus = null, note = null, details = null }) => {
+  const { data, error } = await supabase
+    .from('alert_events')
+    .insert([{
+      alert_id: alertId,
+      event_type: eventType,
+      from_status: fromStatus,
+      to_status: toStatus,
+      actor_id: user ? user.id : null,
+      actor_role: user ? user.role : null,
+      note,
+      details,
+      created_at: new Date().toISOString(),
+    }])
+    .select(ALERT_EVENT_FIELDS)
+    .single();
+
+  if (error) {
+    console.error(`Alert timeline write failed (${eventType} on alert ${alertId}):`, error);
+    return null;
+  }
+  return data;
+};
+
+/**
+ * An alert's timeline, interleaved with the timelines of any alerts
+ * merged into it (told apart by alert_id)
+ */
+const getAlertTimeline = async (alertId, mergedAlertIds = []) => {
+  const { data, error } = await supabase
+    .from('alert_events')
+    .select(`
+      ${ALERT_EVENT_FIELDS},
+      actor:actor_id(id, first_name, last_name)
+    `)
+    .in('alert_id', [alertId, ...mergedAlertIds])
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+  return data;
+};
+
+module.exports = {
+  ALERT_EVENT_FIELDS,
+  recordAlertEvent,
+  getAlertTimeline,
+};
@@ -0,0 +1,329 @@
+const supabase = require('../config/supabase');
+const { ALERT_SEVERITIES } = require('../config/alerts');
+const {
+  INCIDENT_METRICS,
+  OPEN_INCIDENT_STATUSES,
+  PERCENTILES,
+  DEFAULT_SLA_TARGETS,
+} = require('../config/analytics');
+const { iterateKeyset } = require('./pagination');
+
+const SLA_TARGET_FIELDS = 'id, incident_type, severity, metric, target_seconds, updated_by, updated_at';
+
+const BATCH_SIZE = 500;
+
+const targetKey = (incidentType, severity, metric) => `${incidentType}:${severity}:${metric}`;
+
+// Where each incident type is read from, and the moment its clock starts
+const INCIDENT_SOURCES = {
+  alert: {
+    table: 'alerts',
+    select: 'id, alert_type, severity, status, reported_at, acknowledged_at, en_route_at, on_scene_at, resolved_at',
+    reportedColumn: 'reported_at',
+    mergedColumn: 'merged_into_id',
+  },
+  sos: {
+    // SOS rows are read whole: acknowledged_at and resolved_at are only
+    // counted on deployments whose table carries them
+    table: 'sos_requests',
+    select: '*',
+    reportedColumn: 'triggered_at',
+    mergedColumn: null,
+  },
+  crash: {
+    table: 'crash_events',
+    select: 'id, status, triggered_at, acknowledged_at, resolved_at',
+    reportedColumn: 'triggered_at',
+    mergedColumn: 'merged_into_alert_id',
+  },
+};
+
+/**
+ * Effective SLA targets: the defaults, overridden by any saved target rows
+ */
+const getSlaTargets = async () => {
+  const { data, error } = await supabase
+    .from('sla_targets')
+    .select(SLA_TARGET_FIELDS);
+
+  if (error) throw error;
+
+  const saved = new Map(data.map((target) => [targetKey(target.incident_type, target.severity, target.metric), target]));
+  return DEFAULT_SLA_TARGETS.map((target) => {
+    const key = targetKey(target.incident_type, target.severity, target.metric);
+    return {
+      ...target,
+      id: null,
+      updated_by: null,
+      updated_at: null,
+      ...saved.get(key),
+      is_default: !saved.has(key),
+    };
+  });
+};
+
+const earliest = (values) => values.filter(Boolean).sort()[0] || null;
+
+const startOfWeek = (date) => {
+  const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return monday.toISOString().slice(0, 10);
+};
+
+const periodKey = (groupBy, reportedAt) => {
+  const date = new Date(reportedAt);
+  return groupBy === 'week' ? startOfWeek(date) : date.toISOString().slice(0, 10);
+};
+
+const responderName = (responder) => (responder
+  ? [responder.first_name, responder.last_name].filter(Boolean).join(' ') || null
+  : null);
+
+/**
+ * One sample per incident, or per unit when grouping by vehicle or
+ * responder. `milestones` maps each metric to the time it was reached (or
+ * null), and `open` says whether a missing milestone can still be reached.
+ */
+const alertSamples = (alert, assignments, groupBy) => {
+  const open = OPEN_INCIDENT_STATUSES.alert.includes(alert.status);
+  // An alert sent straight to en_route was never acknowledged on its own;
+  // its first response counts as the acknowledgement
+  const acknowledgedAt = alert.acknowledged_at || alert.en_route_at || alert.on_scene_at;
+
+  if (groupBy === 'vehicle' || groupBy === 'responder') {
+    const column = groupBy === 'vehicle' ? 'vehicle_id' : 'responder_id';
+    return assignments
+      .filter((assignment) => assignment[column])
+      .map((assignment) => ({
+        key: assignment[column],
+        label: groupBy === 'vehicle'
+          ? assignment.vehicle?.license_plate || null
+          : responderName(assignment.responder),
+        milestones: {
+          time_to_acknowledge: acknowledgedAt,
+          time_to_assign: assignment.dispatched_at,
+          time_to_on_scene: assignment.on_scene_at,
+          time_to_resolve: alert.resolved_at,
+        },
+        open: {
+          time_to_acknowledge: open,
+          time_to_assign: false,
+          time_to_on_scene: open && assignment.status !== 'released',
+          time_to_resolve: open,
+        },
+      }));
+  }
+
+  let key = null;
+  if (groupBy === 'alert_type') key = alert.alert_type;
+  if (groupBy === 'severity') key = alert.severity;
+  if (groupBy === 'day' || groupBy === 'week') key = periodKey(groupBy, alert.reported_at);
+
+  return [{
+    key,
+    label: null,
+    milestones: {
+      time_to_acknowledge: acknowledgedAt,
+      time_to_assign: earliest(assignments.map((assignment) => assignment.dispatched_at)),
+      time_to_on_scene: alert.on_scene_at || earliest(assignments.map((assignment) => assignment.on_scene_at)),
+      time_to_resolve: alert.resolved_at,
+    },
+    open: {
+      time_to_acknowledge: open,
+      time_to_assign: open,
+      time_to_on_scene: open,
+      time_to_resolve: open,
+    },
+  }];
+};
+
+const reportSamples = (incidentType, report, groupBy) => {
+  const open = OPEN_INCIDENT_STATUSES[incidentType].includes(report.status);
+  return [{
+    key: groupBy ? periodKey(groupBy, report.triggered_at) : null,
+    label: null,
+    milestones: {
+      time_to_acknowledge: report.acknowledged_at || null,
+      time_to_resolve: report.resolved_at || null,
+    },
+    open: {
+      time_to_acknowledge: open,
+      time_to_resolve: open,
+    },
+  }];
+};
+
+const newBucket = (metrics, key = null, label = null) => ({
+  key,
+  label,
+  count: 0,
+  metrics: Object.fromEntries(metrics.map((metric) => [metric, { durations: [], breaches: 0, openBreaches: 0 }])),
+});
+
+/**
+ * Add one sample to a bucket. Finished milestones add a duration and count
+ * as a breach past the target; missing ones count as an open breach once
+ * the incident has waited past the target and can still reach them.
+ */
+const addSample = (bucket, sample, reportedAt, targets, now) => {
+  const start = new Date(reportedAt);
+  bucket.count += 1;
+
+  for (const [metric, stats] of Object.entries(bucket.metrics)) {
+    const target = targets[metric] ?? null;
+    const reachedAt = sample.milestones[metric];
+
+    if (reachedAt) {
+      const seconds = Math.round((new Date(reachedAt) - start) / 1000);
+      if (seconds < 0) continue;
+      stats.durations.push(seconds);
+      if (target !== null && seconds > target) stats.breaches += 1;
+    } else if (sample.open[metric] && target !== null && (now - start) / 1000 > target) {
+      stats.openBreaches += 1;
+    }
+  }
+};
+
+// Nearest-rank percentile of sorted values
+const percentile = (sorted, p) => sorted[Math.max(Math.ceil((p / 100) * sorted.length) - 1, 0)];
+
+const summarize = (bucket) => ({
+  ...(bucket.key !== null ? { key: bucket.key } : {}),
+  ...(bucket.label !== null ? { label: bucket.label } : {}),
+  count: bucket.count,
+  metrics: Object.fromEntries(Object.entries(bucket.metrics).map(([metric, stats]) => {
+    const sorted = [...stats.durations].sort((a, b) => a - b);
+    const count = sorted.length;
+    return [metric, {
+      count,
+      mean: count ? Math.round(sorted.reduce((sum, value) => sum + value, 0) / count) : null,
+      min: count ? sorted[0] : null,
+      max: count ? sorted[count - 1] : null,
+      ...Object.fromEntries(PERCENTILES.map((p) => [`p${p}`, count ? percentile(sorted, p) : null])),
+      breaches: stats.breaches,
+      open_breaches: stats.openBreaches,
+      breach_rate: count ? Number((stats.breaches / count).toFixed(4)) : null,
+    }];
+  })),
+});
+
+const fetchAssignments = async (alertIds) => {
+  if (alertIds.length === 0) return new Map();
+
+  const { data, error } = await supabase
+    .from('alert_assignments')
+    .select(`
+      alert_id, vehicle_id, responder_id, status, dispatched_at, on_scene_at,
+      vehicle:vehicle_id(license_plate),
+      responder:responder_id(first_name, last_name)
+    `)
+    .in('alert_id', alertIds);
+
+  if (error) throw error;
+
+  const byAlert = new Map();
+  for (const assignment of data) {
+    if (!byAlert.has(assignment.alert_id)) byAlert.set(assignment.alert_id, []);
+    byAlert.get(assignment.alert_id).push(assignment);
+  }
+  return byAlert;
+};
+
+const compareGroups = (groupBy) => {
+  if (groupBy === 'day' || groupBy === 'week') return (a, b) => (a.key < b.key ? -1 : 1);
+  if (groupBy === 'severity') return (a, b) => ALERT_SEVERITIES.indexOf(b.key) - ALERT_SEVERITIES.indexOf(a.key);
+  return (a, b) => b.count - a.count;
+};
+
+/**
+ * Response times of the incidents of one type reported in [from, to),
+ * overall and per group. Durations are in whole seconds. Incidents merged
+ * into another alert are left out; the alert they were merged into counts.
+ */
+const getResponseTimes = async ({ incidentType, from, to, groupBy = null, filters = {} }, now = new Date()) => {
+  const source = INCIDENT_SOURCES[incidentType];
+  const metrics = INCIDENT_METRICS[incidentType];
+
+  const targets = new Map();
+  for (const target of await getSlaTargets()) {
+    if (target.incident_type !== incidentType) continue;
+    if (!targets.has(target.severity)) targets.set(target.severity, {});
+    targets.get(target.severity)[target.metric] = target.target_seconds;
+  }
+
+  const overall = newBucket(metrics);
+  const groups = new Map();
+
+  const record = (incident, assignments) => {
+    const incidentTargets = targets.get(incidentType === 'alert' ? incident.severity : 'any') || {};
+    const reportedAt = incident[source.reportedColumn];
+
+    // Overall figures count each incident once, even when grouped by unit
+    const [incidentSample] = incidentType === 'alert'
+      ? alertSamples(incident, assignments, null)
+      : reportSamples(incidentType, incident, null);
+    addSample(overall, incidentSample, reportedAt, incidentTargets, now);
+
+    if (!groupBy) return;
+    const grouped = incidentType === 'alert'
+      ? alertSamples(incident, assignments, groupBy)
+      : reportSamples(incidentType, incident, groupBy);
+
+    for (const sample of grouped) {
+      const key = sample.key ?? 'unknown';
+      if (!groups.has(key)) groups.set(key, newBucket(metrics, key, sample.label));
+      addSample(groups.get(key), sample, reportedAt, incidentTargets, now);
+    }
+  };
+
+  const incidents = iterateKeyset(
+    () => {
+      let query = supabase
+        .from(source.table)
+        .select(source.select)
+        .gte(source.reportedColumn, from)
+        .lt(source.reportedColumn, to);
+
+      if (source.mergedColumn) query = query.is(source.mergedColumn, null);
+      if (filters.alertTypes?.length) query = query.in('alert_type', filters.alertTypes);
+      if (filters.severities?.length) query = query.in('severity', filters.severities);
+      return query;
+    },
+    source.reportedColumn,
+    true,
+    { pageSize: BATCH_SIZE }
+  );
+
+  let batch = [];
+  const flush = async () => {
+    const assignments = incidentType === 'alert'
+      ? await fetchAssignments(batch.map((incident) => incident.id))
+      : new Map();
+    for (const incident of batch) {
+      record(incident, assignments.get(incident.id) || []);
+    }
+    batch = [];
+  };
+
+  for await (const incident of incidents) {
+    batch.push(incident);
+    if (batch.length === BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return {
+    incident_type: incidentType,
+    from,
+    to,
+    group_by: groupBy,
+    targets: Object.fromEntries(targets),
+    overall: summarize(overall),
+    groups: groupBy ? [...groups.values()].map(summarize).sort(compareGroups(groupBy)) : [],
+  };
+};
+
+module.exports = {
+  SLA_TARGET_FIELDS,
+  getSlaTargets,
+  getResponseTimes,
+};
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const net = require('net');
+const supabase = require('../config/supabase');
+const { hashToken } = require('./tokens');
+
+const KEY_PREFIX = 'rlk_';
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const API_KEY_FIELDS = 'id, name, prefix, user_id, vehicle_id, scopes, allowed_ips, created_by, created_at, expires_at, last_used_at, last_used_ip, revoked_at';
+
+const isApiKey = (value) => typeof value === 'string' && value.startsWith(KEY_PREFIX);
+
+/**
+ * Generate a new key. Only the hash and a short display prefix are stored.
+ */
+const generateApiKey = () => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, prefix: key.slice(0, KEY_PREFIX.length + 8), hash: hashToken(key) };
+};
+
+// Express reports IPv4 clients as ::ffff:a.b.c.d when listening on IPv6
+const normalizeIp = (ip = '') => ip.replace(/^::ffff:/, '');
+
+/**
+ * Validate an allowed_ips entry: a single address or CIDR range
+ */
+const isValidIpRule = (rule) => {
+  const [address, bits] = String(rule).split('/');
+  const family = net.isIP(address);
+  if (!family) return false;
+  if (bits === undefined) return true;
+
+  const prefix = Number(bits);
+  return Number.isInteger(prefix) && prefix >= 0 && prefix <= (family === 4 ? 32 : 128);
+};
+
+const ipAllowed = (ip, allowedIps) => {
+  if (!allowedIps || allowedIps.length === 0) return true;
+
+  const address = normalizeIp(ip);
+  const family = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+  const blockList = new net.BlockList();
+
+  for (const rule of allowedIps) {
+    const [ruleAddress, bits] = rule.split('/');
+    const ruleFamily = net.isIP(ruleAddress) === 6 ? 'ipv6' : 'ipv4';
+    if (bits === undefined) {
+      blockList.addAddress(ruleAddress, ruleFamily);
+    } else {
+      blockList.addSubnet(ruleAddress, Number(bits), ruleFamily);
+    }
+  }
+
+  return blockList.check(address, family);
+};
+
+/**
+ * Resolve a presented API key into the principal attached to req.user.
+ * Returns { error } when the key is unknown, revoked, expired or used from
+ * an address outside its allow list.
+ */
+const authenticateApiKey = async (key, ip) => {
+  const { data: apiKey, error } = await supabase
+    .from('api_keys')
+    .select(API_KEY_FIELDS)
+    .eq('key_hash', hashToken(key))
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!apiKey || apiKey.revoked_at) {
+    return { error: 'Invalid API key' };
+  }
+  if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) {
+    return { error: 'API key expired' };
+  }
+  if (!ipAllowed(ip, apiKey.allowed_ips)) {
+    return { error: 'API key not allowed from this address' };
+  }
+
+  let owner = null;
+  if (apiKey.user_id) {
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, email, role, first_name, last_name')
+      .eq('id', apiKey.user_id)
+      .maybeSingle();
+
+    if (userError) throw userError;
+    if (!user) {
+      return { error: 'Invalid API key' };
+    }
+    owner = user;
+  }
+
+  if (!apiKey.last_used_at || Date.now() - new Date(apiKey.last_used_at).getTime() > TOUCH_INTERVAL_MS) {
+    await supabase
+      .from('api_keys')
+      .update({ last_used_at: new Date().toISOString(), last_used_ip: normalizeIp(ip) })
+      .eq('id', apiKey.id);
+  }
+
+  return {
+    principal: {
+      id: owner ? owner.id : null,
+      email: owner ? owner.email : null,
+      role: owner ? owner.role : null,
+      name: owner ? `${owner.first_name} ${owner.last_name}` : apiKey.name,
+      vehicle_id: apiKey.vehicle_id,
+      mfa: false,
+      api_key: {
+        id: apiKey.id,
+        name: apiKey.name,
+        scopes: apiKey.scopes || [],
+      },
+    },
+  };
+};
+
+module.exports = {
+  API_KEY_FIELDS,
+  isApiKey,
+  isValidIpRule,
+  generateApiKey,
+  authenticateApiKey,
+};
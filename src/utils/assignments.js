@@ -0,0 +1,214 @@
+const supabase = require('../config/supabase');
+const {
+  ASSIGNMENT_ROLES,
+  ASSIGNMENT_TIMESTAMPS,
+  VEHICLE_STATUS_FOR_ASSIGNMENT,
+  ROLE_FOR_VEHICLE_TYPE,
+  UNAVAILABLE_VEHICLE_STATUSES,
+} = require('../config/assignments');
+const { recordAlertEvent } = require('./alertTimeline');
+
+const ASSIGNMENT_FIELDS = 'id, alert_id, vehicle_id, responder_id, role, status, assigned_by, dispatched_at, en_route_at, on_scene_at, released_at, updated_at';
+
+const ASSIGNMENT_SELECT = `
+  ${ASSIGNMENT_FIELDS},
+  vehicle:vehicle_id(id, license_plate, vehicle_type, status),
+  responder:responder_id(id, first_name, last_name, user_phone_number)
+`;
+
+// Responder fields only staff may see; the citizen who filed the alert gets the rest
+const CONTACT_FIELDS = ['user_phone_number'];
+
+const withoutContacts = (assignment) => {
+  if (!assignment.responder) return assignment;
+  const responder = { ...assignment.responder };
+  CONTACT_FIELDS.forEach((field) => delete responder[field]);
+  return { ...assignment, responder };
+};
+
+const getAssignments = async (alertId) => {
+  const { data, error } = await supabase
+    .from('alert_assignments')
+    .select(ASSIGNMENT_SELECT)
+    .eq('alert_id', alertId)
+    .order('dispatched_at', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+  return data;
+};
+
+const getActiveAssignments = async (alertId) => {
+  const { data, error } = await supabase
+    .from('alert_assignments')
+    .select(ASSIGNMENT_FIELDS)
+    .eq('alert_id', alertId)
+    .neq('status', 'released');
+
+  if (error) throw error;
+  return data;
+};
+
+// The unreleased assignment a vehicle or responder is on, if any
+const findActiveAssignment = async (column, id) => {
+  const { data, error } = await supabase
+    .from('alert_assignments')
+    .select('id, alert_id')
+    .eq(column, id)
+    .neq('status', 'released')
+    .limit(1);
+
+  if (error) throw error;
+  return data[0] || null;
+};
+
+const syncVehicleStatus = async (assignment) => {
+  if (!assignment.vehicle_id) return;
+
+  const { error } = await supabase
+    .from('vehicles')
+    .update({ status: VEHICLE_STATUS_FOR_ASSIGNMENT[assignment.status] })
+    .eq('id', assignment.vehicle_id);
+
+  if (error) console.error('Vehicle status update failed:', error);
+};
+
+/**
+ * Check that a vehicle and/or responder can be dispatched. Returns
+ * { code, message } when not, otherwise { vehicle }. Units on
+ * `releasingAlertId` count as free, for callers about to release them.
+ */
+const checkUnit = async ({ vehicleId, responderId, role }, { releasingAlertId = null } = {}) => {
+  if (!vehicleId && !responderId) {
+    return { code: 400, message: 'Provide a vehicle_id, a responder_id or both' };
+  }
+  if (role !== undefined && !ASSIGNMENT_ROLES.includes(role)) {
+    return { code: 400, message: `role must be one of: ${ASSIGNMENT_ROLES.join(', ')}` };
+  }
+
+  let vehicle = null;
+  if (vehicleId) {
+    const { data, error } = await supabase
+      .from('vehicles')
+      .select('id, vehicle_type, status')
+      .eq('id', vehicleId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return { code: 404, message: 'Vehicle not found' };
+    if (UNAVAILABLE_VEHICLE_STATUSES.includes(data.status)) {
+      return { code: 409, message: `Vehicle is ${data.status}` };
+    }
+
+    const busy = await findActiveAssignment('vehicle_id', vehicleId);
+    if (busy && busy.alert_id !== releasingAlertId) {
+      return { code: 409, message: `Vehicle is already assigned to alert ${busy.alert_id}` };
+    }
+    vehicle = data;
+  }
+
+  if (responderId) {
+    const { data, error } = await supabase
+      .from('responders')
+      .select('id')
+      .eq('id', responderId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return { code: 404, message: 'Responder not found' };
+
+    const busy = await findActiveAssignment('responder_id', responderId);
+    if (busy && busy.alert_id !== releasingAlertId) {
+      return { code: 409, message: `Responder is already assigned to alert ${busy.alert_id}` };
+    }
+  }
+
+  return { vehicle };
+};
+
+/**
+ * Send a vehicle and/or responder to an alert. Returns { code, message }
+ * when the unit cannot be dispatched, otherwise { assignment }.
+ */
+const assignUnit = async (alert, { vehicleId, responderId, role }, user) => {
+  const check = await checkUnit({ vehicleId, responderId, role });
+  if (check.code) return check;
+  const { vehicle } = check;
+
+  const now = new Date().toISOString();
+  const { data: assignment, error } = await supabase
+    .from('alert_assignments')
+    .insert([{
+      alert_id: alert.id,
+      vehicle_id: vehicleId || null,
+      responder_id: responderId || null,
+      role: role || (vehicle && ROLE_FOR_VEHICLE_TYPE[vehicle.vehicle_type]) || 'support',
+      status: 'dispatched',
+      assigned_by: user.id,
+      dispatched_at: now,
+      updated_at: now,
+    }])
+    .select(ASSIGNMENT_SELECT)
+    .single();
+
+  if (error) throw error;
+
+  await syncVehicleStatus(assignment);
+  await recordAlertEvent(alert.id, user, {
+    eventType: 'unit_assigned',
+    details: { assignment_id: assignment.id, vehicle_id: assignment.vehicle_id, responder_id: assignment.responder_id, role: assignment.role },
+  });
+
+  return { assignment };
+};
+
+/**
+ * Move an assignment to a new status. The caller checks the transition;
+ * returns null if the assignment changed since it was read.
+ */
+const changeAssignmentStatus = async (assignment, status, user, note = null) => {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('alert_assignments')
+    .update({ status, [ASSIGNMENT_TIMESTAMPS[status]]: now, updated_at: now })
+    .eq('id', assignment.id)
+    .eq('status', assignment.status)
+    .select(ASSIGNMENT_SELECT)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  await syncVehicleStatus(data);
+  await recordAlertEvent(data.alert_id, user, {
+    eventType: 'unit_status_changed',
+    fromStatus: assignment.status,
+    toStatus: status,
+    note,
+    details: { assignment_id: data.id, vehicle_id: data.vehicle_id, responder_id: data.responder_id },
+  });
+
+  return data;
+};
+
+/**
+ * Release every unit still on an alert, e.g. when it is closed
+ */
+const releaseActiveAssignments = async (alertId, user, note = null) => {
+  const active = await getActiveAssignments(alertId);
+  const released = await Promise.all(active.map((assignment) => changeAssignmentStatus(assignment, 'released', user, note)));
+  return released.filter(Boolean);
+};
+
+module.exports = {
+  ASSIGNMENT_FIELDS,
+  ASSIGNMENT_SELECT,
+  getAssignments,
+  withoutContacts,
+  getActiveAssignments,
+  checkUnit,
+  assignUnit,
+  changeAssignmentStatus,
+  releaseActiveAssignments,
+};
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+const AUDIT_FIELDS = 'id, actor_id, actor_role, action, target_type, target_id, changes, ip_address, user_agent, created_at, prev_hash, hash';
+
+// Fields covered by each entry's hash, in addition to the previous hash
+const HASHED_FIELDS = ['actor_id', 'actor_role', 'action', 'target_type', 'target_id', 'changes', 'ip_address', 'user_agent', 'created_at'];
+
+/**
+ * JSON with sorted object keys, so an entry read back from the database
+ * hashes exactly as it did when it was written
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashEntry = (entry, prevHash) => {
+  const payload = {};
+  HASHED_FIELDS.forEach((field) => { payload[field] = entry[field] ?? null; });
+  // Postgres hands timestamps back in its own format
+  payload.created_at = new Date(entry.created_at).toISOString();
+
+  return crypto
+    .createHash('sha256')
+    .update(`${prevHash}\n${canonicalize(payload)}`)
+    .digest('hex');
+};
+
+/**
+ * Field-level diff between two snapshots: { field: { from, to } }.
+ * Pass null as before for a creation or as after for a deletion.
+ */
+const diffRecords = (before, after) => {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach((key) => {
+    const from = before ? before[key] ?? null : null;
+    const to = after ? after[key] ?? null : null;
+    if (canonicalize(from) !== canonicalize(to)) {
+      changes[key] = { from, to };
+    }
+  });
+
+  return changes;
+};
+
+const appendEntry = async (entry) => {
+  const { data: last, error: lastError } = await supabase
+    .from('audit_logs')
+    .select('hash')
+    .order('id', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (lastError) throw lastError;
+
+  const prevHash = last ? last.hash : GENESIS_HASH;
+
+  const { error } = await supabase
+    .from('audit_logs')
+    .insert([{ ...entry, prev_hash: prevHash, hash: hashEntry(entry, prevHash) }]);
+
+  if (error) throw error;
+};
+
+// Appends run one at a time so two entries never claim the same predecessor
+let chainTail = Promise.resolve();
+
+/**
+ * Append a privileged action to the audit log.
+ * The action itself has already happened, so a failed write is logged
+ * rather than failing the request.
+ */
+const recordAudit = (req, { action, targetType, targetId, before = null, after = null }) => {
+  const entry = {
+    actor_id: req.user ? req.user.id : null,
+    actor_role: req.user ? req.user.role : null,
+    action,
+    target_type: targetType,
+    target_id: targetId === undefined || targetId === null ? null : String(targetId),
+    changes: diffRecords(before, after),
+    ip_address: req.ip || null,
+    user_agent: req.headers['user-agent'] || null,
+    created_at: new Date().toISOString(),
+  };
+
+  const run = chainTail.then(() => appendEntry(entry));
+  chainTail = run.catch(() => {});
+
+  return run.catch((error) => {
+    console.error(`Audit log write failed (${action}):`, error);
+  });
+};
+
+/**
+ * Walk the whole chain and report the first entry whose hash or link to
+ * its predecessor does not match
+ */
+const verifyAuditChain = async ({ pageSize = 1000 } = {}) => {
+  let prevHash = GENESIS_HASH;
+  let checked = 0;
+
+  for (let offset = 0; ; offset += pageSize) {
+    const { data, error } = await supabase
+      .from('audit_logs')
+      .select(AUDIT_FIELDS)
+      .order('id', { ascending: true })
+      .range(offset, offset + pageSize - 1);
+
+    if (error) throw error;
+
+    for (const entry of data) {
+      if (entry.prev_hash !== prevHash) {
+        return { valid: false, checked, broken_at: entry.id, reason: 'Chain link does not match the previous entry' };
+      }
+      if (hashEntry(entry, prevHash) !== entry.hash) {
+        return { valid: false, checked, broken_at: entry.id, reason: 'Entry contents do not match its hash' };
+      }
+      prevHash = entry.hash;
+      checked += 1;
+    }
+
+    if (data.length < pageSize) break;
+  }
+
+  return { valid: true, checked, broken_at: null };
+};
+
+module.exports = {
+  AUDIT_FIELDS,
+  diffRecords,
+  recordAudit,
+  verifyAuditChain,
+};
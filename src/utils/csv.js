@@ -0,0 +1,21 @@
+const NUMERIC_LITERAL = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+/**
+ * Quote a value for CSV. Strings that a spreadsheet would run as a formula
+ * are prefixed with a quote so exports cannot smuggle formulas; numbers,
+ * and strings that are just a number, such as negative coordinates, are
+ * left alone.
+ */
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !NUMERIC_LITERAL.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => `${values.map(csvValue).join(',')}\r\n`;
+
+module.exports = { csvValue, csvRow };
@@ -0,0 +1,224 @@
+const supabase = require('../config/supabase');
+const { ALERT_TRANSITIONS } = require('../config/alertLifecycle');
+const { applyGeoFilter, fetchWithinRadius } = require('./geo');
+const { recordAlertEvent } = require('./alertTimeline');
+const { getIO, STAFF_ROOM } = require('../socketInstance');
+
+/**
+ * Duplicate incident detection and merging.
+ *
+ * Reports of the same type within DUPLICATE_RADIUS_M and
+ * DUPLICATE_WINDOW_MINUTES of each other are suggested as duplicates; a
+ * dispatcher decides whether to merge. Merged alerts and crash events keep
+ * their rows and point at the primary alert through merged_into_id /
+ * merged_into_alert_id, so their reporters, media and timelines stay intact.
+ */
+
+const DUPLICATE_RADIUS_M = parseInt(process.env.DUPLICATE_RADIUS_M) || 300;
+const DUPLICATE_WINDOW_MINUTES = parseInt(process.env.DUPLICATE_WINDOW_MINUTES) || 30;
+
+// Crash detector events are reports of this alert type
+const CRASH_ALERT_TYPE = 'accident';
+
+const OPEN_ALERT_STATUSES = Object.keys(ALERT_TRANSITIONS).filter((status) => ALERT_TRANSITIONS[status].length > 0);
+const OPEN_CRASH_STATUSES = ['pending', 'responding'];
+
+const CANDIDATE_ALERT_FIELDS = 'id, user_id, alert_type, severity, status, title, location, latitude, longitude, reported_at';
+const CANDIDATE_CRASH_FIELDS = 'id, user_id, vehicle_id, impact_force, status, latitude, longitude, triggered_at';
+
+const minutesApart = (a, b) => Math.round(Math.abs(new Date(a) - new Date(b)) / 60000);
+
+const byDistanceThenTime = (a, b) => a.distance_m - b.distance_m || a.minutes_apart - b.minutes_apart;
+
+/**
+ * Open, unmerged reports close to a point in space and time.
+ * Crash events are only considered for accidents.
+ */
+const findDuplicates = async ({ alertType, latitude, longitude, reportedAt, excludeAlertId = null, excludeCrashEventId = null }) => {
+  if (latitude === null || latitude === undefined || longitude === null || longitude === undefined) {
+    return { alerts: [], crash_events: [] };
+  }
+
+  const near = { latitude: Number(latitude), longitude: Number(longitude), radius: DUPLICATE_RADIUS_M };
+  const at = new Date(reportedAt || Date.now());
+  const windowStart = new Date(at.getTime() - DUPLICATE_WINDOW_MINUTES * 60000).toISOString();
+  const windowEnd = new Date(at.getTime() + DUPLICATE_WINDOW_MINUTES * 60000).toISOString();
+
+  let alertQuery = supabase
+    .from('alerts')
+    .select(CANDIDATE_ALERT_FIELDS)
+    .eq('alert_type', alertType)
+    .in('status', OPEN_ALERT_STATUSES)
+    .is('merged_into_id', null)
+    .gte('reported_at', windowStart)
+    .lte('reported_at', windowEnd);
+
+  if (excludeAlertId) {
+    alertQuery = alertQuery.neq('id', excludeAlertId);
+  }
+
+  const nearbyAlerts = await fetchWithinRadius(applyGeoFilter(alertQuery, { near }), near);
+  const alerts = (nearbyAlerts.rows || [])
+    .map((alert) => ({ ...alert, minutes_apart: minutesApart(alert.reported_at, at) }))
+    .sort(byDistanceThenTime);
+
+  let crashEvents = [];
+  if (alertType === CRASH_ALERT_TYPE) {
+    let crashQuery = supabase
+      .from('crash_events')
+      .select(CANDIDATE_CRASH_FIELDS)
+      .in('status', OPEN_CRASH_STATUSES)
+      .is('merged_into_alert_id', null)
+      .gte('triggered_at', windowStart)
+      .lte('triggered_at', windowEnd);
+
+    if (excludeCrashEventId) {
+      crashQuery = crashQuery.neq('id', excludeCrashEventId);
+    }
+
+    const nearbyCrashes = await fetchWithinRadius(applyGeoFilter(crashQuery, { near }), near);
+    crashEvents = (nearbyCrashes.rows || [])
+      .map((event) => ({ ...event, minutes_apart: minutesApart(event.triggered_at, at) }))
+      .sort(byDistanceThenTime);
+  }
+
+  return { alerts, crash_events: crashEvents };
+};
+
+/**
+ * Tell staff about likely duplicates of a newly filed report as
+ * `incident:possible_duplicates`. Never fails the report itself.
+ */
+const announceDuplicates = async (report, criteria) => {
+  try {
+    const duplicates = await findDuplicates(criteria);
+    if (duplicates.alerts.length === 0 && duplicates.crash_events.length === 0) return;
+
+    getIO().to(STAFF_ROOM).emit('incident:possible_duplicates', { ...report, ...duplicates });
+  } catch (error) {
+    console.error('Duplicate detection error:', error);
+  }
+};
+
+/**
+ * Ids of the alerts and crash events merged into an alert
+ */
+const getMergedSources = async (alertId) => {
+  const [alerts, crashEvents] = await Promise.all([
+    supabase.from('alerts').select('id').eq('merged_into_id', alertId),
+    supabase.from('crash_events').select('id').eq('merged_into_alert_id', alertId),
+  ]);
+
+  if (alerts.error) throw alerts.error;
+  if (crashEvents.error) throw crashEvents.error;
+
+  return {
+    alertIds: alerts.data.map((alert) => alert.id),
+    crashEventIds: crashEvents.data.map((event) => event.id),
+  };
+};
+
+/**
+ * Everyone who reported an incident: the alert's own reporter followed by
+ * the reporters of every alert and crash event merged into it
+ */
+const getAlertReporters = async (alert) => {
+  const reporterFields = 'user:user_id(id, first_name, last_name, user_phone_number)';
+
+  const [alerts, crashEvents] = await Promise.all([
+    supabase
+      .from('alerts')
+      .select(`id, user_id, reported_at, ${reporterFields}`)
+      .eq('merged_into_id', alert.id)
+      .order('reported_at', { ascending: true }),
+    supabase
+      .from('crash_events')
+      .select(`id, user_id, triggered_at, ${reporterFields}`)
+      .eq('merged_into_alert_id', alert.id)
+      .order('triggered_at', { ascending: true }),
+  ]);
+
+  if (alerts.error) throw alerts.error;
+  if (crashEvents.error) throw crashEvents.error;
+
+  return [
+    { source_type: 'alert', source_id: alert.id, user_id: alert.user_id, reported_at: alert.reported_at, user: alert.user || null },
+    ...alerts.data.map((row) => ({
+      source_type: 'alert', source_id: row.id, user_id: row.user_id, reported_at: row.reported_at, user: row.user || null,
+    })),
+    ...crashEvents.data.map((row) => ({
+      source_type: 'crash', source_id: row.id, user_id: row.user_id, reported_at: row.triggered_at, user: row.user || null,
+    })),
+  ];
+};
+
+/**
+ * Fold alerts and crash events into a primary alert. Anything already
+ * merged into one of the folded alerts moves along with it. Returns the
+ * ids that were actually merged; rows merged elsewhere in the meantime are
+ * skipped.
+ */
+const mergeReports = async (primary, { alertIds, crashEventIds }, user) => {
+  const mergedAt = new Date().toISOString();
+  let mergedAlertIds = [];
+  let mergedCrashEventIds = [];
+
+  if (alertIds.length > 0) {
+    const { data, error } = await supabase
+      .from('alerts')
+      .update({ merged_into_id: primary.id, merged_at: mergedAt })
+      .in('id', alertIds)
+      .is('merged_into_id', null)
+      .select('id');
+
+    if (error) throw error;
+    mergedAlertIds = data.map((alert) => alert.id);
+  }
+
+  if (mergedAlertIds.length > 0) {
+    const [nestedAlerts, nestedCrashes] = await Promise.all([
+      supabase.from('alerts').update({ merged_into_id: primary.id }).in('merged_into_id', mergedAlertIds),
+      supabase.from('crash_events').update({ merged_into_alert_id: primary.id }).in('merged_into_alert_id', mergedAlertIds),
+    ]);
+    if (nestedAlerts.error) throw nestedAlerts.error;
+    if (nestedCrashes.error) throw nestedCrashes.error;
+  }
+
+  if (crashEventIds.length > 0) {
+    const { data, error } = await supabase
+      .from('crash_events')
+      .update({ merged_into_alert_id: primary.id, merged_at: mergedAt })
+      .in('id', crashEventIds)
+      .is('merged_into_alert_id', null)
+      .select('id');
+
+    if (error) throw error;
+    mergedCrashEventIds = data.map((event) => event.id);
+  }
+
+  if (mergedAlertIds.length === 0 && mergedCrashEventIds.length === 0) {
+    return { mergedAlertIds, mergedCrashEventIds };
+  }
+
+  await recordAlertEvent(primary.id, user, {
+    eventType: 'merged',
+    details: { alert_ids: mergedAlertIds, crash_event_ids: mergedCrashEventIds },
+  });
+  await Promise.all(mergedAlertIds.map((alertId) => recordAlertEvent(alertId, user, {
+    eventType: 'merged_into',
+    details: { merged_into_id: primary.id },
+  })));
+
+  return { mergedAlertIds, mergedCrashEventIds };
+};
+
+module.exports = {
+  DUPLICATE_RADIUS_M,
+  DUPLICATE_WINDOW_MINUTES,
+  CRASH_ALERT_TYPE,
+  findDuplicates,
+  announceDuplicates,
+  getMergedSources,
+  getAlertReporters,
+  mergeReports,
+};
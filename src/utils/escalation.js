@@ -0,0 +1,259 @@
+const supabase = require('../config/supabase');
+const { ALERT_SEVERITIES, severityRank } = require('../config/alerts');
+const { ALERT_TRANSITIONS } = require('../config/alertLifecycle');
+const { DEFAULT_ESCALATION_POLICIES } = require('../config/escalation');
+const { recordAlertEvent } = require('./alertTimeline');
+const { iterateKeyset } = require('./pagination');
+const { rescoreIncident } = require('./priority');
+const { getIO, SUPERVISOR_ROOM } = require('../socketInstance');
+
+const ESCALATION_POLICY_FIELDS = 'id, incident_type, severity, pending_after_minutes, unassigned_after_minutes, bump_severity, enabled, updated_by, updated_at';
+const ESCALATION_FIELDS = 'id, incident_type, incident_id, reason, level, waited_minutes, from_severity, to_severity, created_at';
+
+const OPEN_ALERT_STATUSES = Object.keys(ALERT_TRANSITIONS).filter((status) => ALERT_TRANSITIONS[status].length > 0);
+
+const INTERVAL_SECONDS = process.env.ESCALATION_INTERVAL_SECONDS !== undefined
+  ? parseInt(process.env.ESCALATION_INTERVAL_SECONDS)
+  : 60;
+
+const policyKey = (incidentType, severity) => `${incidentType}:${severity}`;
+
+/**
+ * Effective policies: the defaults, overridden by any saved policy rows
+ */
+const getEscalationPolicies = async () => {
+  const { data, error } = await supabase
+    .from('escalation_policies')
+    .select(ESCALATION_POLICY_FIELDS);
+
+  if (error) throw error;
+
+  const saved = new Map(data.map((policy) => [policyKey(policy.incident_type, policy.severity), policy]));
+  return DEFAULT_ESCALATION_POLICIES.map((policy) => ({
+    ...policy,
+    id: null,
+    updated_by: null,
+    updated_at: null,
+    ...saved.get(policyKey(policy.incident_type, policy.severity)),
+    is_default: !saved.has(policyKey(policy.incident_type, policy.severity)),
+  }));
+};
+
+/**
+ * Which threshold, if any, an incident has crossed. The clock restarts at
+ * each escalation, so an incident left alone escalates again one threshold
+ * later rather than on every run.
+ */
+const dueReason = (policy, { pending, unassigned, since }, now) => {
+  if (!policy || !policy.enabled) return null;
+
+  const waitedMinutes = Math.floor((now - new Date(since)) / 60000);
+  if (pending && policy.pending_after_minutes !== null && waitedMinutes >= policy.pending_after_minutes) {
+    return { reason: 'pending', waitedMinutes };
+  }
+  if (unassigned && policy.unassigned_after_minutes !== null && waitedMinutes >= policy.unassigned_after_minutes) {
+    return { reason: 'unassigned', waitedMinutes };
+  }
+  return null;
+};
+
+const nextSeverity = (severity) => {
+  const index = ALERT_SEVERITIES.indexOf(severity);
+  return index >= 0 && index < ALERT_SEVERITIES.length - 1 ? ALERT_SEVERITIES[index + 1] : severity;
+};
+
+/**
+ * Claim an incident for escalation. The update only applies if nobody else
+ * escalated it since it was read, so concurrent runs escalate it once.
+ */
+const claimEscalation = async (table, incident, changes) => {
+  let query = supabase
+    .from(table)
+    .update(changes)
+    .eq('id', incident.id);
+
+  query = incident.last_escalated_at
+    ? query.eq('last_escalated_at', incident.last_escalated_at)
+    : query.is('last_escalated_at', null);
+
+  const { data, error } = await query.select().maybeSingle();
+  if (error) throw error;
+  return data;
+};
+
+const recordEscalation = async (entry) => {
+  const { data, error } = await supabase
+    .from('escalations')
+    .insert([{ ...entry, created_at: new Date().toISOString() }])
+    .select(ESCALATION_FIELDS)
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+const escalateAlert = async (alert, policy, due, now) => {
+  const level = (alert.escalation_level || 0) + 1;
+  const toSeverity = policy.bump_severity ? nextSeverity(alert.severity) : alert.severity;
+
+  const updated = await claimEscalation('alerts', alert, {
+    severity: toSeverity,
+    severity_rank: severityRank(toSeverity),
+    escalation_level: level,
+    last_escalated_at: now.toISOString(),
+  });
+  if (!updated) return null;
+
+  const escalation = await recordEscalation({
+    incident_type: 'alert',
+    incident_id: alert.id,
+    reason: due.reason,
+    level,
+    waited_minutes: due.waitedMinutes,
+    from_severity: alert.severity,
+    to_severity: toSeverity,
+  });
+
+  await recordAlertEvent(alert.id, null, {
+    eventType: 'escalated',
+    details: { reason: due.reason, level, waited_minutes: due.waitedMinutes, from_severity: alert.severity, to_severity: toSeverity },
+  });
+
+  Object.assign(updated, await rescoreIncident('alert', updated, now));
+
+  getIO().to(SUPERVISOR_ROOM).emit('incident:escalated', { incident_type: 'alert', incident: updated, escalation });
+  return escalation;
+};
+
+const escalateSos = async (sos, policy, due, now) => {
+  const level = (sos.escalation_level || 0) + 1;
+
+  const updated = await claimEscalation('sos_requests', sos, {
+    escalation_level: level,
+    last_escalated_at: now.toISOString(),
+  });
+  if (!updated) return null;
+
+  const escalation = await recordEscalation({
+    incident_type: 'sos',
+    incident_id: sos.id,
+    reason: due.reason,
+    level,
+    waited_minutes: due.waitedMinutes,
+    from_severity: null,
+    to_severity: null,
+  });
+
+  Object.assign(updated, await rescoreIncident('sos', updated, now));
+
+  getIO().to(SUPERVISOR_ROOM).emit('incident:escalated', { incident_type: 'sos', incident: updated, escalation });
+  return escalation;
+};
+
+/**
+ * Check every open alert and pending SOS request against the policies and
+ * escalate the overdue ones. Returns the escalations made.
+ */
+const runEscalationCycle = async (now = new Date()) => {
+  const policies = new Map((await getEscalationPolicies())
+    .map((policy) => [policyKey(policy.incident_type, policy.severity), policy]));
+  const escalations = [];
+
+  const alerts = iterateKeyset(
+    () => supabase
+      .from('alerts')
+      .select('id, severity, status, reported_at, created_at, escalation_level, last_escalated_at')
+      .in('status', OPEN_ALERT_STATUSES)
+      .is('merged_into_id', null),
+    'id',
+    true
+  );
+
+  const staffedAlertIds = new Set();
+  const activeAssignments = iterateKeyset(
+    () => supabase
+      .from('alert_assignments')
+      .select('id, alert_id')
+      .neq('status', 'released'),
+    'id',
+    true
+  );
+
+  for await (const assignment of activeAssignments) {
+    staffedAlertIds.add(assignment.alert_id);
+  }
+
+  for await (const alert of alerts) {
+    const policy = policies.get(policyKey('alert', alert.severity));
+    const due = dueReason(policy, {
+      pending: alert.status === 'pending',
+      unassigned: !staffedAlertIds.has(alert.id),
+      since: alert.last_escalated_at || alert.reported_at || alert.created_at,
+    }, now);
+
+    if (due) {
+      const escalation = await escalateAlert(alert, policy, due, now);
+      if (escalation) escalations.push(escalation);
+    }
+  }
+
+  const sosRequests = iterateKeyset(
+    () => supabase
+      .from('sos_requests')
+      .select('id, user_id, type, status, latitude, longitude, triggered_at, escalation_level, last_escalated_at')
+      .eq('status', 'pending'),
+    'id',
+    true
+  );
+
+  for await (const sos of sosRequests) {
+    const policy = policies.get(policyKey('sos', 'any'));
+    const due = dueReason(policy, {
+      pending: true,
+      unassigned: false,
+      since: sos.last_escalated_at || sos.triggered_at,
+    }, now);
+
+    if (due) {
+      const escalation = await escalateSos(sos, policy, due, now);
+      if (escalation) escalations.push(escalation);
+    }
+  }
+
+  return escalations;
+};
+
+/**
+ * Run the escalation check every ESCALATION_INTERVAL_SECONDS (default 60;
+ * 0 turns it off). A run still in progress is never overlapped.
+ */
+const startEscalationScheduler = () => {
+  if (!INTERVAL_SECONDS || INTERVAL_SECONDS < 0) return null;
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const escalations = await runEscalationCycle();
+      if (escalations.length > 0) {
+        console.log(`Escalated ${escalations.length} overdue incident(s)`);
+      }
+    } catch (error) {
+      console.error('Escalation run error:', error);
+    } finally {
+      running = false;
+    }
+  }, INTERVAL_SECONDS * 1000);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  ESCALATION_POLICY_FIELDS,
+  ESCALATION_FIELDS,
+  getEscalationPolicies,
+  runEscalationCycle,
+  startEscalationScheduler,
+};
@@ -0,0 +1,224 @@
+/**
+ * Area filters shared by the alert, SOS and crash listings.
+ *
+ * `bbox` and the square around `near` are applied in the database on the
+ * latitude/longitude columns; the exact radius and the distance to each
+ * row are then worked out here.
+ */
+
+const EARTH_RADIUS_M = 6371008.8;
+const MAX_RADIUS_M = 200000;
+
+// Radius searches are filtered and sorted in memory, so cap how many rows a box may hold
+const MAX_GEO_CANDIDATES = 5000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+/**
+ * Great-circle distance in metres between two points
+ */
+const distanceMeters = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+const parseNumbers = (value, count) => {
+  const parts = String(value).split(',');
+  if (parts.length !== count) return null;
+  if (parts.some((part) => part.trim() === '')) return null;
+  const numbers = parts.map(Number);
+  return numbers.every(Number.isFinite) ? numbers : null;
+};
+
+const isLatitude = (value) => value >= -90 && value <= 90;
+const isLongitude = (value) => value >= -180 && value <= 180;
+
+/**
+ * Parse `near=lat,lng` + `radius_m` and `bbox=west,south,east,north` from a
+ * query string. Returns { error } on invalid input, otherwise { near, bbox }
+ * where either may be null.
+ */
+const parseGeoFilter = (query) => {
+  let near = null;
+  let bbox = null;
+
+  if (query.near !== undefined) {
+    const point = parseNumbers(query.near, 2);
+    if (!point || !isLatitude(point[0]) || !isLongitude(point[1])) {
+      return { error: 'near must be "latitude,longitude"' };
+    }
+
+    const radius = Number(query.radius_m);
+    if (!query.radius_m || !Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_M) {
+      return { error: `radius_m is required with near and must be between 1 and ${MAX_RADIUS_M}` };
+    }
+
+    near = { latitude: point[0], longitude: point[1], radius };
+  } else if (query.radius_m !== undefined) {
+    return { error: 'radius_m requires near' };
+  }
+
+  if (query.bbox !== undefined) {
+    const box = parseNumbers(query.bbox, 4);
+    if (!box) {
+      return { error: 'bbox must be "west,south,east,north"' };
+    }
+    const [west, south, east, north] = box;
+    if (!isLongitude(west) || !isLongitude(east) || !isLatitude(south) || !isLatitude(north) || south > north) {
+      return { error: 'bbox must be "west,south,east,north" with valid coordinates' };
+    }
+    bbox = { west, south, east, north };
+  }
+
+  return { near, bbox };
+};
+
+/**
+ * The box around a radius search, or null sides where it wraps a pole or
+ * the antimeridian and cannot narrow the query
+ */
+const boundsAround = ({ latitude, longitude, radius }) => {
+  const latDelta = toDegrees(radius / EARTH_RADIUS_M);
+  const south = latitude - latDelta;
+  const north = latitude + latDelta;
+
+  if (south < -90 || north > 90) {
+    return { south: Math.max(south, -90), north: Math.min(north, 90), west: null, east: null };
+  }
+
+  const lngDelta = toDegrees(Math.asin(Math.min(1, Math.sin(radius / EARTH_RADIUS_M) / Math.cos(toRadians(latitude)))));
+  const west = longitude - lngDelta;
+  const east = longitude + lngDelta;
+
+  if (west < -180 || east > 180) {
+    return { south, north, west: null, east: null };
+  }
+  return { south, north, west, east };
+};
+
+const applyBounds = (query, { west, south, east, north }) => {
+  query = query.gte('latitude', south).lte('latitude', north);
+
+  if (west === null) return query;
+  if (west <= east) {
+    return query.gte('longitude', west).lte('longitude', east);
+  }
+  // Box crossing the antimeridian
+  return query.or(`longitude.gte.${west},longitude.lte.${east}`);
+};
+
+/**
+ * Narrow a query to the requested area
+ */
+const applyGeoFilter = (query, geo) => {
+  if (geo.bbox) {
+    query = applyBounds(query, geo.bbox);
+  }
+  if (geo.near) {
+    query = applyBounds(query, boundsAround(geo.near));
+  }
+  return query;
+};
+
+/**
+ * Fetch the rows of a box-filtered query that fall inside the radius, each
+ * with distance_m from the search point. Returns { error } when the area
+ * holds too many rows to rank.
+ */
+const fetchWithinRadius = async (query, near) => {
+  const { data, error } = await query.limit(MAX_GEO_CANDIDATES + 1);
+  if (error) throw error;
+
+  if (data.length > MAX_GEO_CANDIDATES) {
+    return { error: 'Too many results in this area; use a smaller radius or more filters' };
+  }
+
+  const rows = data
+    .filter((row) => row.latitude !== null && row.longitude !== null)
+    .map((row) => ({
+      ...row,
+      distance_m: Math.round(distanceMeters(near.latitude, near.longitude, Number(row.latitude), Number(row.longitude))),
+    }))
+    .filter((row) => row.distance_m <= near.radius);
+
+  return { rows };
+};
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Geohash of a point at the given precision (number of characters)
+ */
+const encodeGeohash = (latitude, longitude, precision) => {
+  let south = -90;
+  let north = 90;
+  let west = -180;
+  let east = 180;
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    if (evenBit) {
+      const mid = (west + east) / 2;
+      value = value * 2 + (longitude >= mid ? 1 : 0);
+      if (longitude >= mid) west = mid; else east = mid;
+    } else {
+      const mid = (south + north) / 2;
+      value = value * 2 + (latitude >= mid ? 1 : 0);
+      if (latitude >= mid) south = mid; else north = mid;
+    }
+    evenBit = !evenBit;
+
+    bits += 1;
+    if (bits === 5) {
+      hash += GEOHASH_ALPHABET[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+  return hash;
+};
+
+/**
+ * The cell a geohash covers, as { west, south, east, north }
+ */
+const geohashBounds = (hash) => {
+  let south = -90;
+  let north = 90;
+  let west = -180;
+  let east = 180;
+  let evenBit = true;
+
+  for (const char of hash) {
+    const value = GEOHASH_ALPHABET.indexOf(char);
+    for (let bit = 4; bit >= 0; bit -= 1) {
+      const on = (value >> bit) & 1;
+      if (evenBit) {
+        const mid = (west + east) / 2;
+        if (on) west = mid; else east = mid;
+      } else {
+        const mid = (south + north) / 2;
+        if (on) south = mid; else north = mid;
+      }
+      evenBit = !evenBit;
+    }
+  }
+  return { west, south, east, north };
+};
+
+module.exports = {
+  MAX_RADIUS_M,
+  MAX_GEO_CANDIDATES,
+  distanceMeters,
+  parseGeoFilter,
+  applyGeoFilter,
+  fetchWithinRadius,
+  encodeGeohash,
+  geohashBounds,
+};
@@ -0,0 +1,124 @@
+const { csvRow } = require('./csv');
+
+const EXPORT_FORMATS = ['csv', 'geojson', 'kml'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  geojson: 'application/geo+json; charset=utf-8',
+  kml: 'application/vnd.google-earth.kml+xml; charset=utf-8',
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const textValue = (value) => (typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+// [longitude, latitude], or null when the row has no usable position
+const position = (row) => {
+  const longitude = Number(row.longitude);
+  const latitude = Number(row.latitude);
+  if (row.longitude === null || row.latitude === null || !Number.isFinite(longitude) || !Number.isFinite(latitude)) {
+    return null;
+  }
+  return [longitude, latitude];
+};
+
+const pick = (row, columns) => Object.fromEntries(columns.map((column) => [column, row[column] ?? null]));
+
+/**
+ * Header, one chunk per row, and footer for each format. `label` names a
+ * KML placemark; `timeColumn` becomes its timestamp.
+ */
+const writers = {
+  csv: ({ columns }) => ({
+    header: csvRow(columns),
+    row: (row) => csvRow(columns.map((column) => row[column])),
+    footer: '',
+  }),
+
+  geojson: ({ columns }) => {
+    let first = true;
+    return {
+      header: '{"type":"FeatureCollection","features":[',
+      row: (row) => {
+        const coordinates = position(row);
+        const feature = JSON.stringify({
+          type: 'Feature',
+          id: row.id,
+          geometry: coordinates ? { type: 'Point', coordinates } : null,
+          properties: pick(row, columns),
+        });
+        const chunk = first ? feature : `,${feature}`;
+        first = false;
+        return chunk;
+      },
+      footer: ']}',
+    };
+  },
+
+  kml: ({ columns, name, label, timeColumn }) => ({
+    header: '<?xml version="1.0" encoding="UTF-8"?>\n'
+      + '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>'
+      + `<name>${escapeXml(name)}</name>\n`,
+    row: (row) => {
+      const coordinates = position(row);
+      const data = columns
+        .filter((column) => row[column] !== null && row[column] !== undefined)
+        .map((column) => `<Data name="${escapeXml(column)}"><value>${escapeXml(textValue(row[column]))}</value></Data>`)
+        .join('');
+
+      return `<Placemark id="${escapeXml(`${name}-${row.id}`)}">`
+        + `<name>${escapeXml(label(row))}</name>`
+        + (row[timeColumn] ? `<TimeStamp><when>${escapeXml(row[timeColumn])}</when></TimeStamp>` : '')
+        + `<ExtendedData>${data}</ExtendedData>`
+        + (coordinates ? `<Point><coordinates>${coordinates.join(',')}</coordinates></Point>` : '')
+        + '</Placemark>\n';
+    },
+    footer: '</Document></kml>\n',
+  }),
+};
+
+/**
+ * Wait until the response can take more data, or the client has gone
+ */
+const drained = (res) => new Promise((resolve) => {
+  const settle = () => {
+    res.off('drain', settle);
+    res.off('close', settle);
+    resolve();
+  };
+  res.on('drain', settle);
+  res.on('close', settle);
+});
+
+/**
+ * Stream rows (an array or async iterable) to the response as a file
+ * download in the given format, waiting for the client to drain so large
+ * exports are never held in memory. Stops early if the client disconnects.
+ */
+const streamExport = async (res, rows, { format, name, columns, label, timeColumn }) => {
+  const writer = writers[format]({ columns, name, label, timeColumn });
+  const write = async (chunk) => {
+    if (chunk && !res.write(chunk) && !res.destroyed) {
+      await drained(res);
+    }
+  };
+
+  res.set('Content-Type', CONTENT_TYPES[format]);
+  res.set('Content-Disposition', `attachment; filename="${name}-${new Date().toISOString().slice(0, 10)}.${format}"`);
+
+  await write(writer.header);
+  for await (const row of rows) {
+    if (res.destroyed) return;
+    await write(writer.row(row));
+  }
+  if (res.destroyed) return;
+  await write(writer.footer);
+  res.end();
+};
+
+module.exports = { EXPORT_FORMATS, drained, streamExport };
@@ -0,0 +1,160 @@
+const supabase = require('../config/supabase');
+const { hashToken } = require('./tokens');
+
+const WINDOW_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const MAX_FAILURES_PER_EMAIL = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const MAX_FAILURES_PER_IP = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20;
+const DELAY_AFTER_FAILURES = 3;
+const MAX_RESETS_PER_EMAIL = parseInt(process.env.PASSWORD_RESET_MAX_ATTEMPTS) || 3;
+
+/**
+ * Work out whether a list of recent failures (newest first) blocks another
+ * attempt. Past delayAfter failures each one doubles the wait; at the limit
+ * the key is locked for the rest of the window.
+ */
+const evaluateFailures = (failures, maxFailures, delayAfter = Infinity) => {
+  if (failures.length === 0) return null;
+
+  const lastFailure = new Date(failures[0].created_at).getTime();
+  const now = Date.now();
+
+  if (failures.length >= maxFailures) {
+    const lockedUntil = lastFailure + WINDOW_MINUTES * 60 * 1000;
+    if (lockedUntil > now) {
+      return { locked: true, retry_after: Math.ceil((lockedUntil - now) / 1000) };
+    }
+    return null;
+  }
+
+  if (failures.length >= delayAfter) {
+    const delaySeconds = 2 ** (failures.length - delayAfter);
+    const waitUntil = lastFailure + delaySeconds * 1000;
+    if (waitUntil > now) {
+      return { locked: false, retry_after: Math.ceil((waitUntil - now) / 1000) };
+    }
+  }
+
+  return null;
+};
+
+const recentFailures = async (column, value) => {
+  const since = new Date(Date.now() - WINDOW_MINUTES * 60 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from('login_attempts')
+    .select('created_at')
+    .eq(column, value)
+    .eq('succeeded', false)
+    .is('cleared_at', null)
+    .gte('created_at', since)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data;
+};
+
+const recentResetRequests = async (column, value) => {
+  const since = new Date(Date.now() - WINDOW_MINUTES * 60 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from('password_reset_requests')
+    .select('created_at')
+    .eq(column, value)
+    .gte('created_at', since)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data;
+};
+
+const combineBlocks = (results) => {
+  const blocks = results.filter(Boolean);
+  if (blocks.length === 0) return null;
+
+  return {
+    locked: blocks.some((block) => block.locked),
+    retry_after: Math.max(...blocks.map((block) => block.retry_after)),
+  };
+};
+
+/**
+ * Check whether a login for this email/IP pair may proceed.
+ * Returns null when allowed, otherwise { locked, retry_after }.
+ * Lookups are keyed on the submitted email, so unknown addresses are
+ * throttled exactly like real ones.
+ */
+const checkLoginThrottle = async (email, ip) => {
+  const [byEmail, byIp] = await Promise.all([
+    recentFailures('email', email.toLowerCase()),
+    recentFailures('ip_address', ip),
+  ]);
+
+  return combineBlocks([
+    evaluateFailures(byEmail, MAX_FAILURES_PER_EMAIL, DELAY_AFTER_FAILURES),
+    // Many users can share an IP (carrier NAT), so IPs only get the hard limit
+    evaluateFailures(byIp, MAX_FAILURES_PER_IP),
+  ]);
+};
+
+/**
+ * The login limits applied to password reset requests, counted separately
+ * so asking for a reset never locks the account. Like logins, keyed on the
+ * submitted email whether or not it is registered.
+ */
+const checkResetThrottle = async (email, ip) => {
+  const [byEmail, byIp] = await Promise.all([
+    recentResetRequests('email_hash', hashToken(email.toLowerCase())),
+    recentResetRequests('ip_address', ip),
+  ]);
+
+  return combineBlocks([
+    evaluateFailures(byEmail, MAX_RESETS_PER_EMAIL),
+    evaluateFailures(byIp, MAX_FAILURES_PER_IP),
+  ]);
+};
+
+// The email is stored hashed; the row only matters for the throttle window
+const recordResetRequest = async (email, ip) => {
+  const { error } = await supabase
+    .from('password_reset_requests')
+    .insert([{ email_hash: hashToken(email.toLowerCase()), ip_address: ip }]);
+
+  if (error) throw error;
+};
+
+const recordLoginAttempt = async ({ email, ip, userAgent, userId = null, succeeded }) => {
+  const { error } = await supabase
+    .from('login_attempts')
+    .insert([{
+      email: email.toLowerCase(),
+      ip_address: ip,
+      user_agent: userAgent || null,
+      user_id: userId,
+      succeeded,
+    }]);
+
+  if (error) throw error;
+};
+
+/**
+ * Forget outstanding failures for an email, after a successful login or an
+ * admin unlock. Rows are kept for the attempt history.
+ */
+const clearLoginFailures = async (email) => {
+  const { error } = await supabase
+    .from('login_attempts')
+    .update({ cleared_at: new Date().toISOString() })
+    .eq('email', email.toLowerCase())
+    .eq('succeeded', false)
+    .is('cleared_at', null);
+
+  if (error) throw error;
+};
+
+module.exports = {
+  checkLoginThrottle,
+  recordLoginAttempt,
+  clearLoginFailures,
+  checkResetThrottle,
+  recordResetRequest,
+};
@@ -0,0 +1,57 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Mail transports are plain objects with an async send(message) method.
+ * Deployments pick one with MAIL_TRANSPORT; real providers can be plugged in
+ * at startup through registerTransport().
+ */
+const transports = {
+  // Prints the message to the server log (default for local development)
+  console: {
+    send: async (message) => {
+      console.log('--- Outgoing mail ---');
+      console.log(`To: ${message.to}`);
+      console.log(`Subject: ${message.subject}`);
+      console.log(message.text);
+      console.log('---------------------');
+    },
+  },
+
+  // Writes each message as a JSON file into MAIL_OUTBOX_DIR
+  file: {
+    send: async (message) => {
+      const dir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox');
+      await fs.mkdir(dir, { recursive: true });
+
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+      await fs.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+    },
+  },
+};
+
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`Mail transport "${name}" must implement send()`);
+  }
+  transports[name] = transport;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  await transport.send({
+    from: process.env.MAIL_FROM || 'RescueLink <no-reply@rescuelink.com>',
+    to,
+    subject,
+    text,
+    sent_at: new Date().toISOString(),
+  });
+};
+
+module.exports = { sendMail, registerTransport };
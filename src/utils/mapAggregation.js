@@ -0,0 +1,258 @@
+const supabase = require('../config/supabase');
+const { can } = require('../middleware/permissions');
+const { ALERT_SEVERITIES } = require('../config/alerts');
+const {
+  MAP_SOURCES,
+  DEFAULT_RANGE_DAYS,
+  MIN_PRECISION,
+  MAX_PRECISION,
+  ZOOM_PRECISION,
+  DEFAULT_CLUSTER_PRECISION,
+  HEATMAP_EXTRA_PRECISION,
+  HEATMAP_WEIGHTS,
+} = require('../config/map');
+const { CRASH_ALERT_TYPE } = require('./duplicates');
+const { iterateKeyset } = require('./pagination');
+const { parseGeoFilter, applyGeoFilter, distanceMeters, encodeGeohash, geohashBounds } = require('./geo');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Where each source is read from. Crash events have no type of their own
+// and count as accidents, as they do when matched against alerts.
+const SOURCE_QUERIES = {
+  alert: {
+    table: 'alerts',
+    select: 'id, user_id, alert_type, severity, latitude, longitude, reported_at',
+    timeColumn: 'reported_at',
+    typeColumn: 'alert_type',
+    mergedColumn: 'merged_into_id',
+    viewAll: 'alert.view_all',
+  },
+  sos: {
+    table: 'sos_requests',
+    select: 'id, user_id, type, latitude, longitude, triggered_at',
+    timeColumn: 'triggered_at',
+    typeColumn: 'type',
+    mergedColumn: null,
+    viewAll: 'sos.view_all',
+  },
+  crash: {
+    table: 'crash_events',
+    select: 'id, user_id, latitude, longitude, triggered_at',
+    timeColumn: 'triggered_at',
+    typeColumn: null,
+    mergedColumn: 'merged_into_alert_id',
+    viewAll: 'crash.view_all',
+  },
+};
+
+const parseList = (value) => (value ? String(value).split(',').map((item) => item.trim()).filter(Boolean) : []);
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date.toISOString();
+};
+
+/**
+ * Parse and validate the clusters/heatmap query string. Returns { error }
+ * on invalid input.
+ */
+const parseMapOptions = (query, { heatmap = false } = {}) => {
+  const sources = query.source ? parseList(query.source) : MAP_SOURCES;
+  if (sources.length === 0 || !sources.every((source) => MAP_SOURCES.includes(source))) {
+    return { error: `source must be one or more of: ${MAP_SOURCES.join(', ')}` };
+  }
+
+  const severities = parseList(query.severity);
+  if (!severities.every((severity) => ALERT_SEVERITIES.includes(severity))) {
+    return { error: `severity must be one or more of: ${ALERT_SEVERITIES.join(', ')}` };
+  }
+
+  const to = parseDate(query.to);
+  const from = parseDate(query.from);
+  if (from === undefined || to === undefined) {
+    return { error: 'from and to must be valid dates' };
+  }
+
+  const geo = parseGeoFilter(query);
+  if (geo.error) {
+    return { error: geo.error };
+  }
+
+  let precision;
+  if (query.precision !== undefined) {
+    precision = Number(query.precision);
+    if (!Number.isInteger(precision) || precision < MIN_PRECISION || precision > MAX_PRECISION) {
+      return { error: `precision must be a whole number from ${MIN_PRECISION} to ${MAX_PRECISION}` };
+    }
+  } else if (query.zoom !== undefined) {
+    const zoom = Number(query.zoom);
+    if (!Number.isInteger(zoom) || zoom < 0 || zoom >= ZOOM_PRECISION.length) {
+      return { error: `zoom must be a whole number from 0 to ${ZOOM_PRECISION.length - 1}` };
+    }
+    precision = ZOOM_PRECISION[zoom];
+    if (heatmap) precision = Math.min(precision + HEATMAP_EXTRA_PRECISION, MAX_PRECISION);
+  } else {
+    precision = heatmap
+      ? Math.min(DEFAULT_CLUSTER_PRECISION + HEATMAP_EXTRA_PRECISION, MAX_PRECISION)
+      : DEFAULT_CLUSTER_PRECISION;
+  }
+
+  const end = to || new Date().toISOString();
+  return {
+    sources,
+    types: parseList(query.type),
+    severities,
+    from: from || new Date(new Date(end).getTime() - DEFAULT_RANGE_DAYS * DAY_MS).toISOString(),
+    to,
+    geo,
+    precision,
+  };
+};
+
+/**
+ * Every incident matching the options that the user may see and that has a
+ * position, as { source, id, type, severity, latitude, longitude }.
+ * Severity filters only match alerts, so they leave SOS requests and crash
+ * events out; merged duplicates count through the alert they joined.
+ */
+async function* iterateIncidents(options, user) {
+  for (const source of options.sources) {
+    const config = SOURCE_QUERIES[source];
+
+    if (options.severities.length > 0 && source !== 'alert') continue;
+    if (source === 'crash' && options.types.length > 0 && !options.types.includes(CRASH_ALERT_TYPE)) continue;
+
+    const rows = iterateKeyset(
+      () => {
+        let query = supabase
+          .from(config.table)
+          .select(config.select)
+          .gte(config.timeColumn, options.from);
+
+        if (options.to) query = query.lte(config.timeColumn, options.to);
+        if (config.mergedColumn) query = query.is(config.mergedColumn, null);
+        if (config.typeColumn && options.types.length > 0) query = query.in(config.typeColumn, options.types);
+        if (source === 'alert' && options.severities.length > 0) query = query.in('severity', options.severities);
+        if (source === 'crash') query = query.eq('event_type', 'AUTO_CRASH');
+        if (!can(user, config.viewAll)) query = query.eq('user_id', user.id);
+
+        return applyGeoFilter(query, options.geo);
+      },
+      'id',
+      true
+    );
+
+    for await (const row of rows) {
+      if (row.latitude === null || row.longitude === null) continue;
+
+      const latitude = Number(row.latitude);
+      const longitude = Number(row.longitude);
+      const { near } = options.geo;
+      if (near && distanceMeters(near.latitude, near.longitude, latitude, longitude) > near.radius) continue;
+
+      yield {
+        source,
+        id: row.id,
+        type: config.typeColumn ? row[config.typeColumn] : CRASH_ALERT_TYPE,
+        severity: row.severity || null,
+        latitude,
+        longitude,
+      };
+    }
+  }
+}
+
+const heatWeight = (incident) => (incident.source === 'alert'
+  ? HEATMAP_WEIGHTS.alert[incident.severity] || 1
+  : HEATMAP_WEIGHTS[incident.source]);
+
+const round = (value) => Number(value.toFixed(6));
+
+/**
+ * Incident counts per geohash cell, placed at the average position of the
+ * incidents in it. A cell holding a single incident names it so the map
+ * can draw a marker instead of a cluster.
+ */
+const clusterIncidents = async (options, user) => {
+  const cells = new Map();
+  let total = 0;
+
+  for await (const incident of iterateIncidents(options, user)) {
+    const hash = encodeGeohash(incident.latitude, incident.longitude, options.precision);
+    if (!cells.has(hash)) {
+      cells.set(hash, { count: 0, latitudeSum: 0, longitudeSum: 0, bySource: {}, bySeverity: {}, first: incident });
+    }
+
+    const cell = cells.get(hash);
+    cell.count += 1;
+    cell.latitudeSum += incident.latitude;
+    cell.longitudeSum += incident.longitude;
+    cell.bySource[incident.source] = (cell.bySource[incident.source] || 0) + 1;
+    if (incident.severity) {
+      cell.bySeverity[incident.severity] = (cell.bySeverity[incident.severity] || 0) + 1;
+    }
+    total += 1;
+  }
+
+  const clusters = [...cells.entries()].map(([hash, cell]) => ({
+    geohash: hash,
+    count: cell.count,
+    latitude: round(cell.latitudeSum / cell.count),
+    longitude: round(cell.longitudeSum / cell.count),
+    bounds: geohashBounds(hash),
+    by_source: cell.bySource,
+    by_severity: cell.bySeverity,
+    incident: cell.count === 1
+      ? { source: cell.first.source, id: cell.first.id, type: cell.first.type, severity: cell.first.severity }
+      : null,
+  }));
+
+  clusters.sort((a, b) => b.count - a.count || (a.geohash < b.geohash ? -1 : 1));
+  return { precision: options.precision, total, clusters };
+};
+
+/**
+ * Weighted heatmap points: incidents binned into fine geohash cells, each
+ * point carrying the summed weight of its incidents
+ */
+const heatmapPoints = async (options, user) => {
+  const cells = new Map();
+  let total = 0;
+
+  for await (const incident of iterateIncidents(options, user)) {
+    const hash = encodeGeohash(incident.latitude, incident.longitude, options.precision);
+    if (!cells.has(hash)) {
+      cells.set(hash, { count: 0, weight: 0, latitudeSum: 0, longitudeSum: 0 });
+    }
+
+    const cell = cells.get(hash);
+    cell.count += 1;
+    cell.weight += heatWeight(incident);
+    cell.latitudeSum += incident.latitude;
+    cell.longitudeSum += incident.longitude;
+    total += 1;
+  }
+
+  const points = [...cells.values()].map((cell) => ({
+    latitude: round(cell.latitudeSum / cell.count),
+    longitude: round(cell.longitudeSum / cell.count),
+    weight: cell.weight,
+    count: cell.count,
+  }));
+
+  points.sort((a, b) => b.weight - a.weight);
+  return {
+    precision: options.precision,
+    total,
+    max_weight: points.length > 0 ? points[0].weight : 0,
+    points,
+  };
+};
+
+module.exports = {
+  parseMapOptions,
+  clusterIncidents,
+  heatmapPoints,
+};
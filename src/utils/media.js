@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const sharp = require('sharp');
+const exifr = require('exifr');
+
+const MB = 1024 * 1024;
+
+/**
+ * Accepted uploads. The type is taken from the file contents, not from the
+ * client's declared mimetype, and the two must at least agree on the kind.
+ */
+const MEDIA_TYPES = {
+  'image/jpeg': { kind: 'image', ext: 'jpg' },
+  'image/png': { kind: 'image', ext: 'png' },
+  'image/webp': { kind: 'image', ext: 'webp' },
+  'video/mp4': { kind: 'video', ext: 'mp4' },
+  'video/quicktime': { kind: 'video', ext: 'mov' },
+  'video/webm': { kind: 'video', ext: 'webm' },
+  'audio/mpeg': { kind: 'audio', ext: 'mp3' },
+  'audio/mp4': { kind: 'audio', ext: 'm4a' },
+  'audio/ogg': { kind: 'audio', ext: 'ogg' },
+  'audio/wav': { kind: 'audio', ext: 'wav' },
+  'audio/webm': { kind: 'audio', ext: 'webm' },
+};
+
+const MAX_SIZE_BYTES = {
+  image: (parseInt(process.env.MEDIA_MAX_IMAGE_MB) || 10) * MB,
+  video: (parseInt(process.env.MEDIA_MAX_VIDEO_MB) || 50) * MB,
+  audio: (parseInt(process.env.MEDIA_MAX_AUDIO_MB) || 15) * MB,
+};
+
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(MAX_SIZE_BYTES));
+const THUMBNAIL_SIZE = 320;
+
+const kindOf = (mimetype = '') => mimetype.split('/')[0];
+
+/**
+ * Identify a file from its leading bytes
+ */
+const sniffContentType = (buffer, declared = '') => {
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+
+  if (buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.readUInt32BE(0) === 0x89504e47) return 'image/png';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'audio/wav';
+  if (ascii(0, 4) === 'OggS') return 'audio/ogg';
+  // WebM carries audio-only and video recordings alike
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) return kindOf(declared) === 'audio' ? 'audio/webm' : 'video/webm';
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (brand === 'qt  ') return 'video/quicktime';
+    if (brand === 'M4A ' || brand === 'M4B ') return 'audio/mp4';
+    return 'video/mp4';
+  }
+  if (ascii(0, 3) === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) return 'audio/mpeg';
+  return null;
+};
+
+/**
+ * The first bytes of a file, enough for sniffContentType()
+ */
+const readHead = async (filePath, length = 16) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Read GPS coordinates from image EXIF, if any
+ */
+const extractGps = async (filePath) => {
+  try {
+    const gps = await exifr.gps(filePath);
+    if (!gps || !Number.isFinite(gps.latitude) || !Number.isFinite(gps.longitude)) return null;
+    return { latitude: gps.latitude, longitude: gps.longitude };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Validate an uploaded file (multer disk file) and prepare what gets
+ * stored. Images are re-encoded into `buffer`, which applies the EXIF
+ * orientation and drops all metadata including GPS; the coordinates are
+ * returned separately so they can be kept on the attachment. Video and
+ * audio are stored as uploaded from `path`, with no buffer or thumbnail.
+ */
+const prepareUpload = async (file) => {
+  const contentType = sniffContentType(await readHead(file.path), file.mimetype);
+  const type = MEDIA_TYPES[contentType];
+
+  if (!type) {
+    return { error: `${file.originalname}: unsupported file type` };
+  }
+  if (kindOf(file.mimetype) !== type.kind) {
+    return { error: `${file.originalname}: content does not match the declared type ${file.mimetype}` };
+  }
+  if (file.size > MAX_SIZE_BYTES[type.kind]) {
+    return { error: `${file.originalname}: ${type.kind} files are limited to ${MAX_SIZE_BYTES[type.kind] / MB} MB` };
+  }
+
+  const id = crypto.randomUUID();
+  const prepared = {
+    id,
+    kind: type.kind,
+    content_type: contentType,
+    ext: type.ext,
+    path: file.path,
+    buffer: null,
+    thumbnail: null,
+    width: null,
+    height: null,
+    gps: null,
+  };
+
+  if (type.kind !== 'image') {
+    return prepared;
+  }
+
+  try {
+    prepared.gps = await extractGps(file.path);
+
+    const { data, info } = await sharp(file.path).rotate().toBuffer({ resolveWithObject: true });
+    prepared.buffer = data;
+    prepared.width = info.width;
+    prepared.height = info.height;
+
+    prepared.thumbnail = await sharp(data)
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 75 })
+      .toBuffer();
+  } catch (error) {
+    return { error: `${file.originalname}: image could not be processed` };
+  }
+
+  return prepared;
+};
+
+module.exports = {
+  MEDIA_TYPES,
+  MAX_SIZE_BYTES,
+  MAX_UPLOAD_BYTES,
+  prepareUpload,
+};
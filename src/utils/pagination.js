@@ -0,0 +1,128 @@
+/**
+ * Keyset (cursor) pagination helpers.
+ *
+ * A cursor is the sort value and id of the last row of a page, encoded as
+ * opaque base64url JSON. The next page starts strictly after that row in
+ * the (sort column, id) order, so rows inserted meanwhile never shift pages.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const parseLimit = (value, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) => {
+  const limit = parseInt(value);
+  if (!limit || limit < 1) return defaultLimit;
+  return Math.min(limit, maxLimit);
+};
+
+const encodeCursor = (row, column) => {
+  return Buffer.from(JSON.stringify({ v: row[column] ?? null, id: row.id })).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    // The id goes into filter strings, so only plain integers are accepted
+    if (!decoded || !Number.isSafeInteger(decoded.id)) return null;
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+// PostgREST logic-tree values are quoted so commas, dots and colons are safe
+const quoteFilterValue = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * Restrict a query to the rows after a decoded cursor, for a listing
+ * ordered by column then id (same direction, nulls last)
+ */
+const applyCursor = (query, cursor, column, ascending) => {
+  const op = ascending ? 'gt' : 'lt';
+
+  if (cursor.v === null) {
+    // Nulls sort last in either direction here, so only ids are left to page through
+    return query.is(column, null)[op]('id', cursor.id);
+  }
+
+  return query.or(
+    `${column}.${op}.${quoteFilterValue(cursor.v)},and(${column}.eq.${quoteFilterValue(cursor.v)},id.${op}.${quoteFilterValue(cursor.id)}),${column}.is.null`
+  );
+};
+
+/**
+ * Order two (value, id) keys the way the database listings do: by value
+ * then id in the given direction, nulls last
+ */
+const compareKeys = (aValue, aId, bValue, bId, ascending) => {
+  const aNull = aValue === null || aValue === undefined;
+  const bNull = bValue === null || bValue === undefined;
+  if (aNull !== bNull) return aNull ? 1 : -1;
+
+  const direction = ascending ? 1 : -1;
+  if (!aNull && aValue !== bValue) return (aValue < bValue ? -1 : 1) * direction;
+  return (aId < bId ? -1 : aId > bId ? 1 : 0) * direction;
+};
+
+/**
+ * Sort and page rows that had to be filtered in memory, with the same
+ * cursor and offset semantics as the database listings
+ */
+const paginateRows = (rows, { column, ascending, cursor, limit, offset = 0 }) => {
+  let sorted = [...rows].sort((a, b) => compareKeys(a[column], a.id, b[column], b.id, ascending));
+
+  if (cursor) {
+    sorted = sorted.filter((row) => compareKeys(row[column], row.id, cursor.v, cursor.id, ascending) > 0);
+  }
+
+  const start = cursor ? 0 : offset;
+  const data = sorted.slice(start, start + limit);
+  return {
+    data,
+    total: rows.length,
+    nextCursor: data.length === limit ? encodeCursor(data[data.length - 1], column) : null,
+  };
+};
+
+/**
+ * Walk every row of a listing page by page, for streaming large result
+ * sets without holding them in memory. buildQuery() must return a fresh,
+ * filtered query each time; ordering is added here.
+ */
+async function* iterateKeyset(buildQuery, column, ascending, { pageSize = 500, cursor = null } = {}) {
+  let after = cursor;
+
+  for (;;) {
+    let query = buildQuery()
+      .order(column, { ascending, nullsFirst: false })
+      .order('id', { ascending })
+      .limit(pageSize);
+
+    if (after) {
+      query = applyCursor(query, after, column, ascending);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    for (const row of data) {
+      yield row;
+    }
+
+    if (data.length < pageSize) return;
+    const last = data[data.length - 1];
+    after = { v: last[column] ?? null, id: last.id };
+  }
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  applyCursor,
+  quoteFilterValue,
+  paginateRows,
+  iterateKeyset,
+};
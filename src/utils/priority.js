@@ -0,0 +1,292 @@
+const supabase = require('../config/supabase');
+const { DEFAULT_PRIORITY_WEIGHTS } = require('../config/priority');
+const { OPEN_INCIDENT_STATUSES } = require('../config/analytics');
+const { CRASH_ALERT_TYPE } = require('./duplicates');
+const { iterateKeyset } = require('./pagination');
+const { getIO, STAFF_ROOM } = require('../socketInstance');
+
+const PRIORITY_WEIGHT_FIELDS = 'id, factor, weight, updated_by, updated_at';
+
+const INTERVAL_SECONDS = process.env.PRIORITY_INTERVAL_SECONDS !== undefined
+  ? parseInt(process.env.PRIORITY_INTERVAL_SECONDS)
+  : 60;
+
+// Where each incident type is read from, with the columns its score uses
+const PRIORITY_SOURCES = {
+  alert: {
+    table: 'alerts',
+    select: 'id, alert_type, severity, status, merged_into_id, escalation_level, reported_at, created_at, priority_score, priority_reasons',
+  },
+  sos: {
+    table: 'sos_requests',
+    select: 'id, type, status, escalation_level, triggered_at, priority_score, priority_reasons',
+  },
+  crash: {
+    table: 'crash_events',
+    select: 'id, status, merged_into_alert_id, impact_force, stillness_duration, movement_detected, triggered_at, priority_score, priority_reasons',
+  },
+};
+
+/**
+ * Effective weights: the defaults, overridden by any saved weight rows
+ */
+const getPriorityWeights = async () => {
+  const { data, error } = await supabase
+    .from('priority_weights')
+    .select(PRIORITY_WEIGHT_FIELDS);
+
+  if (error) throw error;
+
+  const saved = new Map(data.map((row) => [row.factor, row]));
+  return DEFAULT_PRIORITY_WEIGHTS.map((weight) => ({
+    ...weight,
+    id: null,
+    updated_by: null,
+    updated_at: null,
+    ...saved.get(weight.factor),
+    is_default: !saved.has(weight.factor),
+  }));
+};
+
+const getWeightMap = async () => Object.fromEntries(
+  (await getPriorityWeights()).map((weight) => [weight.factor, Number(weight.weight)])
+);
+
+const minutesSince = (time, now) => Math.max(Math.floor((now - new Date(time)) / 60000), 0);
+
+/**
+ * Score an incident from its row. Returns { score, reasons }, reasons
+ * being { factor, points, detail } for every factor that added points,
+ * largest first. `staffed` says whether an alert has a unit on it through
+ * alert_assignments.
+ */
+const scoreIncident = (incidentType, incident, weights, { staffed = false, now = new Date() } = {}) => {
+  const merged = incident.merged_into_id || incident.merged_into_alert_id;
+  if (merged || !OPEN_INCIDENT_STATUSES[incidentType].includes(incident.status)) {
+    return { score: 0, reasons: [] };
+  }
+
+  const reasons = [];
+  const add = (factor, points, detail) => {
+    const rounded = Math.round(points);
+    if (rounded !== 0) reasons.push({ factor, points: rounded, detail });
+  };
+
+  if (incidentType === 'alert') {
+    const factor = `severity_${incident.severity}`;
+    if (Object.hasOwn(weights, factor)) add(factor, weights[factor], `${incident.severity} severity`);
+  } else if (incidentType === 'sos') {
+    add('sos_base', weights.sos_base, 'SOS request');
+  } else {
+    add('crash_base', weights.crash_base, 'Automatic crash detection');
+  }
+
+  // Crash events have no type of their own and count as accidents
+  const type = { alert: incident.alert_type, sos: incident.type, crash: CRASH_ALERT_TYPE }[incidentType];
+  const typeFactor = type && Object.hasOwn(weights, `type_${type}`) ? `type_${type}` : 'type_other';
+  add(typeFactor, weights[typeFactor], `${type || 'unknown'} incident`);
+
+  if (incidentType === 'crash') {
+    const impact = Number(incident.impact_force);
+    if (incident.impact_force !== null && incident.impact_force !== undefined && impact > 0) {
+      add('crash_impact_per_g', Math.min(impact * weights.crash_impact_per_g, weights.crash_impact_max), `${impact} g impact`);
+    }
+
+    const stillSeconds = Number(incident.stillness_duration);
+    if (incident.stillness_duration !== null && incident.stillness_duration !== undefined && stillSeconds > 0) {
+      add(
+        'crash_stillness_per_minute',
+        Math.min((stillSeconds / 60) * weights.crash_stillness_per_minute, weights.crash_stillness_max),
+        `Still for ${stillSeconds} s after the crash`
+      );
+    }
+
+    if (incident.movement_detected === false) {
+      add('crash_no_movement', weights.crash_no_movement, 'No movement after the crash');
+    } else if (incident.movement_detected === true) {
+      add('crash_movement', weights.crash_movement, 'Movement after the crash');
+    }
+  }
+
+  if (incident.status === 'pending') {
+    const waited = minutesSince(incident.reported_at || incident.created_at || incident.triggered_at, now);
+    add('wait_per_minute', Math.min(waited * weights.wait_per_minute, weights.wait_max), `Pending for ${waited} min`);
+  }
+
+  if (incidentType === 'alert' && !staffed) {
+    add('unassigned', weights.unassigned, 'No unit assigned');
+  }
+
+  if (incident.escalation_level > 0) {
+    add(
+      'escalation_per_level',
+      incident.escalation_level * weights.escalation_per_level,
+      `Escalated ${incident.escalation_level} time${incident.escalation_level === 1 ? '' : 's'}`
+    );
+  }
+
+  reasons.sort((a, b) => b.points - a.points);
+  return { score: reasons.reduce((sum, reason) => sum + reason.points, 0), reasons };
+};
+
+const isStaffed = async (alertId) => {
+  const { data, error } = await supabase
+    .from('alert_assignments')
+    .select('id')
+    .eq('alert_id', alertId)
+    .neq('status', 'released')
+    .limit(1);
+
+  if (error) throw error;
+  return data.length > 0;
+};
+
+/**
+ * Store a score on an incident and tell staff when it moved. Returns the
+ * priority columns as saved.
+ */
+const savePriority = async (incidentType, incident, { score, reasons }, now) => {
+  const fields = {
+    priority_score: score,
+    priority_reasons: reasons,
+    priority_scored_at: now.toISOString(),
+  };
+
+  const { error } = await supabase
+    .from(PRIORITY_SOURCES[incidentType].table)
+    .update(fields)
+    .eq('id', incident.id);
+
+  if (error) throw error;
+
+  if (incident.priority_score !== score) {
+    getIO().to(STAFF_ROOM).emit('incident:priority_changed', {
+      incident_type: incidentType,
+      incident_id: incident.id,
+      ...fields,
+    });
+  }
+
+  return fields;
+};
+
+/**
+ * Rescore one incident after it changed. `incident` is its current row,
+ * which must include the columns its score uses. Returns the priority
+ * columns as saved, for merging into the row sent back to the client.
+ * The incident itself is already saved, so a failure is logged and gives
+ * {}; the next scheduled run scores it instead.
+ */
+const rescoreIncident = async (incidentType, incident, now = new Date()) => {
+  try {
+    const weights = await getWeightMap();
+    const staffed = incidentType === 'alert' ? await isStaffed(incident.id) : false;
+
+    return await savePriority(incidentType, incident, scoreIncident(incidentType, incident, weights, { staffed, now }), now);
+  } catch (error) {
+    console.error(`Priority scoring failed (${incidentType} ${incident.id}):`, error);
+    return {};
+  }
+};
+
+/**
+ * Rescore an incident by id, after changes that did not return its row,
+ * such as units being assigned to an alert. Best-effort, like
+ * rescoreIncident().
+ */
+const rescoreIncidentById = async (incidentType, id) => {
+  const source = PRIORITY_SOURCES[incidentType];
+  const { data, error } = await supabase
+    .from(source.table)
+    .select(source.select)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`Priority scoring failed (${incidentType} ${id}):`, error);
+    return null;
+  }
+  return data ? rescoreIncident(incidentType, data) : null;
+};
+
+/**
+ * Rescore every open incident, merged duplicates included so they drop to
+ * 0. Scores are only written when they or their reasons changed. Returns
+ * how many incidents were rescored.
+ */
+const runPriorityCycle = async (now = new Date()) => {
+  const weights = await getWeightMap();
+
+  const staffedAlertIds = new Set();
+  const activeAssignments = iterateKeyset(
+    () => supabase
+      .from('alert_assignments')
+      .select('id, alert_id')
+      .neq('status', 'released'),
+    'id',
+    true
+  );
+
+  for await (const assignment of activeAssignments) {
+    staffedAlertIds.add(assignment.alert_id);
+  }
+
+  let rescored = 0;
+  for (const [incidentType, source] of Object.entries(PRIORITY_SOURCES)) {
+    const incidents = iterateKeyset(
+      () => supabase
+        .from(source.table)
+        .select(source.select)
+        .in('status', OPEN_INCIDENT_STATUSES[incidentType]),
+      'id',
+      true
+    );
+
+    for await (const incident of incidents) {
+      const result = scoreIncident(incidentType, incident, weights, {
+        staffed: incidentType === 'alert' && staffedAlertIds.has(incident.id),
+        now,
+      });
+      if (incident.priority_score === result.score
+        && JSON.stringify(incident.priority_reasons) === JSON.stringify(result.reasons)) continue;
+
+      await savePriority(incidentType, incident, result, now);
+      rescored += 1;
+    }
+  }
+
+  return rescored;
+};
+
+/**
+ * Rescore open incidents every PRIORITY_INTERVAL_SECONDS (default 60;
+ * 0 turns it off). A run still in progress is never overlapped.
+ */
+const startPriorityScheduler = () => {
+  if (!INTERVAL_SECONDS || INTERVAL_SECONDS < 0) return null;
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runPriorityCycle();
+    } catch (error) {
+      console.error('Priority scoring run error:', error);
+    } finally {
+      running = false;
+    }
+  }, INTERVAL_SECONDS * 1000);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  PRIORITY_WEIGHT_FIELDS,
+  getPriorityWeights,
+  rescoreIncident,
+  rescoreIncidentById,
+  runPriorityCycle,
+  startPriorityScheduler,
+};
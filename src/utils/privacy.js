@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const supabase = require('../config/supabase');
+const { removeObject } = require('./storage');
+const { userRoom, disconnectRoom } = require('../socketInstance');
+
+// Columns that are never handed out, even to the account owner
+const SECRET_USER_FIELDS = ['password', 'totp_secret', 'totp_last_step'];
+
+// Stands in for required free text on erased records
+const ERASED_TEXT = '[erased]';
+
+/**
+ * Tables holding a user's personal records, keyed by the name used in
+ * exports. `column` links a row to the user (user_id unless given) and
+ * `select` leaves out internal columns.
+ */
+const EXPORT_TABLES = {
+  alerts: { table: 'alerts' },
+  sos_requests: { table: 'sos_requests' },
+  crash_events: { table: 'crash_events' },
+  emergency_contacts: { table: 'emergency_contacts' },
+  alert_notes: {
+    table: 'alert_notes',
+    column: 'author_id',
+    select: 'id, alert_id, author_role, visibility, body, created_at',
+  },
+  sessions: {
+    table: 'sessions',
+    select: 'id, device_label, ip_address, user_agent, mfa_verified, created_at, last_seen_at, revoked_at',
+  },
+  media_attachments: {
+    table: 'media_attachments',
+    column: 'uploaded_by',
+    select: 'id, owner_type, owner_id, kind, content_type, size_bytes, original_name, width, height, gps_latitude, gps_longitude, created_at',
+  },
+};
+
+/**
+ * Gather everything stored about a user for a data export
+ */
+const collectUserData = async (userId) => {
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', userId)
+    .single();
+
+  if (error) throw error;
+  SECRET_USER_FIELDS.forEach((field) => delete user[field]);
+
+  const records = { user };
+  for (const [name, { table, column = 'user_id', select = '*' }] of Object.entries(EXPORT_TABLES)) {
+    const { data, error: tableError } = await supabase
+      .from(table)
+      .select(select)
+      .eq(column, userId);
+
+    if (tableError) throw tableError;
+    records[name] = data;
+  }
+
+  return records;
+};
+
+/**
+ * Erase a user's personal data. The account row is kept but scrubbed and
+ * made unusable; incidents stay (linked to the scrubbed account) with their
+ * free-text fields cleared so operations statistics remain intact. Alert
+ * titles and location addresses are required, so they get a placeholder.
+ * Emergency contacts are third-party data with no statistical value and are
+ * deleted outright, as are the notes the user wrote on alerts and their
+ * media uploads, files included. Sessions and their refresh tokens are
+ * deleted too, which also signs the user out everywhere.
+ */
+const anonymizeUser = async (userId) => {
+  const now = new Date().toISOString();
+  const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+  const { error } = await supabase
+    .from('users')
+    .update({
+      email: `erased-${userId}@erased.invalid`,
+      password: unusablePassword,
+      first_name: 'Erased',
+      middle_name: null,
+      last_name: 'User',
+      ext_name: null,
+      username: null,
+      user_phone_number: null,
+      relative_number: null,
+      birth_date: null,
+      avatar_url: null,
+      email_verified: false,
+      phone_verified: false,
+      totp_enabled: false,
+      totp_secret: null,
+      totp_last_step: null,
+      anonymized_at: now,
+      updated_at: now,
+    })
+    .eq('id', userId);
+
+  if (error) throw error;
+
+  const { data: uploads, error: uploadError } = await supabase
+    .from('media_attachments')
+    .select('id, storage_key, thumbnail_key')
+    .eq('uploaded_by', userId);
+
+  if (uploadError) throw uploadError;
+
+  const scrubs = [
+    supabase.from('alerts').update({
+      title: ERASED_TEXT,
+      description: null,
+      location: ERASED_TEXT,
+      image_url: null,
+    }).eq('user_id', userId),
+    supabase.from('sos_requests').update({ description: null }).eq('user_id', userId),
+    supabase.from('emergency_contacts').delete().eq('user_id', userId),
+    supabase.from('alert_notes').delete().eq('author_id', userId),
+    supabase.from('media_attachments').delete().eq('uploaded_by', userId),
+    supabase.from('recovery_codes').delete().eq('user_id', userId),
+    supabase.from('verification_codes').delete().eq('user_id', userId),
+    supabase.from('password_reset_tokens').delete().eq('user_id', userId),
+    supabase.from('login_attempts').delete().eq('user_id', userId),
+    supabase.from('refresh_tokens').delete().eq('user_id', userId),
+    supabase.from('sessions').delete().eq('user_id', userId),
+    supabase.from('api_keys').update({ revoked_at: now }).eq('user_id', userId).is('revoked_at', null),
+  ];
+
+  for (const scrub of scrubs) {
+    const { error: scrubError } = await scrub;
+    if (scrubError) throw scrubError;
+  }
+
+  disconnectRoom(userRoom(userId));
+
+  for (const upload of uploads) {
+    await removeObject(upload.storage_key);
+    if (upload.thumbnail_key) {
+      await removeObject(upload.thumbnail_key);
+    }
+  }
+};
+
+module.exports = {
+  EXPORT_TABLES,
+  collectUserData,
+  anonymizeUser,
+};
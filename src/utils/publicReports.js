@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const supabase = require('../config/supabase');
+const { hashToken } = require('./tokens');
+const { sendSms } = require('./sms');
+
+const POW_BITS = parseInt(process.env.PUBLIC_REPORT_POW_BITS) || 18;
+const CHALLENGE_TTL_SECONDS = 300;
+
+const MAX_REPORTS_PER_IP = parseInt(process.env.PUBLIC_REPORT_MAX_PER_IP) || 5;
+const MAX_REPORTS_PER_DEVICE = parseInt(process.env.PUBLIC_REPORT_MAX_PER_DEVICE) || 3;
+
+const CODE_TTL_MINUTES = parseInt(process.env.VERIFICATION_CODE_TTL_MINUTES) || 10;
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.VERIFICATION_RESEND_SECONDS) || 60;
+const MAX_CODES_PER_PHONE = 3;
+const MAX_CODES_PER_IP = 10;
+const MAX_ATTEMPTS = 5;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Proof-of-work challenges are signed with a derived secret so they can
+// never pass as any other token
+const challengeSecret = () => `${process.env.JWT_SECRET}:pow`;
+
+/**
+ * Callers are identified by hashes of their IP and device fingerprint, so
+ * neither is stored for people who report without an account
+ */
+const callerKeys = (req) => {
+  const fingerprint = req.get('X-Device-Fingerprint');
+  return {
+    ipHash: hashToken(`ip:${req.ip}`),
+    fingerprintHash: fingerprint ? hashToken(`device:${fingerprint.trim()}`) : null,
+  };
+};
+
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/[\s().-]/g, '');
+  return /^\+?[0-9]{7,15}$/.test(digits) ? digits : null;
+};
+
+const leadingZeroBits = (buffer) => {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+};
+
+/**
+ * A new challenge: find any `solution` for which
+ * sha256(`${nonce}:${solution}`) starts with `difficulty` zero bits
+ */
+const issueChallenge = () => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const token = jwt.sign(
+    { nonce, bits: POW_BITS },
+    challengeSecret(),
+    { expiresIn: CHALLENGE_TTL_SECONDS, jwtid: crypto.randomUUID() }
+  );
+
+  return {
+    challenge: token,
+    nonce,
+    difficulty: POW_BITS,
+    algorithm: 'sha256',
+    expires_in: CHALLENGE_TTL_SECONDS,
+  };
+};
+
+/**
+ * Check a solved challenge and use it up. Returns { error } when the
+ * challenge is invalid, expired, unsolved or was already used.
+ */
+const redeemChallenge = async (token, solution) => {
+  if (!token || solution === undefined || solution === null || String(solution).length > 64) {
+    return { error: 'A solved proof-of-work challenge is required' };
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(String(token), challengeSecret());
+  } catch (error) {
+    return { error: 'Challenge is invalid or has expired' };
+  }
+
+  const digest = crypto.createHash('sha256').update(`${payload.nonce}:${solution}`).digest();
+  if (leadingZeroBits(digest) < payload.bits) {
+    return { error: 'Challenge solution is incorrect' };
+  }
+
+  const { error } = await supabase
+    .from('used_challenges')
+    .insert([{ challenge_id: payload.jti, expires_at: new Date(payload.exp * 1000).toISOString() }]);
+
+  if (error) {
+    if (error.code === '23505') {
+      return { error: 'Challenge was already used' };
+    }
+    throw error;
+  }
+
+  return { ok: true };
+};
+
+const countSince = async (table, column, value, since) => {
+  const { data, error } = await supabase
+    .from(table)
+    .select('created_at')
+    .eq(column, value)
+    .gte('created_at', since)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data;
+};
+
+// Seconds until the oldest entry leaves the hour window, or null when under the limit
+const hourlyBlock = (entries, limit) => {
+  if (entries.length < limit) return null;
+  return Math.max(Math.ceil((new Date(entries[0].created_at).getTime() + HOUR_MS - Date.now()) / 1000), 1);
+};
+
+/**
+ * Whether this caller may file another report. Returns null when allowed,
+ * otherwise { retry_after }.
+ */
+const checkReportLimit = async ({ ipHash, fingerprintHash }) => {
+  const since = new Date(Date.now() - HOUR_MS).toISOString();
+
+  const blocks = [
+    hourlyBlock(await countSince('anonymous_reports', 'ip_hash', ipHash, since), MAX_REPORTS_PER_IP),
+    fingerprintHash
+      ? hourlyBlock(await countSince('anonymous_reports', 'fingerprint_hash', fingerprintHash, since), MAX_REPORTS_PER_DEVICE)
+      : null,
+  ].filter(Boolean);
+
+  return blocks.length > 0 ? { retry_after: Math.max(...blocks) } : null;
+};
+
+const recordAnonymousReport = async (alertId, { ipHash, fingerprintHash }) => {
+  const { error } = await supabase
+    .from('anonymous_reports')
+    .insert([{ alert_id: alertId, ip_hash: ipHash, fingerprint_hash: fingerprintHash }]);
+
+  if (error) throw error;
+};
+
+const hashCode = (verificationId, phone, code) => hashToken(`callback:${verificationId}:${phone}:${code}`);
+
+/**
+ * Text a one-time code to a callback number. Returns { error, retry_after }
+ * when the number or caller is sending too often.
+ */
+const sendCallbackCode = async (phone, { ipHash }) => {
+  const since = new Date(Date.now() - HOUR_MS).toISOString();
+  const [byPhone, byIp] = await Promise.all([
+    countSince('callback_verifications', 'phone', phone, since),
+    countSince('callback_verifications', 'ip_hash', ipHash, since),
+  ]);
+
+  if (byPhone.length > 0) {
+    const secondsSinceLast = (Date.now() - new Date(byPhone[byPhone.length - 1].created_at).getTime()) / 1000;
+    if (secondsSinceLast < RESEND_COOLDOWN_SECONDS) {
+      return {
+        error: 'Please wait before requesting another code',
+        retry_after: Math.ceil(RESEND_COOLDOWN_SECONDS - secondsSinceLast),
+      };
+    }
+  }
+
+  const blocked = [hourlyBlock(byPhone, MAX_CODES_PER_PHONE), hourlyBlock(byIp, MAX_CODES_PER_IP)].filter(Boolean);
+  if (blocked.length > 0) {
+    return { error: 'Too many codes requested. Try again later.', retry_after: Math.max(...blocked) };
+  }
+
+  const verificationId = crypto.randomUUID();
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  const { error } = await supabase
+    .from('callback_verifications')
+    .insert([{
+      id: verificationId,
+      phone,
+      ip_hash: ipHash,
+      code_hash: hashCode(verificationId, phone, code),
+      attempts: 0,
+      expires_at: new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000).toISOString(),
+    }]);
+
+  if (error) throw error;
+
+  await sendSms({
+    to: phone,
+    text: `Your RescueLink report code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes.`,
+  });
+
+  return { verification_id: verificationId, expires_in: CODE_TTL_MINUTES * 60 };
+};
+
+/**
+ * Check the code texted to a callback number and use it up. The code only
+ * counts for the number it was sent to.
+ */
+const confirmCallbackCode = async (verificationId, phone, code) => {
+  const { data: pending, error } = await supabase
+    .from('callback_verifications')
+    .select('id, phone, code_hash, expires_at, attempts')
+    .eq('id', verificationId)
+    .is('consumed_at', null)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!pending || pending.phone !== phone || new Date(pending.expires_at) <= new Date()) {
+    return { error: 'Callback code is invalid or has expired' };
+  }
+  if (pending.attempts >= MAX_ATTEMPTS) {
+    return { error: 'Too many incorrect attempts. Request a new code.' };
+  }
+
+  const expected = Buffer.from(pending.code_hash);
+  const actual = Buffer.from(hashCode(pending.id, phone, String(code)));
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    await supabase
+      .from('callback_verifications')
+      .update({ attempts: pending.attempts + 1 })
+      .eq('id', pending.id);
+
+    return { error: 'Callback code is invalid or has expired' };
+  }
+
+  // Conditional, so one code cannot verify two reports
+  const { data: consumed, error: consumeError } = await supabase
+    .from('callback_verifications')
+    .update({ consumed_at: new Date().toISOString() })
+    .eq('id', pending.id)
+    .is('consumed_at', null)
+    .select('id')
+    .maybeSingle();
+
+  if (consumeError) throw consumeError;
+  if (!consumed) {
+    return { error: 'Callback code is invalid or has expired' };
+  }
+
+  return { verified: true };
+};
+
+module.exports = {
+  POW_BITS,
+  callerKeys,
+  normalizePhone,
+  issueChallenge,
+  redeemChallenge,
+  checkReportLimit,
+  recordAnonymousReport,
+  sendCallbackCode,
+  confirmCallbackCode,
+};
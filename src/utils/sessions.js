@@ -0,0 +1,187 @@
+const supabase = require('../config/supabase');
+const { userRoom, sessionRoom, disconnectRoom } = require('../socketInstance');
+
+// Only write last_seen_at when it is older than this, to spare the database
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const SESSION_FIELDS = 'id, user_id, device_label, ip_address, user_agent, mfa_verified, created_at, last_seen_at, revoked_at';
+
+/**
+ * Rough "Browser on OS" label for sessions created without a device_label
+ */
+const describeUserAgent = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+    ['RescueLink app', /okhttp|Dart|Expo|CFNetwork/i],
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iOS/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/],
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (browser && system) return `${browser[0]} on ${system[0]}`;
+  if (browser || system) return (browser || system)[0];
+  return 'Unknown device';
+};
+
+/**
+ * Record a new login as a session
+ */
+const createSession = async (user, req, { mfa = false } = {}) => {
+  const userAgent = req.headers['user-agent'] || null;
+  const deviceLabel = req.body && typeof req.body.device_label === 'string' && req.body.device_label.trim()
+    ? req.body.device_label.trim().slice(0, 100)
+    : describeUserAgent(userAgent || '');
+
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('sessions')
+    .insert([{
+      user_id: user.id,
+      device_label: deviceLabel,
+      ip_address: req.ip,
+      user_agent: userAgent,
+      mfa_verified: mfa,
+      last_seen_at: now,
+    }])
+    .select(SESSION_FIELDS)
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+const getSession = async (sessionId) => {
+  const { data, error } = await supabase
+    .from('sessions')
+    .select(SESSION_FIELDS)
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Load the session behind an access token, or null when it has been revoked.
+ * Also keeps last_seen_at (and the latest IP) roughly current.
+ */
+const getActiveSession = async (sessionId, ip) => {
+  if (!sessionId) return null;
+
+  const session = await getSession(sessionId);
+  if (!session || session.revoked_at) return null;
+
+  if (Date.now() - new Date(session.last_seen_at).getTime() > TOUCH_INTERVAL_MS) {
+    await supabase
+      .from('sessions')
+      .update({ last_seen_at: new Date().toISOString(), ip_address: ip || session.ip_address })
+      .eq('id', sessionId);
+  }
+
+  return session;
+};
+
+/**
+ * Revoke a session and the refresh tokens issued for it, and disconnect
+ * sockets signed in with it: their rooms were picked at the handshake
+ */
+const revokeSession = async (sessionId) => {
+  const now = new Date().toISOString();
+
+  const { error } = await supabase
+    .from('sessions')
+    .update({ revoked_at: now })
+    .eq('id', sessionId)
+    .is('revoked_at', null);
+
+  if (error) throw error;
+
+  const { error: tokenError } = await supabase
+    .from('refresh_tokens')
+    .update({ revoked_at: now })
+    .eq('session_id', sessionId)
+    .is('revoked_at', null);
+
+  if (tokenError) throw tokenError;
+
+  disconnectRoom(sessionRoom(sessionId));
+};
+
+/**
+ * Revoke every session a user has, optionally keeping one (the caller's own)
+ */
+const revokeAllSessions = async (userId, { except = null } = {}) => {
+  const now = new Date().toISOString();
+
+  let sessionQuery = supabase
+    .from('sessions')
+    .update({ revoked_at: now })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  let tokenQuery = supabase
+    .from('refresh_tokens')
+    .update({ revoked_at: now })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (except) {
+    sessionQuery = sessionQuery.neq('id', except);
+    tokenQuery = tokenQuery.neq('session_id', except);
+  }
+
+  const { error } = await sessionQuery;
+  if (error) throw error;
+
+  const { error: tokenError } = await tokenQuery;
+  if (tokenError) throw tokenError;
+
+  disconnectRoom(userRoom(userId), { except: except ? sessionRoom(except) : null });
+};
+
+const listSessions = async (userId, { includeRevoked = false } = {}) => {
+  let query = supabase
+    .from('sessions')
+    .select(SESSION_FIELDS)
+    .eq('user_id', userId)
+    .order('last_seen_at', { ascending: false });
+
+  if (!includeRevoked) {
+    query = query.is('revoked_at', null);
+  }
+
+  const { data, error } = await query;
+
+  if (error) throw error;
+  return data;
+};
+
+const markSessionMfaVerified = async (sessionId) => {
+  const { error } = await supabase
+    .from('sessions')
+    .update({ mfa_verified: true })
+    .eq('id', sessionId);
+
+  if (error) throw error;
+};
+
+module.exports = {
+  createSession,
+  getSession,
+  getActiveSession,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+  markSessionMfaVerified,
+};
@@ -0,0 +1,45 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * SMS transports follow the same shape as mail transports: an object with an
+ * async send(message) method, selected with SMS_TRANSPORT.
+ */
+const transports = {
+  console: {
+    send: async (message) => {
+      console.log(`--- Outgoing SMS to ${message.to} ---`);
+      console.log(message.text);
+    },
+  },
+
+  file: {
+    send: async (message) => {
+      const dir = process.env.SMS_OUTBOX_DIR || path.join(process.cwd(), 'sms-outbox');
+      await fs.mkdir(dir, { recursive: true });
+
+      const fileName = `${Date.now()}-${message.to.replace(/[^0-9+]/g, '_')}.json`;
+      await fs.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+    },
+  },
+};
+
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`SMS transport "${name}" must implement send()`);
+  }
+  transports[name] = transport;
+};
+
+const sendSms = async ({ to, text }) => {
+  const name = process.env.SMS_TRANSPORT || 'console';
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown SMS transport: ${name}`);
+  }
+
+  await transport.send({ to, text, sent_at: new Date().toISOString() });
+};
+
+module.exports = { sendSms, registerTransport };
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Storage backends are plain objects with async put(key, buffer, contentType),
+ * open(key) returning a readable stream, or null when there is no such
+ * object, and remove(key). They may also have
+ * putStream(key, stream, contentType), used for large files so they are never
+ * held in memory. Deployments pick one with STORAGE_BACKEND; cloud buckets can
+ * be plugged in at startup through registerBackend().
+ */
+const localRoot = () => path.resolve(process.env.MEDIA_STORAGE_DIR || path.join(process.cwd(), 'uploads'));
+
+// Keys are generated by the server, but never let one escape the storage root
+const localPath = (key) => {
+  const root = localRoot();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+const backends = {
+  // Files under MEDIA_STORAGE_DIR (default ./uploads)
+  local: {
+    put: async (key, buffer) => {
+      const filePath = localPath(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+    putStream: async (key, stream) => {
+      const filePath = localPath(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await pipeline(stream, fs.createWriteStream(filePath));
+    },
+    open: async (key) => {
+      const filePath = localPath(key);
+      try {
+        await fs.promises.access(filePath);
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+      return fs.createReadStream(filePath);
+    },
+    remove: async (key) => {
+      await fs.promises.rm(localPath(key), { force: true });
+    },
+  },
+};
+
+const registerBackend = (name, backend) => {
+  if (!backend || ['put', 'open', 'remove'].some((method) => typeof backend[method] !== 'function')) {
+    throw new Error(`Storage backend "${name}" must implement put(), open() and remove()`);
+  }
+  backends[name] = backend;
+};
+
+const getBackend = () => {
+  const name = process.env.STORAGE_BACKEND || 'local';
+  const backend = backends[name];
+
+  if (!backend) {
+    throw new Error(`Unknown storage backend: ${name}`);
+  }
+  return backend;
+};
+
+const putObject = (key, buffer, contentType) => getBackend().put(key, buffer, contentType);
+
+/**
+ * Store a file from disk, streamed when the backend supports it
+ */
+const putFile = async (key, filePath, contentType) => {
+  const backend = getBackend();
+  if (backend.putStream) {
+    return backend.putStream(key, fs.createReadStream(filePath), contentType);
+  }
+  return backend.put(key, await fs.promises.readFile(filePath), contentType);
+};
+const openObject = (key) => getBackend().open(key);
+const removeObject = (key) => getBackend().remove(key);
+
+module.exports = { putObject, putFile, openObject, removeObject, registerBackend };
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const supabase = require('../config/supabase');
+const { getSession, revokeSession } = require('./sessions');
+
+const ACCESS_TOKEN_TTL_SECONDS = 3600;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * SHA-256 hash used to store opaque tokens at rest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Sign a short-lived access token for the given user and session.
+ * The sid ties the token to a session so revoking the session (logout,
+ * password reset, admin kick) rejects it; mfa records whether the second
+ * factor was satisfied at login.
+ */
+const signAccessToken = (user, session) => {
+  return jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      name: `${user.first_name} ${user.last_name}`,
+      sid: session.id,
+      mfa: !!session.mfa_verified,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS, jwtid: crypto.randomUUID() }
+  );
+};
+
+/**
+ * Short-lived token proving the password step of a two-step login passed.
+ * It is signed with a derived secret so it can never pass as an access token.
+ */
+const MFA_TOKEN_TTL_SECONDS = 300;
+const mfaSecret = () => `${process.env.JWT_SECRET}:mfa`;
+
+const signMfaToken = (user) => {
+  return jwt.sign({ id: user.id }, mfaSecret(), { expiresIn: MFA_TOKEN_TTL_SECONDS });
+};
+
+const verifyMfaToken = (token) => jwt.verify(token, mfaSecret());
+
+/**
+ * Create a refresh token for a session and store its hash.
+ * Each rotation issues a new token in the same session, so a replayed token
+ * can take down the whole chain.
+ */
+const issueRefreshToken = async (userId, sessionId) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const { data, error } = await supabase
+    .from('refresh_tokens')
+    .insert([{
+      user_id: userId,
+      session_id: sessionId,
+      token_hash: hashToken(token),
+      expires_at: expiresAt.toISOString(),
+    }])
+    .select('id, session_id, expires_at')
+    .single();
+
+  if (error) throw error;
+  return { token, ...data };
+};
+
+/**
+ * Build the token pair returned by login and refresh
+ */
+const issueTokenPair = async (user, session) => {
+  const refresh = await issueRefreshToken(user.id, session.id);
+
+  return {
+    access_token: signAccessToken(user, session),
+    token_type: 'bearer',
+    expires_in: ACCESS_TOKEN_TTL_SECONDS,
+    refresh_token: refresh.token,
+    refresh_expires_at: refresh.expires_at,
+    session_id: session.id,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new pair.
+ * Returns { error } with a reason when the token cannot be used; presenting
+ * an already-rotated token is treated as theft and revokes its session.
+ */
+const rotateRefreshToken = async (token) => {
+  const { data: stored, error } = await supabase
+    .from('refresh_tokens')
+    .select('id, user_id, session_id, expires_at, revoked_at')
+    .eq('token_hash', hashToken(token))
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!stored) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const session = await getSession(stored.session_id);
+  if (!session || session.revoked_at) {
+    return { error: 'Session has been revoked' };
+  }
+
+  if (stored.revoked_at) {
+    await revokeSession(stored.session_id);
+    return { error: 'Refresh token reuse detected' };
+  }
+
+  if (new Date(stored.expires_at) <= new Date()) {
+    await revokeSession(stored.session_id);
+    return { error: 'Refresh token expired' };
+  }
+
+  // Only one caller can win the rotation; a concurrent loser counts as reuse
+  const { data: claimed, error: claimError } = await supabase
+    .from('refresh_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', stored.id)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (claimError) throw claimError;
+  if (!claimed || claimed.length === 0) {
+    await revokeSession(stored.session_id);
+    return { error: 'Refresh token reuse detected' };
+  }
+
+  const { data: user, error: userError } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', stored.user_id)
+    .single();
+
+  if (userError || !user) {
+    await revokeSession(stored.session_id);
+    return { error: 'User not found' };
+  }
+
+  const tokens = await issueTokenPair(user, session);
+
+  await supabase
+    .from('refresh_tokens')
+    .update({ replaced_by: hashToken(tokens.refresh_token) })
+    .eq('id', stored.id);
+
+  delete user.password;
+  delete user.totp_secret;
+  return { tokens, user };
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  MFA_TOKEN_TTL_SECONDS,
+  hashToken,
+  signMfaToken,
+  verifyMfaToken,
+  issueTokenPair,
+  rotateRefreshToken,
+};
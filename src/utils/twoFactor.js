@@ -0,0 +1,83 @@
+const supabase = require('../config/supabase');
+const { hashToken } = require('./tokens');
+const { verifyTotp, decryptSecret, generateRecoveryCodes } = require('./totp');
+
+/**
+ * Roles that must pass a second factor before using sensitive routes,
+ * configured as a comma-separated REQUIRE_2FA_ROLES list (e.g. "admin,dispatcher")
+ */
+const getTwoFactorRoles = () => {
+  return (process.env.REQUIRE_2FA_ROLES || '')
+    .split(',')
+    .map((role) => role.trim())
+    .filter(Boolean);
+};
+
+const roleRequiresTwoFactor = (role) => getTwoFactorRoles().includes(role);
+
+const normalizeRecoveryCode = (code) => String(code).trim().toLowerCase();
+
+/**
+ * Replace a user's recovery codes and return the new plain codes
+ */
+const replaceRecoveryCodes = async (userId) => {
+  const codes = generateRecoveryCodes();
+
+  const { error: deleteError } = await supabase
+    .from('recovery_codes')
+    .delete()
+    .eq('user_id', userId);
+
+  if (deleteError) throw deleteError;
+
+  const { error } = await supabase
+    .from('recovery_codes')
+    .insert(codes.map((code) => ({
+      user_id: userId,
+      code_hash: hashToken(normalizeRecoveryCode(code)),
+    })));
+
+  if (error) throw error;
+  return codes;
+};
+
+/**
+ * Check either a TOTP code or a recovery code for a user with 2FA enabled.
+ * Used TOTP steps and recovery codes are burned so they cannot be replayed.
+ */
+const verifySecondFactor = async (user, { code, recovery_code }) => {
+  if (code) {
+    const step = verifyTotp(decryptSecret(user.totp_secret), code, user.totp_last_step ?? null);
+    if (step === null) return false;
+
+    const { error } = await supabase
+      .from('users')
+      .update({ totp_last_step: step })
+      .eq('id', user.id);
+
+    if (error) throw error;
+    return true;
+  }
+
+  if (recovery_code) {
+    const { data, error } = await supabase
+      .from('recovery_codes')
+      .update({ used_at: new Date().toISOString() })
+      .eq('user_id', user.id)
+      .eq('code_hash', hashToken(normalizeRecoveryCode(recovery_code)))
+      .is('used_at', null)
+      .select('id');
+
+    if (error) throw error;
+    return data.length > 0;
+  }
+
+  return false;
+};
+
+module.exports = {
+  getTwoFactorRoles,
+  roleRequiresTwoFactor,
+  replaceRecoveryCodes,
+  verifySecondFactor,
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const { hashToken } = require('./tokens');
+const { sendMail } = require('./mailer');
+const { sendSms } = require('./sms');
+
+const CODE_TTL_MINUTES = parseInt(process.env.VERIFICATION_CODE_TTL_MINUTES) || 10;
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.VERIFICATION_RESEND_SECONDS) || 60;
+const MAX_SENDS_PER_HOUR = parseInt(process.env.VERIFICATION_MAX_SENDS_PER_HOUR) || 5;
+const MAX_ATTEMPTS = 5;
+
+const CHANNELS = {
+  email: { target: 'email', flag: 'email_verified' },
+  phone: { target: 'user_phone_number', flag: 'phone_verified' },
+};
+
+/**
+ * Channels this deployment requires before a user may raise alerts,
+ * configured as a comma-separated REQUIRE_VERIFICATION list (e.g. "email,phone")
+ */
+const getRequiredChannels = () => {
+  return (process.env.REQUIRE_VERIFICATION || '')
+    .split(',')
+    .map((channel) => channel.trim())
+    .filter((channel) => CHANNELS[channel]);
+};
+
+const hashCode = (userId, channel, code) => hashToken(`${userId}:${channel}:${code}`);
+
+/**
+ * Generate a one-time code for the channel and deliver it.
+ * Returns { error, retry_after } when the user is sending too often.
+ */
+const sendVerificationCode = async (user, channel) => {
+  const { target, flag } = CHANNELS[channel];
+  const destination = user[target];
+
+  if (!destination) {
+    return { error: `No ${channel} on file` };
+  }
+  if (user[flag]) {
+    return { error: `${channel === 'email' ? 'Email' : 'Phone number'} is already verified` };
+  }
+
+  const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  const { data: recent, error: recentError } = await supabase
+    .from('verification_codes')
+    .select('created_at')
+    .eq('user_id', user.id)
+    .eq('channel', channel)
+    .gte('created_at', hourAgo)
+    .order('created_at', { ascending: false });
+
+  if (recentError) throw recentError;
+
+  if (recent.length > 0) {
+    const secondsSinceLast = (Date.now() - new Date(recent[0].created_at).getTime()) / 1000;
+    if (secondsSinceLast < RESEND_COOLDOWN_SECONDS) {
+      return {
+        error: 'Please wait before requesting another code',
+        retry_after: Math.ceil(RESEND_COOLDOWN_SECONDS - secondsSinceLast),
+      };
+    }
+  }
+
+  if (recent.length >= MAX_SENDS_PER_HOUR) {
+    const oldest = new Date(recent[recent.length - 1].created_at).getTime();
+    return {
+      error: 'Too many verification codes requested. Try again later.',
+      retry_after: Math.ceil((oldest + 60 * 60 * 1000 - Date.now()) / 1000),
+    };
+  }
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  // A new code replaces any earlier one for the same channel
+  await supabase
+    .from('verification_codes')
+    .update({ consumed_at: new Date().toISOString() })
+    .eq('user_id', user.id)
+    .eq('channel', channel)
+    .is('consumed_at', null);
+
+  const { error } = await supabase
+    .from('verification_codes')
+    .insert([{
+      user_id: user.id,
+      channel,
+      target: destination,
+      code_hash: hashCode(user.id, channel, code),
+      expires_at: new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000).toISOString(),
+    }]);
+
+  if (error) throw error;
+
+  const text = `Your RescueLink verification code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes.`;
+
+  if (channel === 'email') {
+    await sendMail({ to: destination, subject: 'Verify your RescueLink email', text });
+  } else {
+    await sendSms({ to: destination, text });
+  }
+
+  return { expires_in: CODE_TTL_MINUTES * 60 };
+};
+
+/**
+ * Check a submitted code and mark the channel verified on success
+ */
+const confirmVerificationCode = async (user, channel, code) => {
+  const { target, flag } = CHANNELS[channel];
+
+  const { data: pending, error } = await supabase
+    .from('verification_codes')
+    .select('id, target, code_hash, expires_at, attempts')
+    .eq('user_id', user.id)
+    .eq('channel', channel)
+    .is('consumed_at', null)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  // The code only counts for the address it was sent to
+  if (!pending || pending.target !== user[target] || new Date(pending.expires_at) <= new Date()) {
+    return { error: 'Code is invalid or has expired' };
+  }
+  if (pending.attempts >= MAX_ATTEMPTS) {
+    return { error: 'Too many incorrect attempts. Request a new code.' };
+  }
+
+  const expected = Buffer.from(pending.code_hash);
+  const actual = Buffer.from(hashCode(user.id, channel, String(code)));
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    await supabase
+      .from('verification_codes')
+      .update({ attempts: pending.attempts + 1 })
+      .eq('id', pending.id);
+
+    return { error: 'Code is invalid or has expired' };
+  }
+
+  await supabase
+    .from('verification_codes')
+    .update({ consumed_at: new Date().toISOString() })
+    .eq('id', pending.id);
+
+  const { error: updateError } = await supabase
+    .from('users')
+    .update({ [flag]: true, updated_at: new Date().toISOString() })
+    .eq('id', user.id);
+
+  if (updateError) throw updateError;
+
+  return { verified: true };
+};
+
+module.exports = {
+  CHANNELS,
+  getRequiredChannels,
+  sendVerificationCode,
+  confirmVerificationCode,
+};
@@ -0,0 +1,19 @@
+-- Opaque refresh tokens, stored as SHA-256 hashes. Each rotation revokes
+-- the presented token and issues a new one in the same family; replaying a
+-- revoked token revokes the whole family.
+create table if not exists refresh_tokens (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references users (id) on delete cascade,
+  token_hash text not null unique,
+  family_id uuid not null,
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  replaced_by text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists refresh_tokens_user_id_idx on refresh_tokens (user_id);
+create index if not exists refresh_tokens_family_id_idx on refresh_tokens (family_id);
+
+-- Only the API (service role) reads or writes tokens
+alter table refresh_tokens enable row level security;
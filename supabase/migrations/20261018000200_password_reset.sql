@@ -0,0 +1,26 @@
+-- Single-use password reset tokens, stored as SHA-256 hashes. Requesting a
+-- new token marks the user's earlier unused ones as used.
+create table if not exists password_reset_tokens (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references users (id) on delete cascade,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists password_reset_tokens_user_id_idx on password_reset_tokens (user_id);
+
+-- Forgot-password requests, counted per email hash and per IP for throttling
+create table if not exists password_reset_requests (
+  id bigint generated by default as identity primary key,
+  email_hash text not null,
+  ip_address text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists password_reset_requests_email_hash_idx on password_reset_requests (email_hash, created_at);
+create index if not exists password_reset_requests_ip_address_idx on password_reset_requests (ip_address, created_at);
+
+alter table password_reset_tokens enable row level security;
+alter table password_reset_requests enable row level security;
@@ -0,0 +1,24 @@
+-- Whether the user proved they can receive mail and texts at their
+-- email and phone number
+alter table users
+  add column if not exists email_verified boolean not null default false,
+  add column if not exists phone_verified boolean not null default false;
+
+-- One-time codes for email and phone verification, stored as SHA-256 hashes. target
+-- is the address the code was sent to, so a code stops working once the
+-- address on the account changes.
+create table if not exists verification_codes (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references users (id) on delete cascade,
+  channel text not null check (channel in ('email', 'phone')),
+  target text not null,
+  code_hash text not null,
+  attempts integer not null default 0,
+  expires_at timestamptz not null,
+  consumed_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists verification_codes_user_channel_idx on verification_codes (user_id, channel, created_at);
+
+alter table verification_codes enable row level security;
@@ -0,0 +1,18 @@
+-- Single-use invitations for staff accounts. The code is stored as a
+-- SHA-256 hash; email, when set, restricts who may redeem it.
+create table if not exists invitations (
+  id bigint generated by default as identity primary key,
+  email text,
+  role text not null,
+  code_hash text not null unique,
+  expires_at timestamptz not null,
+  created_by bigint references users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  redeemed_at timestamptz,
+  redeemed_by bigint references users (id) on delete set null,
+  revoked_at timestamptz
+);
+
+create index if not exists invitations_created_at_idx on invitations (created_at desc);
+
+alter table invitations enable row level security;
@@ -0,0 +1,18 @@
+-- Every login attempt, successful or not. Recent uncleared failures per
+-- email and per IP drive throttling and lockout; an admin unlock or a
+-- successful login sets cleared_at instead of deleting the history.
+create table if not exists login_attempts (
+  id bigint generated by default as identity primary key,
+  email text not null,
+  ip_address text,
+  user_agent text,
+  user_id bigint references users (id) on delete set null,
+  succeeded boolean not null,
+  cleared_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists login_attempts_email_idx on login_attempts (email, created_at);
+create index if not exists login_attempts_ip_address_idx on login_attempts (ip_address, created_at);
+
+alter table login_attempts enable row level security;
@@ -0,0 +1,24 @@
+-- TOTP two-factor authentication. totp_secret is encrypted by the API
+-- (TOTP_ENCRYPTION_KEY); totp_last_step is the last accepted time step, so
+-- a code cannot be replayed.
+alter table users
+  add column if not exists totp_enabled boolean not null default false,
+  add column if not exists totp_secret text,
+  add column if not exists totp_last_step bigint;
+
+-- Single-use recovery codes, stored as SHA-256 hashes
+create table if not exists recovery_codes (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references users (id) on delete cascade,
+  code_hash text not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists recovery_codes_user_id_idx on recovery_codes (user_id);
+
+-- Whether the login that started a token family passed the second factor
+alter table refresh_tokens
+  add column if not exists mfa_verified boolean not null default false;
+
+alter table recovery_codes enable row level security;
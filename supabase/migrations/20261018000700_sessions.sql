@@ -0,0 +1,30 @@
+-- One row per login. Access tokens carry the session id (sid) and refresh
+-- tokens belong to a session, so revoking it signs that device out.
+-- mfa_verified records whether the second factor was passed at login.
+create table if not exists sessions (
+  id uuid primary key default gen_random_uuid(),
+  user_id bigint not null references users (id) on delete cascade,
+  device_label text,
+  ip_address text,
+  user_agent text,
+  mfa_verified boolean not null default false,
+  created_at timestamptz not null default now(),
+  last_seen_at timestamptz not null default now(),
+  revoked_at timestamptz
+);
+
+create index if not exists sessions_user_id_idx on sessions (user_id, last_seen_at desc);
+
+alter table sessions enable row level security;
+
+-- Refresh tokens now hang off sessions instead of token families. Tokens
+-- issued before this have no session, so they are dropped and those users
+-- sign in again.
+delete from refresh_tokens;
+
+alter table refresh_tokens
+  add column if not exists session_id uuid not null references sessions (id) on delete cascade,
+  drop column if exists family_id,
+  drop column if exists mfa_verified;
+
+create index if not exists refresh_tokens_session_id_idx on refresh_tokens (session_id);
@@ -0,0 +1,32 @@
+-- Scoped API keys for crash detectors and in-vehicle devices, stored as
+-- SHA-256 hashes; prefix is kept in clear so admins can tell keys apart.
+-- A key acts for user_id when set, and vehicle_id binds it to one vehicle.
+create table if not exists api_keys (
+  id bigint generated by default as identity primary key,
+  name text not null,
+  prefix text not null,
+  key_hash text not null unique,
+  user_id bigint references users (id) on delete cascade,
+  vehicle_id bigint references vehicles (id) on delete cascade,
+  scopes text[] not null,
+  allowed_ips text[],
+  created_by bigint references users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz,
+  last_used_at timestamptz,
+  last_used_ip text,
+  revoked_at timestamptz
+);
+
+create index if not exists api_keys_user_id_idx on api_keys (user_id);
+create index if not exists api_keys_vehicle_id_idx on api_keys (vehicle_id);
+
+alter table api_keys enable row level security;
+
+-- When a vehicle device last reported telemetry
+alter table vehicles
+  add column if not exists last_telemetry_at timestamptz;
+
+-- The vehicle whose detector reported a crash
+alter table crash_events
+  add column if not exists vehicle_id bigint references vehicles (id) on delete set null;
@@ -0,0 +1,3 @@
+-- Profile picture set through PUT /auth/me (an http(s) URL)
+alter table users
+  add column if not exists avatar_url text;
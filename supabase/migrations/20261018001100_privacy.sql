@@ -0,0 +1,26 @@
+-- Account erasure requests, reviewed by someone with privacy.manage. An
+-- approved request stays approved until the erasure finishes, then becomes
+-- completed.
+create table if not exists erasure_requests (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references users (id) on delete cascade,
+  reason text,
+  status text not null default 'pending'
+    check (status in ('pending', 'approved', 'rejected', 'cancelled', 'completed')),
+  requested_at timestamptz not null default now(),
+  reviewed_by bigint references users (id) on delete set null,
+  reviewed_at timestamptz,
+  review_note text,
+  completed_at timestamptz
+);
+
+-- At most one pending request per user
+create unique index if not exists erasure_requests_pending_idx on erasure_requests (user_id)
+  where status = 'pending';
+create index if not exists erasure_requests_requested_at_idx on erasure_requests (requested_at desc);
+
+alter table erasure_requests enable row level security;
+
+-- When the account was scrubbed; the row is kept for the incidents linked to it
+alter table users
+  add column if not exists anonymized_at timestamptz;
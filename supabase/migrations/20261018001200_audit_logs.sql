@@ -0,0 +1,37 @@
+-- Hash-chained log of privileged actions. Each entry's hash covers its
+-- fields and the previous entry's hash, so editing or removing an entry
+-- breaks the chain (checked by GET /audit-logs/verify). actor_id has no
+-- foreign key because it is hashed and must never change.
+create table if not exists audit_logs (
+  id bigint generated by default as identity primary key,
+  actor_id bigint,
+  actor_role text,
+  action text not null,
+  target_type text,
+  target_id text,
+  changes jsonb not null default '{}',
+  ip_address text,
+  user_agent text,
+  created_at timestamptz not null default now(),
+  prev_hash text not null,
+  hash text not null
+);
+
+create index if not exists audit_logs_actor_id_idx on audit_logs (actor_id);
+create index if not exists audit_logs_target_idx on audit_logs (target_type, target_id);
+create index if not exists audit_logs_action_idx on audit_logs (action);
+
+alter table audit_logs enable row level security;
+
+-- Entries are append-only
+create or replace function audit_logs_append_only() returns trigger
+language plpgsql as $$
+begin
+  raise exception 'audit_logs is append-only';
+end;
+$$;
+
+drop trigger if exists audit_logs_append_only on audit_logs;
+create trigger audit_logs_append_only
+  before update or delete on audit_logs
+  for each row execute function audit_logs_append_only();
@@ -0,0 +1,26 @@
+-- When the alert entered each lifecycle state
+alter table alerts
+  add column if not exists acknowledged_at timestamptz,
+  add column if not exists en_route_at timestamptz,
+  add column if not exists on_scene_at timestamptz,
+  add column if not exists resolved_at timestamptz,
+  add column if not exists cancelled_at timestamptz;
+
+-- Alert timeline: creation, status changes, assignments and edits, with
+-- who made them. Event types are listed in src/utils/alertTimeline.js.
+create table if not exists alert_events (
+  id bigint generated by default as identity primary key,
+  alert_id bigint not null references alerts (id) on delete cascade,
+  event_type text not null,
+  from_status text,
+  to_status text,
+  actor_id bigint references users (id) on delete set null,
+  actor_role text,
+  note text,
+  details jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists alert_events_alert_id_idx on alert_events (alert_id, created_at);
+
+alter table alert_events enable row level security;
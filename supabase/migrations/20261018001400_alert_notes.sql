@@ -0,0 +1,16 @@
+-- Notes and messages on an alert. internal notes are staff-only; public
+-- ones are also shown to the citizen who filed the alert.
+create table if not exists alert_notes (
+  id bigint generated by default as identity primary key,
+  alert_id bigint not null references alerts (id) on delete cascade,
+  author_id bigint references users (id) on delete set null,
+  author_role text,
+  visibility text not null default 'internal' check (visibility in ('internal', 'public')),
+  body text not null check (char_length(body) <= 2000),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists alert_notes_alert_id_idx on alert_notes (alert_id, created_at);
+create index if not exists alert_notes_author_id_idx on alert_notes (author_id);
+
+alter table alert_notes enable row level security;
@@ -0,0 +1,26 @@
+-- Photos, videos and audio attached to an alert, SOS request or crash
+-- event. Files live in the storage backend under storage_key (and
+-- thumbnail_key for images); gps_* come from the photo's EXIF before it was
+-- stripped.
+create table if not exists media_attachments (
+  id bigint generated by default as identity primary key,
+  owner_type text not null check (owner_type in ('alert', 'sos', 'crash')),
+  owner_id bigint not null,
+  uploaded_by bigint references users (id) on delete set null,
+  kind text not null check (kind in ('image', 'video', 'audio')),
+  content_type text not null,
+  size_bytes bigint not null,
+  original_name text,
+  width integer,
+  height integer,
+  gps_latitude double precision,
+  gps_longitude double precision,
+  storage_key text not null,
+  thumbnail_key text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists media_attachments_owner_idx on media_attachments (owner_type, owner_id, created_at);
+create index if not exists media_attachments_uploaded_by_idx on media_attachments (uploaded_by);
+
+alter table media_attachments enable row level security;
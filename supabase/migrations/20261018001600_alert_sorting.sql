@@ -0,0 +1,25 @@
+-- Severity as a number (low 1 .. critical 4) so alert lists can sort by
+-- urgency. The API writes it with severity; existing rows are backfilled.
+alter table alerts
+  add column if not exists severity_rank smallint;
+
+update alerts
+set severity_rank = case severity
+  when 'low' then 1
+  when 'medium' then 2
+  when 'high' then 3
+  when 'critical' then 4
+end
+where severity_rank is null;
+
+-- Keyset pagination orders by the sort column, then id
+create index if not exists alerts_reported_at_idx on alerts (reported_at, id);
+create index if not exists alerts_severity_rank_idx on alerts (severity_rank, id);
+create index if not exists alerts_status_idx on alerts (status, id);
+
+-- Search matches each term with ILIKE against title, description and location
+create extension if not exists pg_trgm;
+
+create index if not exists alerts_title_trgm_idx on alerts using gin (title gin_trgm_ops);
+create index if not exists alerts_description_trgm_idx on alerts using gin (description gin_trgm_ops);
+create index if not exists alerts_location_trgm_idx on alerts using gin (location gin_trgm_ops);
@@ -0,0 +1,13 @@
+-- Duplicate reports merged into a primary alert keep their rows and point
+-- at it. Reports already merged into a folded alert move along with it, so
+-- the links are always one level deep.
+alter table alerts
+  add column if not exists merged_into_id bigint references alerts (id) on delete set null,
+  add column if not exists merged_at timestamptz;
+
+alter table crash_events
+  add column if not exists merged_into_alert_id bigint references alerts (id) on delete set null,
+  add column if not exists merged_at timestamptz;
+
+create index if not exists alerts_merged_into_id_idx on alerts (merged_into_id);
+create index if not exists crash_events_merged_into_alert_id_idx on crash_events (merged_into_alert_id);
@@ -0,0 +1,45 @@
+-- Admin overrides of the escalation policies in src/config/escalation.js,
+-- one per incident type and severity (SOS requests use severity 'any').
+-- A null threshold turns that check off.
+create table if not exists escalation_policies (
+  id bigint generated by default as identity primary key,
+  incident_type text not null check (incident_type in ('alert', 'sos')),
+  severity text not null,
+  pending_after_minutes integer check (pending_after_minutes > 0),
+  unassigned_after_minutes integer check (unassigned_after_minutes > 0),
+  bump_severity boolean not null default false,
+  enabled boolean not null default true,
+  updated_by bigint references users (id) on delete set null,
+  updated_at timestamptz not null default now(),
+  unique (incident_type, severity)
+);
+
+alter table escalation_policies enable row level security;
+
+-- Every escalation made, for the escalation history
+create table if not exists escalations (
+  id bigint generated by default as identity primary key,
+  incident_type text not null check (incident_type in ('alert', 'sos')),
+  incident_id bigint not null,
+  reason text not null check (reason in ('pending', 'unassigned')),
+  level integer not null,
+  waited_minutes integer not null,
+  from_severity text,
+  to_severity text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists escalations_incident_idx on escalations (incident_type, incident_id);
+create index if not exists escalations_created_at_idx on escalations (created_at desc, id desc);
+
+alter table escalations enable row level security;
+
+-- How many times an incident was escalated, and when last. The clock for
+-- the next escalation restarts at last_escalated_at.
+alter table alerts
+  add column if not exists escalation_level integer not null default 0,
+  add column if not exists last_escalated_at timestamptz;
+
+alter table sos_requests
+  add column if not exists escalation_level integer not null default 0,
+  add column if not exists last_escalated_at timestamptz;
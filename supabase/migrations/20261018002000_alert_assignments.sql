@@ -0,0 +1,39 @@
+-- Units sent to an alert: a vehicle and/or a responder per assignment,
+-- each with its own role and status. The alert's assigned_vehicle_id and
+-- assigned_responder_id slot is no longer written.
+create table if not exists alert_assignments (
+  id bigint generated by default as identity primary key,
+  alert_id bigint not null references alerts (id) on delete cascade,
+  vehicle_id bigint references vehicles (id) on delete set null,
+  responder_id bigint references responders (id) on delete set null,
+  role text not null check (role in ('medical', 'fire', 'police', 'rescue', 'command', 'support')),
+  status text not null default 'dispatched' check (status in ('dispatched', 'en_route', 'on_scene', 'released')),
+  assigned_by bigint references users (id) on delete set null,
+  dispatched_at timestamptz not null default now(),
+  en_route_at timestamptz,
+  on_scene_at timestamptz,
+  released_at timestamptz,
+  updated_at timestamptz not null default now(),
+  check (vehicle_id is not null or responder_id is not null)
+);
+
+create index if not exists alert_assignments_alert_id_idx on alert_assignments (alert_id, dispatched_at);
+
+-- A vehicle or responder is on one unreleased assignment at a time
+create unique index if not exists alert_assignments_active_vehicle_idx on alert_assignments (vehicle_id)
+  where status <> 'released';
+create unique index if not exists alert_assignments_active_responder_idx on alert_assignments (responder_id)
+  where status <> 'released';
+
+alter table alert_assignments enable row level security;
+
+-- Carry the units in the legacy slot of open alerts over as assignments. A
+-- unit left in the slot of several open alerts keeps only one of them.
+insert into alert_assignments (alert_id, vehicle_id, responder_id, role, status, dispatched_at, updated_at)
+select id, assigned_vehicle_id, assigned_responder_id, 'support', 'dispatched',
+  coalesce(acknowledged_at, reported_at, now()), now()
+from alerts
+where (assigned_vehicle_id is not null or assigned_responder_id is not null)
+  and status not in ('resolved', 'cancelled')
+  and not exists (select 1 from alert_assignments where alert_assignments.alert_id = alerts.id)
+on conflict do nothing;
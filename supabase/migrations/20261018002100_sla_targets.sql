@@ -0,0 +1,15 @@
+-- Admin overrides of the SLA targets in src/config/analytics.js, one per
+-- incident type, severity and metric (SOS requests and crash events use
+-- severity 'any'). A null target turns that SLA off.
+create table if not exists sla_targets (
+  id bigint generated by default as identity primary key,
+  incident_type text not null check (incident_type in ('alert', 'sos', 'crash')),
+  severity text not null,
+  metric text not null,
+  target_seconds integer check (target_seconds > 0),
+  updated_by bigint references users (id) on delete set null,
+  updated_at timestamptz not null default now(),
+  unique (incident_type, severity, metric)
+);
+
+alter table sla_targets enable row level security;
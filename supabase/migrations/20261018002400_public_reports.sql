@@ -0,0 +1,48 @@
+-- Anonymous reports come in without an account
+alter table alerts
+  alter column user_id drop not null,
+  add column if not exists anonymous boolean not null default false,
+  add column if not exists callback_phone text;
+
+-- One row per anonymous report, for per-IP and per-device rate limits.
+-- Only hashes are kept, never the raw address or fingerprint.
+create table if not exists anonymous_reports (
+  id bigint generated by default as identity primary key,
+  alert_id bigint references alerts (id) on delete cascade,
+  ip_hash text not null,
+  fingerprint_hash text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists anonymous_reports_ip_hash_idx on anonymous_reports (ip_hash, created_at);
+create index if not exists anonymous_reports_fingerprint_hash_idx on anonymous_reports (fingerprint_hash, created_at);
+
+alter table anonymous_reports enable row level security;
+
+-- One-time codes proving a reporter can be called back on the number they
+-- gave. The code is stored as a SHA-256 hash.
+create table if not exists callback_verifications (
+  id uuid primary key,
+  phone text not null,
+  ip_hash text not null,
+  code_hash text not null,
+  attempts integer not null default 0,
+  expires_at timestamptz not null,
+  consumed_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists callback_verifications_phone_idx on callback_verifications (phone, created_at);
+create index if not exists callback_verifications_ip_hash_idx on callback_verifications (ip_hash, created_at);
+
+alter table callback_verifications enable row level security;
+
+-- Proof-of-work challenges already redeemed, so each can be used once.
+-- Rows past expires_at can be deleted; the challenge token has expired too.
+create table if not exists used_challenges (
+  challenge_id text primary key,
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+alter table used_challenges enable row level security;
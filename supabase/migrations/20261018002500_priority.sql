@@ -0,0 +1,32 @@
+-- Admin overrides of the triage weights in src/config/priority.js, one per
+-- factor
+create table if not exists priority_weights (
+  id bigint generated by default as identity primary key,
+  factor text not null unique,
+  weight double precision not null check (abs(weight) <= 1000),
+  updated_by bigint references users (id) on delete set null,
+  updated_at timestamptz not null default now()
+);
+
+alter table priority_weights enable row level security;
+
+-- Triage score with the reasons behind it ([{ factor, points, detail }]).
+-- Closed and merged incidents score 0. Existing incidents are scored by the
+-- first scheduler run.
+alter table alerts
+  add column if not exists priority_score integer not null default 0,
+  add column if not exists priority_reasons jsonb not null default '[]',
+  add column if not exists priority_scored_at timestamptz;
+
+alter table sos_requests
+  add column if not exists priority_score integer not null default 0,
+  add column if not exists priority_reasons jsonb not null default '[]',
+  add column if not exists priority_scored_at timestamptz;
+
+alter table crash_events
+  add column if not exists priority_score integer not null default 0,
+  add column if not exists priority_reasons jsonb not null default '[]',
+  add column if not exists priority_scored_at timestamptz;
+
+-- Alert lists can sort by priority
+create index if not exists alerts_priority_score_idx on alerts (priority_score, id);